@@ -0,0 +1,43 @@
+// defaults per NODE_ENV, anything in the environment or a .env file wins
+export const environments = {
+  // a local MongoDB and cash on delivery. JWT_SECRET still has to be set.
+  development: {
+    MONGODB_URI: "mongodb://127.0.0.1:27017",
+    DB_NAME: "MERN_E_Commerce",
+    CORS_ORIGINS: "http://localhost:5173",
+    APP_URL: "http://localhost:5173",
+    SELLER_STATE: "Maharashtra",
+    PAYMENT_PROVIDERS: "cod",
+    MAIL_TRANSPORT: "console",
+    NOTIFIER: "console",
+  },
+
+  // a separate database and throwaway secrets, so tests need no setup
+  test: {
+    MONGODB_URI: "mongodb://127.0.0.1:27017",
+    DB_NAME: "MERN_E_Commerce_test",
+    JWT_SECRET: "test-jwt-secret",
+    RAZORPAY_KEY_ID: "rzp_test_key",
+    RAZORPAY_KEY_SECRET: "test-razorpay-secret",
+    RAZORPAY_WEBHOOK_SECRET: "test-webhook-secret",
+    MOCK_PAYMENT_SECRET: "test-mock-payment-secret",
+    PAYMENT_PROVIDERS: "mock,cod,razorpay",
+    ALLOW_MOCK_PAYMENTS: "true",
+    CORS_ORIGINS: "*",
+    APP_URL: "http://localhost:5173",
+    SELLER_STATE: "Maharashtra",
+    MAIL_TRANSPORT: "file",
+    MAIL_DIR: "mail/test",
+    NOTIFIER: "file",
+    NOTIFIER_DIR: "notifications/test",
+    UPLOAD_DIR: "uploads/test",
+    RATE_LIMIT_STORE: "memory",
+  },
+
+  production: {
+    DB_NAME: "MERN_E_Commerce",
+    PAYMENT_PROVIDERS: "razorpay",
+    MAIL_TRANSPORT: "smtp",
+    NOTIFIER: "mail",
+  },
+};
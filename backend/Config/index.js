@@ -0,0 +1,257 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { z } from "zod";
+import { environments } from "./environments.js";
+import { shippingRulesFile } from "./shipping.js";
+
+const backendDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const text = z.string().trim().min(1);
+const number = (fallback) => z.coerce.number().nonnegative().default(fallback);
+const list = z
+  .string()
+  .transform((value) => value.split(",").map((item) => item.trim()).filter(Boolean));
+
+const paymentProviders = ["razorpay", "cod", "mock"];
+
+const schema = z.object({
+  NODE_ENV: z.enum(Object.keys(environments)),
+  PORT: z.coerce.number().int().nonnegative().default(1000),
+  APP_URL: z.string().url(),
+  TRUST_PROXY: z.string().optional(),
+  CORS_ORIGINS: list,
+
+  MONGODB_URI: text,
+  DB_NAME: text,
+
+  JWT_SECRET: text,
+  ACCESS_TOKEN_TTL: text.default("15m"),
+  REFRESH_TOKEN_TTL_DAYS: number(30),
+  VERIFY_EMAIL_TTL_MINUTES: number(24 * 60),
+  RESET_PASSWORD_TTL_MINUTES: number(30),
+
+  PAYMENT_PROVIDERS: list.pipe(z.array(z.enum(paymentProviders)).nonempty()),
+  RAZORPAY_KEY_ID: text.optional(),
+  RAZORPAY_KEY_SECRET: text.optional(),
+  RAZORPAY_WEBHOOK_SECRET: text.optional(),
+  RAZORPAY_API_URL: z.string().url().optional(),
+  MOCK_PAYMENT_SECRET: text.optional(),
+  ALLOW_MOCK_PAYMENTS: z.enum(["true", "false"]).default("false"),
+  CURRENCY: z.string().trim().length(3).toUpperCase().default("INR"),
+  RESERVATION_TTL_MINUTES: number(15),
+  RETURN_WINDOW_DAYS: number(7),
+  GUEST_CART_TTL_DAYS: number(30),
+  ABANDONED_CART_HOURS: number(24),
+  ABANDONED_CART_CHECK_MINUTES: number(60),
+
+  SELLER_NAME: text.default("MERN E-Commerce"),
+  SELLER_ADDRESS: z.string().trim().optional(),
+  SELLER_STATE: text,
+  SELLER_GSTIN: z.string().trim().toUpperCase().optional(),
+  GST_RATE: number(18),
+  PRICES_INCLUDE_GST: z.enum(["true", "false"]).default("true"),
+  SHIPPING_RULES_FILE: shippingRulesFile(backendDir),
+  INVOICE_PREFIX: text.default("INV"),
+
+  MAIL_TRANSPORT: z.enum(["smtp", "file", "console"]),
+  MAIL_FROM: text.default("MERN E-Commerce <no-reply@localhost>"),
+  MAIL_DIR: text.default("mail"),
+  SMTP_HOST: z.string().optional(),
+  SMTP_PORT: z.coerce.number().int().positive().optional(),
+  SMTP_SECURE: z.enum(["true", "false"]).default("false"),
+  SMTP_USER: z.string().optional(),
+  SMTP_PASS: z.string().optional(),
+
+  NOTIFIER: z.enum(["mail", "file", "console"]),
+  NOTIFIER_DIR: text.default("notifications"),
+
+  STORAGE_DRIVER: z.enum(["local"]).default("local"),
+  UPLOAD_DIR: text.default("uploads"),
+  UPLOAD_PUBLIC_URL: z.string().url().optional(),
+  MAX_IMAGE_MB: z.coerce.number().positive().default(5),
+
+  RATE_LIMIT_STORE: z.enum(["memory", "mongo"]).default("memory"),
+  RATE_LIMIT_LOGIN: number(20),
+  RATE_LIMIT_REGISTER: number(10),
+  RATE_LIMIT_WRITE: number(60),
+  RATE_LIMIT_MAIL: number(5),
+  RATE_LIMIT_MAIL_IP: number(20),
+  LOGIN_MAX_FAILURES: z.coerce.number().int().positive().default(5),
+  LOGIN_LOCK_MINUTES: number(15),
+}).superRefine((e, ctx) => {
+  // a provider's keys are only needed when it takes payments
+  const keys = {
+    razorpay: ["RAZORPAY_KEY_ID", "RAZORPAY_KEY_SECRET", "RAZORPAY_WEBHOOK_SECRET"],
+    mock: ["MOCK_PAYMENT_SECRET"],
+  };
+  for (const [provider, required] of Object.entries(keys)) {
+    if (!e.PAYMENT_PROVIDERS.includes(provider)) continue;
+    for (const key of required)
+      if (!e[key])
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [key],
+          message: `Required when PAYMENT_PROVIDERS includes ${provider}`,
+        });
+  }
+
+  // fail at startup rather than on the first email
+  if (e.MAIL_TRANSPORT === "smtp") {
+    const smtp = e.NODE_ENV === "production"
+      ? ["SMTP_HOST", "SMTP_PORT", "SMTP_USER", "SMTP_PASS"]
+      : ["SMTP_HOST", ...(e.SMTP_USER ? ["SMTP_PASS"] : [])];
+    for (const key of smtp)
+      if (!e[key])
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [key],
+          message: "Required when MAIL_TRANSPORT is smtp",
+        });
+  }
+
+  // the mock gateway lets anyone pay for their order, so it is opt-in
+  if (e.PAYMENT_PROVIDERS.includes("mock")) {
+    if (e.NODE_ENV === "production")
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["PAYMENT_PROVIDERS"],
+        message: "The mock gateway can't be enabled in production",
+      });
+    else if (e.ALLOW_MOCK_PAYMENTS !== "true")
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ["ALLOW_MOCK_PAYMENTS"],
+        message: "Set to true to enable the mock gateway, it takes payments without charging anyone",
+      });
+  }
+});
+
+// an integer is a hop count, anything else is passed to express as is
+const trustProxy = (value) => {
+  if (!value) return false;
+  const hops = Number(value);
+  return Number.isInteger(hops) ? hops : value;
+};
+
+// build the config from an env object, listing every bad variable in one error
+export const loadConfig = (env = process.env) => {
+  const NODE_ENV = env.NODE_ENV || "development";
+  // empty variables count as unset, so defaults still apply to them
+  const set = Object.fromEntries(
+    Object.entries(env).filter(([, value]) => value !== "")
+  );
+
+  const result = schema.safeParse({
+    ...environments[NODE_ENV],
+    ...set,
+    NODE_ENV,
+  });
+  if (!result.success) {
+    const problems = result.error.issues.map(
+      (issue) => `  ${issue.path.join(".")}: ${issue.message}`
+    );
+    throw new Error(
+      `Invalid configuration for NODE_ENV=${NODE_ENV}:\n${problems.join("\n")}`
+    );
+  }
+
+  const e = result.data;
+  return Object.freeze({
+    env: e.NODE_ENV,
+    port: e.PORT,
+    appUrl: e.APP_URL,
+    trustProxy: trustProxy(e.TRUST_PROXY),
+    // "*" lets any origin in
+    corsOrigins: e.CORS_ORIGINS.includes("*") ? true : e.CORS_ORIGINS,
+    currency: e.CURRENCY,
+    db: { uri: e.MONGODB_URI, name: e.DB_NAME },
+    jwt: {
+      secret: e.JWT_SECRET,
+      accessTokenTtl: e.ACCESS_TOKEN_TTL,
+      refreshTokenTtlDays: e.REFRESH_TOKEN_TTL_DAYS,
+    },
+    userTokenTtlMinutes: {
+      verify_email: e.VERIFY_EMAIL_TTL_MINUTES,
+      reset_password: e.RESET_PASSWORD_TTL_MINUTES,
+    },
+    payments: {
+      // the first one is used when checkout doesn't ask for one
+      providers: [...new Set(e.PAYMENT_PROVIDERS)],
+      razorpay: {
+        keyId: e.RAZORPAY_KEY_ID,
+        keySecret: e.RAZORPAY_KEY_SECRET,
+        webhookSecret: e.RAZORPAY_WEBHOOK_SECRET,
+        apiUrl: e.RAZORPAY_API_URL,
+      },
+      mock: { secret: e.MOCK_PAYMENT_SECRET },
+    },
+    reservationTtlMinutes: e.RESERVATION_TTL_MINUTES,
+    // days after delivery a customer may ask to return items
+    returnWindowDays: e.RETURN_WINDOW_DAYS,
+    guestCartTtlDays: e.GUEST_CART_TTL_DAYS,
+    abandonedCart: {
+      idleHours: e.ABANDONED_CART_HOURS,
+      // how often server.js looks for carts to remind, 0 turns it off
+      checkMinutes: e.ABANDONED_CART_CHECK_MINUTES,
+    },
+    // who invoices are issued by, their state decides how GST is split
+    seller: {
+      name: e.SELLER_NAME,
+      address: e.SELLER_ADDRESS,
+      state: e.SELLER_STATE,
+      gstin: e.SELLER_GSTIN,
+    },
+    gstRate: e.GST_RATE,
+    // whether catalog prices include GST
+    pricesIncludeGst: e.PRICES_INCLUDE_GST === "true",
+    // zones, slabs and free shipping thresholds, see Config/shipping.js
+    shipping: e.SHIPPING_RULES_FILE,
+    invoicePrefix: e.INVOICE_PREFIX,
+    mail: {
+      transport: e.MAIL_TRANSPORT,
+      from: e.MAIL_FROM,
+      // where the file transport writes mails
+      dir: path.resolve(backendDir, e.MAIL_DIR),
+      smtp: {
+        host: e.SMTP_HOST,
+        port: e.SMTP_PORT || 587,
+        secure: e.SMTP_SECURE === "true",
+        user: e.SMTP_USER,
+        pass: e.SMTP_PASS,
+      },
+    },
+    notifier: {
+      driver: e.NOTIFIER,
+      dir: path.resolve(backendDir, e.NOTIFIER_DIR),
+    },
+    storage: {
+      driver: e.STORAGE_DRIVER,
+      dir: path.resolve(backendDir, e.UPLOAD_DIR),
+      // where the files in dir are served from, by server.js for local disk
+      publicUrl: (e.UPLOAD_PUBLIC_URL || `http://localhost:${e.PORT}/uploads`).replace(/\/$/, ""),
+    },
+    maxImageBytes: e.MAX_IMAGE_MB * 1024 * 1024,
+    rateLimit: {
+      store: e.RATE_LIMIT_STORE,
+      login: e.RATE_LIMIT_LOGIN,
+      register: e.RATE_LIMIT_REGISTER,
+      write: e.RATE_LIMIT_WRITE,
+      mail: e.RATE_LIMIT_MAIL,
+      mailIp: e.RATE_LIMIT_MAIL_IP,
+      loginMaxFailures: e.LOGIN_MAX_FAILURES,
+      loginLockMinutes: e.LOGIN_LOCK_MINUTES,
+    },
+  });
+};
+
+// .env.<NODE_ENV> wins over .env, tests skip both so local keys never leak in
+const nodeEnv = process.env.NODE_ENV || "development";
+dotenv.config({
+  path: [
+    path.join(backendDir, `.env.${nodeEnv}`),
+    ...(nodeEnv === "test" ? [] : [path.join(backendDir, ".env")]),
+  ],
+});
+
+export const config = loadConfig();
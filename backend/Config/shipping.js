@@ -0,0 +1,99 @@
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+
+const text = z.string().trim().min(1);
+const amount = z.number().nonnegative();
+
+// `charge` up to `upTo` grams, or rupees for zones priced by value
+const slab = z.object({ upTo: z.number().positive(), charge: amount });
+
+const zone = z
+  .object({
+    name: text,
+    // pincode prefixes, states or the seller's own state, none applies everywhere
+    pincodes: z.array(z.string().regex(/^\d{1,6}$/, "Pincode prefix must be digits")).default([]),
+    states: z.array(text).default([]),
+    sameState: z.boolean().default(false),
+    basis: z.enum(["weight", "price"]).default("weight"),
+    slabs: z.array(slab).min(1),
+    // past the last slab, `charge` more for every `every` started
+    extra: z.object({ every: z.number().positive(), charge: amount }).optional(),
+    // order value from which shipping to the zone is free
+    freeAbove: amount.optional(),
+  })
+  .refine(
+    ({ slabs }) => slabs.every((slab, index) => !index || slab.upTo > slabs[index - 1].upTo),
+    { path: ["slabs"], message: "Slabs must go up in order" }
+  );
+
+// the first matching zone sets the charge, no match means no shipping
+export const shippingRulesSchema = z.object({
+  // grams for products without a weight
+  defaultWeight: z.number().positive().default(500),
+  // order value from which shipping is free, unless a zone says otherwise
+  freeAbove: amount.optional(),
+  zones: z.array(zone).min(1),
+});
+
+export const defaultShippingRules = shippingRulesSchema.parse({
+  defaultWeight: 500,
+  freeAbove: 999,
+  zones: [
+    {
+      name: "local",
+      sameState: true,
+      slabs: [
+        { upTo: 500, charge: 40 },
+        { upTo: 1000, charge: 60 },
+      ],
+      extra: { every: 500, charge: 20 },
+    },
+    {
+      // the north east, Ladakh and the Andaman and Nicobar Islands
+      name: "remote",
+      pincodes: ["79", "194", "744"],
+      slabs: [
+        { upTo: 500, charge: 90 },
+        { upTo: 1000, charge: 140 },
+      ],
+      extra: { every: 500, charge: 60 },
+      freeAbove: 2499,
+    },
+    {
+      name: "national",
+      slabs: [
+        { upTo: 500, charge: 60 },
+        { upTo: 1000, charge: 90 },
+      ],
+      extra: { every: 500, charge: 30 },
+    },
+  ],
+});
+
+// SHIPPING_RULES_FILE, relative to the backend directory, or the defaults above
+export const shippingRulesFile = (backendDir) =>
+  z
+    .string()
+    .trim()
+    .optional()
+    .transform((file, ctx) => {
+      if (!file) return defaultShippingRules;
+
+      let rules;
+      try {
+        rules = JSON.parse(fs.readFileSync(path.resolve(backendDir, file), "utf8"));
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        return z.NEVER;
+      }
+
+      const result = shippingRulesSchema.safeParse(rules);
+      if (result.success) return result.data;
+      for (const issue of result.error.issues)
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `${issue.path.join(".") || "rules"}: ${issue.message}`,
+        });
+      return z.NEVER;
+    });
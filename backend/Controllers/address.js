@@ -1,24 +1,107 @@
 import { Address } from "../Models/Address.js";
+import { resolveShippingAddress } from "../Services/address.js";
+import { notFound } from "../Utils/errors.js";
 
-export const addAddress = async (req, res) => {
-  let { fullName, address, city, state, country, pincode, phoneNumber } =
-    req.body;
-  let userId = req.user;
-  let userAddress = await Address.create({
-    userId,
-    fullName,
-    address,
-    city,
-    state,
-    country,
-    pincode,
-    phoneNumber,
+const addressFields = [
+  "fullName",
+  "address",
+  "city",
+  "state",
+  "country",
+  "pincode",
+  "phoneNumber",
+];
+
+const pickAddressFields = (body) =>
+  Object.fromEntries(
+    addressFields.filter((field) => field in body).map((field) => [field, body[field]])
+  );
+
+const findOwnAddress = async (req) => {
+  const address = await Address.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
   });
-  res.json({ message: "Address added", userAddress,success:true });
+  if (!address) throw notFound("Address");
+  return address;
+};
+
+// make this the user's only default address
+const makeDefault = async (address) => {
+  await Address.updateMany(
+    { userId: address.userId, _id: { $ne: address._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+  address.isDefault = true;
+  return address.save();
+};
+
+export const addAddress = async (req, res) => {
+  let userId = req.user._id;
+  let userAddress = new Address({ userId, ...pickAddressFields(req.body) });
+
+  // the first address becomes the default
+  const isFirst = !(await Address.exists({ userId }));
+  if (req.body.isDefault || isFirst) userAddress = await makeDefault(userAddress);
+  else await userAddress.save();
+
+  res.json({ message: "Address added", userAddress, success: true });
 };
 
+// all addresses, default first
+export const getAddresses = async (req, res) => {
+  let addresses = await Address.find({ userId: req.user._id }).sort({
+    isDefault: -1,
+    createdAt: -1,
+  });
+  res.json({ message: "addresses", addresses });
+};
 
+// default address
 export const getAddress = async (req,res)=>{
-    let address = await Address.find({userId:req.user}).sort({createdAt:-1})
-    res.json({message:'address', userAddress:address[0]})
-}
\ No newline at end of file
+    let address = await resolveShippingAddress(req.user._id)
+    res.json({message:'address', userAddress:address})
+}
+
+// get address by id
+export const getAddressById = async (req, res) => {
+  let userAddress = await findOwnAddress(req);
+  res.json({ message: "address", userAddress });
+};
+
+// update address
+export const updateAddress = async (req, res) => {
+  let userAddress = await findOwnAddress(req);
+
+  userAddress.set(pickAddressFields(req.body));
+  userAddress.updatedAt = Date.now();
+
+  if (req.body.isDefault) userAddress = await makeDefault(userAddress);
+  else await userAddress.save();
+
+  res.json({ message: "Address updated", userAddress, success: true });
+};
+
+// set default address
+export const setDefaultAddress = async (req, res) => {
+  let userAddress = await findOwnAddress(req);
+
+  userAddress = await makeDefault(userAddress);
+  res.json({ message: "Default address updated", userAddress, success: true });
+};
+
+// delete address, the newest remaining one becomes default
+export const deleteAddress = async (req, res) => {
+  let userAddress = await findOwnAddress(req);
+
+  await userAddress.deleteOne();
+
+  if (userAddress.isDefault) {
+    const next = await Address.findOne({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
+    if (next) await makeDefault(next);
+  }
+
+  res.json({ message: "Address deleted", userAddress, success: true });
+};
@@ -1,51 +1,144 @@
+import crypto from "crypto";
 import { Cart } from "../Models/Cart.js";
+import { Products } from "../Models/Product.js";
+import { priceCart, quoteCart, sameLine } from "../Services/cart.js";
+import { computeDiscount, findCoupon } from "../Services/coupon.js";
+import { quoteCheckout } from "../Services/pricing.js";
+import { OutOfStockError } from "../Services/inventory.js";
+import { abandonedCartStats, sendCartReminders } from "../Services/abandonedCart.js";
+import { badRequest, notFound } from "../Utils/errors.js";
+import { variantLabel } from "../Utils/variants.js";
+
+// the user's cart, or the guest cart named by Cart-Id, null when there is none
+const cartOwner = (req) => {
+  if (req.user) return { userId: req.user._id };
+  if (req.guestCartId) return { guestId: req.guestCartId };
+  return null;
+};
 
-// add To Cart
+// add To Cart, a visitor's first add starts a guest cart and returns its cartId
 export const addToCart = async (req, res) => {
-  const { productId, title, price, qty, imgSrc } = req.body;
+  const { productId, variantId, qty } = req.body;
 
-  const userId = req.user;
+  const owner = cartOwner(req) || { guestId: crypto.randomUUID() };
 
-  let cart = await Cart.findOne({ userId });
+  let product = await Products.findById(productId);
+  if (!product) throw notFound("Product");
+
+  // products sold in options are added one variant at a time
+  const variant = product.findVariant(variantId);
+  if (product.variants.length && !variantId)
+    throw badRequest("Choose an option first", { options: product.options });
+  if (variantId && !variant) throw notFound("Variant");
+  const stocked = variant || product;
+
+  let cart = await Cart.findOne(owner);
 
   if (!cart) {
-    cart = new Cart({ userId, items: [] }); 
+    cart = new Cart({ ...owner, items: [] }); 
   }
    
-  const itemIndex = cart.items.findIndex(
-    (item) => item.productId.toString() === productId
+  const itemIndex = cart.items.findIndex((item) =>
+    sameLine(item, productId, variantId)
   );
+
+  const inCart = itemIndex > -1 ? cart.items[itemIndex].qty : 0;
+  if (inCart + qty > stocked.qty)
+    throw new OutOfStockError([
+      {
+        productId,
+        variantId,
+        title: product.title,
+        requested: inCart + qty,
+        available: stocked.qty,
+      },
+    ]);
  
   if (itemIndex > -1) {
     cart.items[itemIndex].qty += qty;
-    cart.items[itemIndex].price += price * qty; 
   } else {
-    cart.items.push({ productId, title, price, qty, imgSrc });
+    // price is the unit price the product had when it was added
+    cart.items.push({
+      productId,
+      variantId,
+      variantLabel: variant && variantLabel(variant, product.options),
+      title: product.title,
+      price: stocked.price,
+      qty,
+      imgSrc: variant?.imgSrc || product.imgSrc,
+    });
   }
 
   await cart.save();
-  res.json({ message: "Items Added To Cart", cart });
+  res.json({ message: "Items Added To Cart", cart, cartId: cart.guestId });
 };
 
 // get User Cart
 export const userCart = async (req,res) =>{
-   const userId = req.user;
+   const owner = cartOwner(req);
    
-   let cart = await Cart.findOne({userId});
-   if(!cart) return res.json({messge:'Cart not found'})
+   let cart = owner && await Cart.findOne(owner);
+   // no cart yet is just an empty cart
+   if(!cart) cart = { ...owner, items: [] }
 
     res.json({message:"user cart",cart})
 }
 
-// remove product from cart
-export const removeProductFromCart = async (req, res) => {
-    const productId = req.params.productId;
+// priced cart summary
+export const cartSummary = async (req, res) => {
+  const owner = cartOwner(req);
+
+  let cart = owner && (await Cart.findOne(owner));
+  const summary = await quoteCart(cart, req.user?._id);
+
+  res.json({ message: "cart summary", ...summary });
+};
+
+// what checkout will charge for the cart, shipped to one of the user's addresses
+export const cartQuote = async (req, res) => {
+  const { shipping, quote } = await quoteCheckout(req.user._id, req.query.addressId);
+  res.json({ message: "cart quote", ...quote, userShipping: shipping });
+};
+
+// apply coupon to cart
+export const applyCoupon = async (req, res) => {
   const userId = req.user;
 
   let cart = await Cart.findOne({ userId });
-  if (!cart) return res.json({ messge: "Cart not found" });
+  if (!cart || !cart.items.length) throw badRequest("Cart is empty");
 
-  cart.items = cart.items.filter((item)=>item.productId.toString() !== productId)
+  const coupon = await findCoupon(req.body.code);
+  computeDiscount(coupon, await priceCart(cart), req.user._id);
+
+  cart.coupon = coupon.code;
+  await cart.save();
+
+  const summary = await quoteCart(cart, req.user._id);
+  res.json({ message: "Coupon applied", ...summary, success: true });
+};
+
+// remove coupon from cart
+export const removeCoupon = async (req, res) => {
+  const userId = req.user;
+
+  await Cart.updateOne({ userId }, { $unset: { coupon: 1 } });
+  res.json({ message: "Coupon removed", success: true });
+};
+
+// remove product from cart, ?variantId to remove just one of its variants
+export const removeProductFromCart = async (req, res) => {
+    const productId = req.params.productId;
+  const { variantId } = req.query;
+  const owner = cartOwner(req);
+
+  let cart = owner && (await Cart.findOne(owner));
+  if (!cart) throw notFound("Cart");
+
+  cart.items = cart.items.filter((item) =>
+    variantId
+      ? !sameLine(item, productId, variantId)
+      : item.productId.toString() !== productId
+  );
 
   await cart.save();
 
@@ -56,16 +149,10 @@ export const removeProductFromCart = async (req, res) => {
 // clear cart
 export const clearCart = async (req, res) => {
 
-  const userId = req.user;
+  const owner = cartOwner(req);
 
-  let cart = await Cart.findOne({ userId });
-  if (!cart){
-    cart = new Cart({items:[]})
-  } else{
-    cart.items = [];
-  }
-  
-  await cart.save();
+  if (owner)
+    await Cart.updateOne(owner, { $set: { items: [] }, $unset: { coupon: 1 } });
 
   res.json({ message: " cart cleared"});
 };
@@ -73,37 +160,42 @@ export const clearCart = async (req, res) => {
 
 // decrease qty from Cart
 export const decreaseProudctQty = async (req, res) => {
-  const { productId, qty} = req.body;
+  const { productId, variantId, qty } = req.body;
 
-  const userId = req.user;
+  const owner = cartOwner(req);
 
-  let cart = await Cart.findOne({ userId });
- 
-  if (!cart) {
-    cart = new Cart({ userId, items: [] });
-    // return res.json({messge:'Cart not find'})
-  }
+  let cart = owner && (await Cart.findOne(owner));
+  if (!cart) throw notFound("Cart");
 
-  const itemIndex = cart.items.findIndex(
-    (item) => item.productId.toString() === productId
+  const itemIndex = cart.items.findIndex((item) =>
+    sameLine(item, productId, variantId)
   );
 
   if (itemIndex > -1) {
     const item = cart.items[itemIndex]
 
     if(item.qty > qty){
-        const pricePerUnit = item.price/item.qty
-
         item.qty -= qty
-        item.price -= pricePerUnit*qty
     }else{
         cart.items.splice(itemIndex,1)
     }
 
   } else {
-    return res.json({messge:'invalid product Id'})
+    throw notFound("Product in cart");
   } 
 
   await cart.save();
   res.json({ message: "Items qty decreased", cart });
-};
\ No newline at end of file
+};
+
+// abandonment rate and the value of abandoned carts over the last ?days
+export const abandonedCartReport = async (req, res) => {
+  const stats = await abandonedCartStats({ days: req.query.days });
+  res.json({ message: "Abandoned carts", ...stats, success: true });
+};
+
+// remind the owners of abandoned carts now instead of waiting for the job
+export const remindAbandonedCarts = async (req, res) => {
+  const report = await sendCartReminders();
+  res.json({ message: "Cart reminders sent", ...report, success: true });
+};
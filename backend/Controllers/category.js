@@ -0,0 +1,45 @@
+import { Category } from "../Models/Category.js";
+import {
+  categoryDetails,
+  categoryTree,
+  createCategory,
+  deleteCategory,
+  updateCategory,
+} from "../Services/category.js";
+import { notFound } from "../Utils/errors.js";
+
+// the whole tree, for navigation
+export const getCategoryTree = async (req, res) => {
+  const categories = await categoryTree();
+  res.json({ message: "Category tree", categories, success: true });
+};
+
+// one category by id or slug, with breadcrumbs, children and attributes
+export const getCategory = async (req, res) => {
+  const details = await categoryDetails(req.params.ref);
+  res.json({ message: "Specific category", ...details, success: true });
+};
+
+// add category
+export const addCategory = async (req, res) => {
+  const category = await createCategory(req.body);
+  res.json({ message: "Category added", category, success: true });
+};
+
+// update category, moving it when parent changes
+export const updateCategoryById = async (req, res) => {
+  let category = await Category.findById(req.params.id);
+  if (!category) throw notFound("Category");
+
+  category = await updateCategory(category, req.body);
+  res.json({ message: "Category updated", category, success: true });
+};
+
+// delete category, only when nothing is filed under it
+export const deleteCategoryById = async (req, res) => {
+  let category = await Category.findById(req.params.id);
+  if (!category) throw notFound("Category");
+
+  await deleteCategory(category);
+  res.json({ message: "Category deleted", category, success: true });
+};
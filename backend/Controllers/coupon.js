@@ -0,0 +1,72 @@
+import { Coupon } from "../Models/Coupon.js";
+import { conflict, notFound } from "../Utils/errors.js";
+
+const couponFields = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minCartValue",
+  "categories",
+  "products",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "expiresAt",
+  "active",
+];
+
+// only the fields an admin may set, never usedCount or redemptions
+const pickCouponFields = (body) =>
+  Object.fromEntries(
+    couponFields.filter((field) => field in body).map((field) => [field, body[field]])
+  );
+
+// add coupon
+export const addCoupon = async (req, res) => {
+  let coupon;
+  try {
+    coupon = await Coupon.create(pickCouponFields(req.body));
+  } catch (error) {
+    if (error.code === 11000) throw conflict("Coupon code already exists");
+    throw error;
+  }
+  res.json({ message: "Coupon added", coupon, success: true });
+};
+
+// all coupons
+export const allCoupons = async (req, res) => {
+  let coupons = await Coupon.find().select("-redemptions").sort({ createdAt: -1 });
+  res.json({ message: "All coupons", coupons });
+};
+
+// coupon with its redemptions
+export const getCouponById = async (req, res) => {
+  const id = req.params.id;
+
+  let coupon = await Coupon.findById(id).populate("redemptions.userId", "name email");
+  if (!coupon) throw notFound("Coupon");
+  res.json({ message: "Specific coupon", coupon });
+};
+
+// update coupon
+export const updateCoupon = async (req, res) => {
+  const id = req.params.id;
+
+  let coupon = await Coupon.findById(id);
+  if (!coupon) throw notFound("Coupon");
+
+  coupon.set(pickCouponFields(req.body));
+  await coupon.save();
+  res.json({ message: "Coupon updated", coupon, success: true });
+};
+
+// delete coupon
+export const deleteCoupon = async (req, res) => {
+  const id = req.params.id;
+
+  let coupon = await Coupon.findByIdAndDelete(id);
+  if (!coupon) throw notFound("Coupon");
+  res.json({ message: "Coupon deleted", coupon, success: true });
+};
@@ -0,0 +1,51 @@
+import { ZipArchive } from "archiver";
+import { Order } from "../Models/Order.js";
+import {
+  invoiceFileName,
+  invoicesBetween,
+  invoicesCsv,
+  isInvoiceable,
+  issueInvoice,
+} from "../Services/invoice.js";
+import { renderInvoicePdf } from "../Services/invoicePdf.js";
+import { hasPermission } from "../Middlewares/auth.js";
+import { conflict, forbidden, notFound } from "../Utils/errors.js";
+
+// an order's invoice as a PDF, issued now if it's still missing
+export const getOrderInvoice = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw notFound("Order");
+
+  if (!order.userId.equals(req.user._id) && !hasPermission(req.user, "order:read"))
+    throw forbidden();
+  if (!isInvoiceable(order)) throw conflict("Order has not been paid yet");
+
+  const invoice = await issueInvoice(order);
+  const pdf = await renderInvoicePdf(invoice);
+
+  res.attachment(invoiceFileName(invoice));
+  res.type("application/pdf").send(pdf);
+};
+
+// invoices issued from ?from to ?to as a ZIP of PDFs and an invoices.csv
+export const exportInvoices = async (req, res) => {
+  const { from, to } = req.query;
+  const invoices = await invoicesBetween(from, to);
+
+  const day = (date) => date.toISOString().slice(0, 10);
+  res.attachment(`invoices-${day(from)}-to-${day(to)}.zip`);
+
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  // headers are already sent, so cut the download short
+  archive.on("error", (error) => {
+    console.log(error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  archive.append(invoicesCsv(invoices), { name: "invoices.csv" });
+  for (const invoice of invoices)
+    archive.append(await renderInvoicePdf(invoice), { name: invoiceFileName(invoice) });
+
+  await archive.finalize();
+};
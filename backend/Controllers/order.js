@@ -0,0 +1,99 @@
+import { Order, canTransition } from "../Models/Order.js";
+import { commitReservation } from "../Services/inventory.js";
+import { invoicePaidOrder } from "../Services/invoice.js";
+import { cancelOrder, refundOrder } from "../Services/refund.js";
+import { hasPermission } from "../Middlewares/auth.js";
+import { conflict, forbidden, notFound } from "../Utils/errors.js";
+
+const populateOrder = (query) =>
+  query
+    .populate("userId", "name email")
+    .populate("items.productId", "title price imgSrc category");
+
+// user specific orders
+export const userOrder = async (req, res) => {
+  let orders = await populateOrder(
+    Order.find({ userId: req.user._id }).sort({ orderDate: -1 })
+  );
+  res.json(orders);
+};
+
+// all orders
+export const allOrders = async (req, res) => {
+  const filter = req.query.status ? { status: req.query.status } : {};
+  let orders = await populateOrder(Order.find(filter).sort({ orderDate: -1 }));
+  res.json(orders);
+};
+
+// single order, for its owner or anyone who may read orders
+export const getOrderById = async (req, res) => {
+  let order = await populateOrder(Order.findById(req.params.id));
+  if (!order) throw notFound("Order");
+
+  const isOwner = order.userId?._id.equals(req.user._id);
+  if (!isOwner && !hasPermission(req.user, "order:read")) throw forbidden();
+
+  res.json({ message: "Specific order", order });
+};
+
+// move an order to another status
+export const updateOrderStatus = async (req, res) => {
+  const id = req.params.id;
+  const { status, note } = req.body;
+
+  let order = await Order.findById(id);
+  if (!order) throw notFound("Order");
+
+  if (!canTransition(order.status, status))
+    throw conflict(`Cannot move order from ${order.status} to ${status}`);
+  if (status === "confirmed" && order.payment.status !== "on_delivery")
+    throw conflict("Only pay on delivery orders are confirmed without payment");
+  // money has to move for these, which the refund endpoints take care of
+  if (status === "refunded")
+    throw conflict("Refund the order's payment to mark it refunded");
+  if (status === "cancelled") {
+    order = await cancelOrder(order, { by: req.user._id, reason: note });
+    return res.json({ message: "Order marked cancelled", order, success: true });
+  }
+
+  // the cash comes in with the delivery
+  const collected = status === "delivered" && order.payment.status === "on_delivery";
+
+  order = await Order.transition({ _id: id, status: order.status }, status, {
+    by: req.user._id,
+    note,
+    update: collected ? { $set: { "payment.status": "paid" } } : {},
+  });
+  if (!order) throw conflict("Order was updated by someone else, please retry");
+
+  if (collected) {
+    order = await commitReservation(order);
+    await invoicePaidOrder(order);
+  }
+
+  res.json({ message: `Order marked ${status}`, order, success: true });
+};
+
+// cancel an order before it ships, refunding anything paid
+export const cancelOrderById = async (req, res) => {
+  let order = await Order.findById(req.params.id);
+  if (!order) throw notFound("Order");
+
+  if (!order.userId.equals(req.user._id) && !hasPermission(req.user, "order:write"))
+    throw forbidden();
+  if (!canTransition(order.status, "cancelled"))
+    throw conflict(`A ${order.status} order can't be cancelled`);
+
+  order = await cancelOrder(order, { by: req.user._id, reason: req.body.reason });
+  res.json({ message: "Order cancelled", order, success: true });
+};
+
+// refund some or all of what's left of an order's payment
+export const refundOrderById = async (req, res) => {
+  let order = await Order.findById(req.params.id);
+  if (!order) throw notFound("Order");
+
+  const { amount, reason } = req.body;
+  order = await refundOrder(order, { amount, reason, by: req.user._id });
+  res.json({ message: "Order refunded", order, success: true });
+};
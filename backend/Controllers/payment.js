@@ -1,74 +1,301 @@
-import { Payment } from "../Models/Payment.js";
-import Razorpay from "razorpay";
-import dotenv from 'dotenv'
+import { Order } from "../Models/Order.js";
+import { enabledPaymentProviders, getPaymentProvider } from "../Payments/index.js";
+import {
+  commitReservation,
+  releasePendingOrders,
+  releaseReservation,
+  reservationTtlMinutes,
+  reserveItems,
+  restockItems,
+} from "../Services/inventory.js";
+import { quoteCheckout } from "../Services/pricing.js";
+import { redeemCoupon, releaseRedemption } from "../Services/coupon.js";
+import { invoicePaidOrder } from "../Services/invoice.js";
+import { refundLatePayment, settleRefunds } from "../Services/refund.js";
+import { badRequest, conflict, forbidden, notFound } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
 
-dotenv.config()
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-}); 
+// payment providers checkout offers, the first being the default
+export const paymentProviders = async (req, res) => {
+  const providers = enabledPaymentProviders();
+  res.json({ message: "Payment providers", providers, default: providers[0], success: true });
+};
 
 // checkout
 export const checkout = async (req, res) => {
-  const { amount, cartItems, userShipping, userId } = req.body;
+  const {
+    addressId,
+    amount: expected,
+    provider: providerName = enabledPaymentProviders()[0],
+  } = req.body;
+  const userId = req.user._id;
+  const provider = getPaymentProvider(providerName);
+
+  // an unpaid earlier checkout would hold the stock and coupon this one needs
+  await releasePendingOrders(userId);
 
-  var options = {
-    amount: amount * 100, // amount in the smallest currency unit
-    currency: "INR",
-    receipt: `receipt_${Date.now()}`,
-  };
+  // charge what the cart costs now, not what the client says
+  const { shipping: userShipping, quote } = await quoteCheckout(userId, addressId);
 
-  const order = await razorpay.orders.create(options);
+  if (!quote.lines.length) throw badRequest("Cart is empty");
+  if (quote.hasUnavailable)
+    throw badRequest("Some products in your cart are no longer available", {
+      lines: quote.lines,
+    });
+  if (quote.couponError) throw badRequest(quote.couponError);
+  if (quote.shippingError) throw badRequest(quote.shippingError);
+  if (expected !== undefined && Math.abs(expected - quote.total) >= 0.01)
+    throw conflict("The price of your order has changed, please review it", { quote });
+
+  const items = quote.lines.map((line) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    variantLabel: line.variantLabel,
+    sku: line.sku,
+    title: line.title,
+    price: line.unitPrice,
+    qty: line.qty,
+    imgSrc: line.imgSrc,
+    discount: line.discount,
+    tax: line.tax,
+    total: line.total,
+  }));
+  const amount = quote.total;
+
+  const order = new Order({
+    userId,
+    items,
+    pricing: {
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      shipping: quote.shipping.charge,
+      tax: quote.tax.total,
+      total: amount,
+      gst: {
+        rate: quote.tax.rate,
+        inclusive: quote.tax.inclusive,
+        intraState: quote.tax.intraState,
+        shipping: quote.shipping.tax,
+      },
+      shippingZone: quote.shipping.zone,
+      weight: quote.shipping.weight,
+    },
+    coupon: quote.coupon,
+    userShipping,
+    payment: { provider: provider.name },
+  });
+
+  await order.validate();
+  await reserveItems(items);
+
+  // redeem before payment so racing checkouts can't exceed the limits
+  if (order.coupon?.couponId) {
+    try {
+      await redeemCoupon(order.coupon.couponId, userId, order._id);
+    } catch (error) {
+      await restockItems(items);
+      throw error;
+    }
+  }
+
+  let providerOrder;
+  try {
+    providerOrder = await provider.createOrder({
+      amount,
+      currency: config.currency,
+      receipt: `receipt_${order._id}`,
+    });
+
+    order.payment.orderId = providerOrder.orderId;
+    if (provider.payOnDelivery) {
+      // nothing to wait for, the stock stays held until delivery
+      order.payment.status = "on_delivery";
+      order.status = "confirmed";
+      order.statusHistory.push({ status: "confirmed", by: userId, note: "pay on delivery" });
+    } else {
+      order.reservation.expiresAt = new Date(
+        Date.now() + reservationTtlMinutes * 60 * 1000
+      );
+    }
+    await order.save();
+  } catch (error) {
+    await restockItems(items);
+    await releaseRedemption(order);
+    throw error;
+  }
 
   res.json({
-    orderId: order.id,
+    orderId: providerOrder.orderId,
+    provider: provider.name,
+    checkout: providerOrder.checkout,
     amount: amount,
-    cartItems,
+    cartItems: items,
     userShipping,
     userId,
-    payStatus: "created",
+    payStatus: order.payment.status,
+    order,
   });
 };
 
 
 // verify , save to db
 export const verify = async (req, res) => {
-  const {
-    orderId,
-    paymentId,
-    signature,
-    amount,
-    orderItems,
-    userId,
-    userShipping,
-  } = req.body;
+  const { orderId, paymentId, signature } = req.body;
+  const filter = { "payment.orderId": orderId, userId: req.user._id };
 
-  let orderConfirm = await Payment.create({
-    orderId,
-    paymentId,
-    signature,
-    amount,
-    orderItems,
-    userId,
-    userShipping,
-    payStatus: "paid",
+  const order = await Order.findOne(filter);
+  if (!order) throw notFound("Order");
+
+  const provider = getPaymentProvider(order.payment.provider);
+  if (provider.payOnDelivery)
+    throw conflict("This order is paid on delivery");
+  if (!provider.verifyPayment({ orderId, paymentId, signature }))
+    throw badRequest("Invalid payment signature");
+
+  let orderConfirm = await Order.transition(filter, "paid", {
+    by: req.user._id,
+    note: "payment verified",
+    update: {
+      $set: {
+        "payment.paymentId": paymentId,
+        "payment.signature": signature,
+        "payment.status": "paid",
+      },
+    },
   });
 
+  if (orderConfirm) {
+    orderConfirm = await commitReservation(orderConfirm);
+    await invoicePaidOrder(orderConfirm);
+  } else {
+    // the order timed out while the customer was paying, refund them
+    const refunded = await refundLatePayment(filter, { paymentId, signature });
+    if (refunded)
+      throw conflict(
+        "Order was cancelled before the payment arrived, the payment is being refunded",
+        { status: refunded.status, payStatus: refunded.payment.status }
+      );
+
+    // the payment.captured webhook may have confirmed it already
+    orderConfirm = await Order.findOne(filter);
+    if (orderConfirm.payment.status !== "paid" || orderConfirm.status === "cancelled")
+      throw conflict(`Order is already ${orderConfirm.status}`);
+  }
+
   res.json({ message: "payment successfull..", success: true, orderConfirm });
 };
 
-// user specificorder
-export const userOrder = async (req,res) =>{
-  let userId = req.user._id.toString();
-  // console.log(userId)
-  let orders = await Payment.find({ userId: userId }).sort({ orderDate :-1});
-  res.json(orders)
-}
-
-// user specificorder
-export const allOrders = async (req,res) =>{
- 
-  let orders = await Payment.find().sort({ orderDate :-1});
-  res.json(orders)
-}
\ No newline at end of file
+// webhook handlers, applying each event once and only from a state it may leave
+const webhookHandlers = {
+  "payment.captured": async (event, unapplied) => {
+    const order = await Order.transition(unapplied, "paid", {
+      note: `${event.type} webhook`,
+      update: {
+        $set: { "payment.status": "paid", "payment.paymentId": event.paymentId },
+        $addToSet: { "payment.webhookEvents": event.id },
+      },
+    });
+    // an order cancelled while the customer was paying is refunded
+    if (!order)
+      return refundLatePayment(unapplied, {
+        paymentId: event.paymentId,
+        update: { $addToSet: { "payment.webhookEvents": event.id } },
+      });
+    const committed = await commitReservation(order);
+    await invoicePaidOrder(committed);
+    return committed;
+  },
+
+  // stays pending for a retry, commitReservation retakes the stock on capture
+  "payment.failed": async (event, unapplied) => {
+    const order = await Order.findOneAndUpdate(
+      { ...unapplied, status: "pending" },
+      {
+        $set: {
+          "payment.status": "failed",
+          "payment.paymentId": event.paymentId,
+          "payment.failureReason": event.failureReason,
+        },
+        $addToSet: { "payment.webhookEvents": event.id },
+      },
+      { new: true }
+    );
+    if (order) await releaseReservation(order._id);
+    return order;
+  },
+
+  // matched to refundOrder's record by receipt, added when made at the provider
+  "refund.processed": async (event, unapplied) => {
+    const { refund } = event;
+    if (!refund?.id) throw badRequest("Malformed webhook payload");
+
+    const applied = { $addToSet: { "payment.webhookEvents": event.id } };
+    let order =
+      refund.receipt &&
+      (await Order.findOneAndUpdate(
+        { ...unapplied, "payment.refunds.receipt": refund.receipt },
+        {
+          $set: {
+            "payment.refunds.$.refundId": refund.id,
+            "payment.refunds.$.status": "processed",
+          },
+          ...applied,
+        },
+        { new: true }
+      ));
+
+    order ||= await Order.findOneAndUpdate(
+      {
+        ...unapplied,
+        "payment.refunds.refundId": { $ne: refund.id },
+        status: { $in: ["paid", "packed", "shipped", "delivered", "cancelled"] },
+      },
+      {
+        $push: {
+          "payment.refunds": {
+            refundId: refund.id,
+            amount: refund.amount,
+            receipt: refund.receipt,
+            reason: `${event.type} webhook`,
+          },
+        },
+        ...applied,
+      },
+      { new: true }
+    );
+    if (!order) return null;
+
+    return settleRefunds(order._id, { note: `${event.type} webhook` });
+  },
+};
+
+// payment provider webhook at /webhook/<provider>, plain /webhook is Razorpay's
+export const webhook = async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  const event = provider.parseWebhook(req);
+  const handler = webhookHandlers[event.type];
+
+  if (!handler) return res.json({ message: "Event ignored", success: true });
+  if (!event.orderId) throw badRequest("Malformed webhook payload");
+
+  // a provider checkout no longer offers only hears about its own orders
+  if (
+    !enabledPaymentProviders().includes(provider.name) &&
+    !(await Order.exists({ "payment.provider": provider.name, "payment.orderId": event.orderId }))
+  )
+    throw forbidden(`Payment provider ${provider.name} is not enabled`);
+
+  const order = await handler(event, {
+    "payment.provider": provider.name,
+    "payment.orderId": event.orderId,
+    "payment.webhookEvents": { $ne: event.id },
+  });
+
+  if (!order)
+    return res.json({
+      message: "Event already processed or not applicable",
+      success: true,
+    });
+
+  res.json({ message: "Webhook processed", success: true });
+};
@@ -1,44 +1,73 @@
 import { Products } from "../Models/Product.js";
+import { listProducts } from "../Services/catalog.js";
+import { searchProducts, suggestProducts } from "../Services/search.js";
+import { catalogFormat, importCatalog, parseCatalog } from "../Services/catalogImport.js";
+import { maxGalleryImages, removeImages, storeImages, syncPrimaryImage } from "../Services/images.js";
+import { badRequest, notFound } from "../Utils/errors.js";
 
 // add product
 export const addProduct = async (req,res) =>{
-    const {title,description,price,category,qty,imgSrc} = req.body
-    try {
-        let product = await Products.create({
-          title,
-          description,
-          price,
-          category,
-          qty,
-          imgSrc,
-        });
-        res.json({message:'Product added successfully...!',product})
-        
-    } catch (error) {
-        res.json(error.message)
-    }
+    const {sku,title,description,price,category,qty,imgSrc,attributes,options,variants} = req.body
+    let product = await Products.create({
+      sku,
+      title,
+      description,
+      price,
+      category,
+      qty,
+      imgSrc,
+      attributes,
+      options,
+      variants,
+    });
+    res.json({message:'Product added successfully...!',product})
 }
 
-// get products
+// bulk import products from a CSV or JSON file by sku, ?dryRun=true only validates
+export const importProducts = async (req,res) =>{
+    if(!req.file) throw badRequest('Upload a CSV or JSON file as "file"')
+    const format = catalogFormat(req.file.originalname, req.file.mimetype)
+    const rows = parseCatalog(req.file.buffer.toString('utf8'), format)
+    const dryRun = ['true','1'].includes(req.query.dryRun)
+    const report = await importCatalog(rows,{dryRun})
+    res.json({message: dryRun ? 'Import checked' : 'Products imported',...report,success:true})
+}
+
+// get products ?page&limit&category&minPrice&maxPrice&inStock&sort
 export const getProducts = async (req,res) =>{
-    let products = await Products.find().sort({createdAt:-1})
-    res.json({message:'All products',products})
+    const listing = await listProducts(req.query)
+    res.json({message:'All products',...listing})
+}
+
+
+// search products ?q&page&limit&category&minPrice&maxPrice&inStock
+export const searchProduct = async (req, res) => {
+    const result = await searchProducts(req.query)
+    res.json({message:'Search results',...result})
 }
 
+// search box suggestions
+export const suggestProduct = async (req, res) => {
+    const suggestions = await suggestProducts(req.query.q)
+    res.json({message:'Suggestions',suggestions})
+}
 
 // find product by id
 export const getProductById = async (req, res) => {
     const id = req.params.id;
   let product = await Products.findById(id)
-  if(!product) return res.json({message:'Invalid Id'})
+  if(!product) throw notFound('Product')
   res.json({ message: "Specific product", product });
 };
 
 // update product by id
 export const updateProductById = async (req, res) => {
     const id = req.params.id;
-  let product = await Products.findByIdAndUpdate(id,req.body,{new:true})
-  if(!product) return res.json({message:'Invalid Id'})
+  // load and save so the search index is rebuilt
+  let product = await Products.findById(id)
+  if(!product) throw notFound('Product')
+  product.set(req.body)
+  await product.save()
   res.json({ message: "Product has been updated", product });
 };
 
@@ -46,6 +75,67 @@ export const updateProductById = async (req, res) => {
 export const deleteProductById = async (req, res) => {
     const id = req.params.id;
   let product = await Products.findByIdAndDelete(id)
-  if(!product) return res.json({message:'Invalid Id'})
+  if(!product) throw notFound('Product')
+  await removeImages(product.images)
   res.json({ message: "Product has been deleted", product });
-};
\ No newline at end of file
+};
+
+// upload gallery images, appended in the order they were sent
+export const uploadProductImages = async (req, res) => {
+  if (!req.files?.length) throw badRequest("Choose at least one image");
+  let product = await Products.findById(req.params.id);
+  if (!product) throw notFound("Product");
+  if (product.images.length + req.files.length > maxGalleryImages)
+    throw badRequest(`A product can have at most ${maxGalleryImages} images`);
+
+  const images = await storeImages(req.files, `products/${product._id}`);
+  product.images.push(...images);
+  syncPrimaryImage(product);
+  try {
+    await product.save();
+  } catch (err) {
+    await removeImages(images);
+    throw err;
+  }
+  res.json({ message: "Images uploaded", images: product.images, imgSrc: product.imgSrc, success: true });
+};
+
+// reorder the gallery, the first image becomes the primary imgSrc
+export const reorderProductImages = async (req, res) => {
+  let product = await Products.findById(req.params.id);
+  if (!product) throw notFound("Product");
+
+  const { order } = req.body;
+  const byId = new Map(product.images.map((image) => [String(image._id), image]));
+  if (order.length !== byId.size || order.some((id) => !byId.has(id)))
+    throw badRequest("Order must list every image of the product exactly once");
+
+  product.images = order.map((id) => byId.get(id));
+  syncPrimaryImage(product);
+  await product.save();
+  res.json({ message: "Images reordered", images: product.images, imgSrc: product.imgSrc, success: true });
+};
+
+// update an image's alt text
+export const updateProductImage = async (req, res) => {
+  let product = await Products.findById(req.params.id);
+  const image = product?.images.id(req.params.imageId);
+  if (!image) throw notFound("Image");
+
+  image.alt = req.body.alt;
+  await product.save();
+  res.json({ message: "Image updated", image, success: true });
+};
+
+// delete an image and its stored files
+export const deleteProductImage = async (req, res) => {
+  let product = await Products.findById(req.params.id);
+  const image = product?.images.id(req.params.imageId);
+  if (!image) throw notFound("Image");
+
+  image.deleteOne();
+  syncPrimaryImage(product, [image]);
+  await product.save();
+  await removeImages([image]);
+  res.json({ message: "Image deleted", images: product.images, imgSrc: product.imgSrc, success: true });
+};
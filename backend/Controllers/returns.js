@@ -0,0 +1,42 @@
+import { Order } from "../Models/Order.js";
+import { decideReturn, requestReturn } from "../Services/returns.js";
+import { forbidden, notFound } from "../Utils/errors.js";
+
+// ask to return items of a delivered order
+export const createReturn = async (req, res) => {
+  let order = await Order.findById(req.params.id);
+  if (!order) throw notFound("Order");
+  if (!order.userId.equals(req.user._id)) throw forbidden();
+
+  order = await requestReturn(order, req.body);
+  res.json({ message: "Return requested", return: order.returns.at(-1), order, success: true });
+};
+
+// orders with returns, optionally only those with a return in ?status
+export const allReturns = async (req, res) => {
+  const { status } = req.query;
+  const orders = await Order.find(
+    status ? { "returns.status": status } : { "returns.0": { $exists: true } }
+  )
+    .sort({ "returns.requestedAt": -1 })
+    .populate("userId", "name email");
+  res.json({ message: "Returns", orders, success: true });
+};
+
+// approve or reject a return
+export const updateReturn = async (req, res) => {
+  let order = await Order.findById(req.params.id);
+  if (!order) throw notFound("Order");
+
+  const { decision, ...options } = req.body;
+  order = await decideReturn(order, req.params.returnId, {
+    ...options,
+    approve: decision === "approve",
+    by: req.user._id,
+  });
+  res.json({
+    message: `Return ${decision === "approve" ? "approved" : "rejected"}`,
+    order,
+    success: true,
+  });
+};
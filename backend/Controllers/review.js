@@ -0,0 +1,134 @@
+import { Review } from "../Models/Review.js";
+import { Products } from "../Models/Product.js";
+import { hasPurchased, refreshProductRating } from "../Services/review.js";
+import { hasPermission } from "../Middlewares/auth.js";
+import { conflict, forbidden, notFound } from "../Utils/errors.js";
+
+// visible reviews of a product
+export const productReviews = async (req, res) => {
+  const { productId } = req.params;
+  const { page, limit } = req.query;
+  const skip = (page - 1) * limit;
+  const filter = { productId, hidden: false };
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select("-moderation")
+      .populate("userId", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments(filter),
+  ]);
+
+  res.json({ message: "Product reviews", reviews, page, limit, total });
+};
+
+// add review, only for products the user has bought
+export const addReview = async (req, res) => {
+  const { productId } = req.params;
+  const { rating, title, comment } = req.body;
+  const userId = req.user._id;
+
+  if (!(await Products.exists({ _id: productId }))) throw notFound("Product");
+
+  if (!(await hasPurchased(userId, productId)))
+    throw forbidden("Only customers who bought this product can review it");
+
+  if (await Review.exists({ productId, userId }))
+    throw conflict("You have already reviewed this product");
+
+  let review = await Review.create({
+    productId,
+    userId,
+    rating,
+    title,
+    comment,
+    verifiedPurchase: true,
+  });
+
+  await refreshProductRating(productId);
+  res.json({ message: "Review added", review, success: true });
+};
+
+// edit own review
+export const updateReview = async (req, res) => {
+  const { id } = req.params;
+
+  let review = await Review.findOne({ _id: id, userId: req.user._id });
+  if (!review) throw notFound("Review");
+
+  const { rating, title, comment } = req.body;
+  if (rating !== undefined) review.rating = rating;
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  review.updatedAt = Date.now();
+
+  await review.save();
+
+  await refreshProductRating(review.productId);
+  res.json({ message: "Review updated", review, success: true });
+};
+
+// delete own review, moderators can delete any
+export const deleteReview = async (req, res) => {
+  const { id } = req.params;
+
+  const filter = { _id: id };
+  if (!hasPermission(req.user, "review:moderate")) filter.userId = req.user._id;
+
+  let review = await Review.findOneAndDelete(filter);
+  if (!review) throw notFound("Review");
+
+  await refreshProductRating(review.productId);
+  res.json({ message: "Review deleted", review, success: true });
+};
+
+// moderation queue, ?hidden=true|false&productId
+export const allReviews = async (req, res) => {
+  const { page, limit } = req.query;
+  const skip = (page - 1) * limit;
+  const filter = {};
+  if (req.query.hidden !== undefined)
+    filter.hidden = ["true", "1"].includes(req.query.hidden);
+  if (req.query.productId) filter.productId = req.query.productId;
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .populate("userId", "name email")
+      .populate("productId", "title")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Review.countDocuments(filter),
+  ]);
+
+  res.json({ message: "All reviews", reviews, page, limit, total });
+};
+
+// hide or restore a review
+const moderate = (hidden) => async (req, res) => {
+  const { id } = req.params;
+
+  let review = await Review.findByIdAndUpdate(
+    id,
+    {
+      $set: {
+        hidden,
+        moderation: { by: req.user._id, at: new Date(), reason: req.body.reason },
+      },
+    },
+    { new: true }
+  );
+  if (!review) throw notFound("Review");
+
+  await refreshProductRating(review.productId);
+  res.json({
+    message: hidden ? "Review hidden" : "Review restored",
+    review,
+    success: true,
+  });
+};
+
+export const hideReview = moderate(true);
+export const unhideReview = moderate(false);
@@ -1,53 +1,179 @@
 import { User } from "../Models/User.js";
 import bcrypt from "bcryptjs";
-import jwt from 'jsonwebtoken'
+import {
+  endAllSessions,
+  endSession,
+  rotateSession,
+  startSession,
+} from "../Services/session.js";
+
+import { consumeUserToken, issueUserToken, userTokenTtlMinutes } from "../Services/userToken.js";
+import { getMailer } from "../Mailer/index.js";
+import { config } from "../Config/index.js";
+import {
+  clearLoginFailures,
+  loginLockedFor,
+  recordLoginFailure,
+} from "../Services/loginGuard.js";
+import { mergeGuestCart } from "../Services/cart.js";
+import { AppError, badRequest, conflict, tooManyRequests } from "../Utils/errors.js";
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user._id, "verify_email");
+  await getMailer().sendTemplate(user.email, "verifyEmail", {
+    name: user.name,
+    link: `${config.appUrl}/verify-email?token=${token}`,
+  });
+};
+
+const sessionMeta = (req) => ({ userAgent: req.get("user-agent"), ip: req.ip });
+
+// merge the visitor's guest cart, without failing the login when that fails
+const adoptGuestCart = (req, user) =>
+  mergeGuestCart(req.guestCartId, user._id).catch((error) => {
+    console.log(error);
+    return null;
+  });
 
 // user register
 export const register = async (req, res) => {
   const { name, email, password } = req.body;
+  let user = await User.findOne({ email });
+  if (user) throw conflict("User Already exist");
+  const hashPass = await bcrypt.hash(password, 10);
   try {
-    let user = await User.findOne({ email });
-    if (user)
-      return res.json({ message: "User Already exist ", success: false });
-    const hashPass = await bcrypt.hash(password, 10);
-    user = await User.create({ name, email, password: hashPass });
-    res.json({
-      message: "User register successfully...! ",
-      user,
-      success: true,
-    });
+    user = await User.create({ name, email, password: hashPass, emailVerified: false });
   } catch (error) {
-    res.json({ message: error.message });
+    // another registration took the email since the check above
+    if (error.code === 11000) throw conflict("User Already exist");
+    throw error;
   }
+  // the account works without the email, so don't fail registration over it
+  await sendVerificationEmail(user).catch((error) => console.log(error));
+  const cartMerge = await adoptGuestCart(req, user);
+  res.json({
+    message: "User register successfully...! ",
+    user,
+    cartMerge,
+    success: true,
+  });
 };
 
+const accountLocked = (seconds) =>
+  tooManyRequests(
+    `Too many failed logins, try again in ${Math.ceil(seconds / 60)} minutes`,
+    seconds,
+    "ACCOUNT_LOCKED"
+  );
+
 // user login
 export const login = async (req, res) => {
   const { email, password } = req.body;
-  try {
-    let user = await User.findOne({ email });
-    if (!user) return res.json({ message: "User Not Find", success: false });
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) return res.json({ message: "Invalid Credential", success: false });
 
-    const token = jwt.sign({userId:user._id},"!@#$%^&*()",{
-      expiresIn:'365d'
-    })
+  const lockedFor = await loginLockedFor(email);
+  if (lockedFor) throw accountLocked(lockedFor);
 
-    res.json({ message: `Welcome ${user.name}`,token, success: true,});
-  } catch (error) {
-    res.json({ message: error.message });
+  let user = await User.findOne({ email });
+  // same answer for an unknown email and a wrong password
+  const validPassword = user && (await bcrypt.compare(password, user.password));
+  if (!validPassword) {
+    const lockedNow = await recordLoginFailure(email);
+    if (lockedNow) throw accountLocked(lockedNow);
+    throw new AppError(401, "INVALID_CREDENTIALS", "Invalid Credential");
   }
+  await clearLoginFailures(email);
+
+  const { token, refreshToken } = await startSession(user, sessionMeta(req));
+  const cartMerge = await adoptGuestCart(req, user);
+
+  res.json({ message: `Welcome ${user.name}`,token, refreshToken, cartMerge, success: true,});
+};
+
+// new access token from a refresh token, the refresh token is rotated
+export const refresh = async (req, res) => {
+  const { token, refreshToken } = await rotateSession(
+    req.body.refreshToken,
+    sessionMeta(req)
+  );
+  res.json({ message: "Token refreshed", token, refreshToken, success: true });
+};
+
+// user logout, revokes this device's refresh token
+export const logout = async (req, res) => {
+  await endSession(req.body.refreshToken);
+  res.json({ message: "Logout Successfully...!", success: true });
+};
+
+// logout from every device
+export const logoutAll = async (req, res) => {
+  await endAllSessions(req.user._id);
+  res.json({ message: "Logged out from all devices", success: true });
+};
+
+// send a password reset link, answering the same for unknown emails
+export const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  let user = await User.findOne({ email });
+
+  if (user) {
+    const token = await issueUserToken(user._id, "reset_password");
+    await getMailer().sendTemplate(user.email, "resetPassword", {
+      name: user.name,
+      link: `${config.appUrl}/reset-password?token=${token}`,
+      minutes: userTokenTtlMinutes.reset_password,
+    });
+  }
+
+  res.json({
+    message: "If that email is registered, a reset link is on its way",
+    success: true,
+  });
+};
+
+// set a new password with a reset token, ending every session
+export const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const used = await consumeUserToken(token, "reset_password");
+  if (!used) throw badRequest("Invalid or expired reset link");
+
+  const hashPass = await bcrypt.hash(password, 10);
+  // the link came from their inbox, so the email is verified too
+  const user = await User.findByIdAndUpdate(used.userId, {
+    $set: { password: hashPass, emailVerified: true, emailVerifiedAt: new Date() },
+  });
+  await endAllSessions(used.userId);
+  // a locked out owner can get straight back in with the new password
+  if (user) await clearLoginFailures(user.email);
+
+  res.json({ message: "Password has been reset, please login", success: true });
+};
+
+// confirm email address
+export const verifyEmail = async (req, res) => {
+  const used = await consumeUserToken(req.body.token, "verify_email");
+  if (!used) throw badRequest("Invalid or expired verification link");
+
+  await User.updateOne(
+    { _id: used.userId },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  res.json({ message: "Email verified", success: true });
+};
+
+// send the verification email again
+export const resendVerification = async (req, res) => {
+  if (req.user.emailVerified !== false)
+    return res.json({ message: "Email already verified", success: true });
+
+  await sendVerificationEmail(req.user);
+  res.json({ message: "Verification email sent", success: true });
 };
 
 // get All users
 export const users = async (req, res) => {
-  try {
-    let users = await User.find().sort({ createdAt: -1 });
-    res.json(users);
-  } catch (error) {
-    res.json(error.message);
-  }
+  let users = await User.find().sort({ createdAt: -1 });
+  res.json(users);
 };
 
 
@@ -0,0 +1,37 @@
+import { smtpTransport } from "./transports/smtp.js";
+import { consoleTransport, fileTransport } from "./transports/file.js";
+import * as templates from "./templates.js";
+import { config } from "../Config/index.js";
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+// a transport is { name, send(message) }, pick one with MAIL_TRANSPORT
+export const createMailer = (options = config.mail) => {
+  const name = options.transport;
+  if (!transports[name]) throw new Error(`Unknown mail transport '${name}'`);
+
+  const transport = transports[name](options);
+  const from = options.from;
+
+  return {
+    transport: transport.name,
+    send: (message) => transport.send({ from, ...message }),
+    // render a template from templates.js and send it
+    sendTemplate: (to, template, data) =>
+      transport.send({ from, to, ...templates[template](data) }),
+  };
+};
+
+let mailer;
+
+// the app-wide mailer, created on first use
+export const getMailer = () => (mailer ||= createMailer());
+
+// swap the app-wide mailer, e.g. for a capturing one in tests
+export const setMailer = (next) => {
+  mailer = next;
+};
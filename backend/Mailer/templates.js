@@ -0,0 +1,31 @@
+// each template returns { subject, text, html }
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+export const verifyEmail = ({ name, link }) => ({
+  subject: "Verify your email",
+  text: `Hi ${name},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you didn't create an account you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Confirm your email address by opening this link:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>If you didn't create an account you can ignore this email.</p>`,
+});
+
+export const resetPassword = ({ name, link, minutes }) => ({
+  subject: "Reset your password",
+  text: `Hi ${name},\n\nReset your password with this link, it expires in ${minutes} minutes:\n${link}\n\nIf you didn't ask for a reset you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Reset your password with this link, it expires in ${minutes} minutes:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>If you didn't ask for a reset you can ignore this email.</p>`,
+});
+
+// lines are [{ title, variantLabel, qty, lineTotal }]
+export const abandonedCart = ({ name, lines, total, currency, link }) => {
+  const describe = (line) =>
+    `${line.qty} x ${line.title}${line.variantLabel ? ` (${line.variantLabel})` : ""}`;
+  return {
+    subject: "You left something in your cart",
+    text: `Hi ${name},\n\nYour cart is waiting for you:\n${lines.map((line) => `- ${describe(line)}`).join("\n")}\n\nTotal: ${currency} ${total}\n\nPick up where you left off:\n${link}`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Your cart is waiting for you:</p><ul>${lines.map((line) => `<li>${escapeHtml(describe(line))}</li>`).join("")}</ul><p>Total: ${escapeHtml(currency)} ${total}</p><p><a href="${escapeHtml(link)}">Pick up where you left off</a></p>`,
+  };
+};
+
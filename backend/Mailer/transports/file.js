@@ -0,0 +1,31 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// writes every message to MAIL_DIR as JSON, for local development and tests
+export const fileTransport = (options) => {
+  const dir = options.dir;
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      // the uuid keeps two mails to one recipient in the same millisecond apart
+      const file = path.join(
+        dir,
+        `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}-${crypto.randomUUID()}.json`
+      );
+      await fs.writeFile(file, JSON.stringify(message, null, 2), { flag: "wx" });
+      return { file };
+    },
+  };
+};
+
+// prints every message instead of sending it
+export const consoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(`[mail] to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  },
+});
@@ -0,0 +1,17 @@
+import nodemailer from "nodemailer";
+
+// delivery through any SMTP server, e.g. MailHog for testing
+export const smtpTransport = (options) => {
+  const { host, port, secure, user, pass } = options.smtp;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
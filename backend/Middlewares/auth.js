@@ -1,21 +1,86 @@
-import jwt from "jsonwebtoken";
 import { User } from "../Models/User.js";
+import { verifyAccessToken } from "../Services/session.js";
+import { guestCartId } from "../Validators/cart.js";
+import { AppError, badRequest, forbidden, unauthorized } from "../Utils/errors.js";
+
+// permissions granted to each role
+const rolePermissions = {
+  user: [],
+  admin: [
+    "product:write",
+    "category:write",
+    "user:read",
+    "order:read",
+    "order:write",
+    "review:moderate",
+    "coupon:write",
+    "cart:read",
+    "cart:write",
+  ],
+};
+
+export const hasPermission = (user, permission) =>
+  (rolePermissions[user?.role] || []).includes(permission);
 
 export const Authenticated = async (req, res, next) => {
   const token = req.header("Auth");
 
-  if (!token) return res.json({ message: "Login first" });
+  if (!token) throw unauthorized("Login first");
 
-  const decoded = jwt.verify(token, "!@#$%^&*()");
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    throw unauthorized("Invalid or expired token");
+  }
 
   const id = decoded.userId;
 
   let user = await User.findById(id);
 
-  if (!user) return res.json({ message: "User not exist" });
+  if (!user) throw unauthorized("User not exist");
+
+  // logged out everywhere since this token was issued
+  if ((decoded.tv || 0) !== user.tokenVersion)
+    throw unauthorized("Session has ended");
 
   req.user = user;
   next();
+};
+
+// Authenticated when an Auth token is sent, otherwise a guest without req.user
+export const OptionalAuthenticated = (req, res, next) =>
+  req.header("Auth")?.trim() ? Authenticated(req, res, next) : next();
+
+// a visitor's guest cart id from the Cart-Id header as req.guestCartId
+export const GuestCart = (req, res, next) => {
+  const header = req.header("Cart-Id");
+  if (header) {
+    const result = guestCartId.safeParse(header);
+    if (!result.success) throw badRequest("Invalid Cart-Id header");
+    req.guestCartId = result.data;
+  }
+  next();
+};
+
+// allow only the given roles or permissions, e.g. Authorized("product:write")
+export const Authorized = (...allowed) => (req, res, next) => {
+  const user = req.user;
 
-  // console.log(decoded)
-};
\ No newline at end of file
+  if (!user) throw unauthorized("Login first");
+
+  const permitted = allowed.some(
+    (rule) => rule === user.role || hasPermission(user, rule)
+  );
+
+  if (!permitted) throw forbidden();
+
+  next();
+};
+
+// block accounts that haven't confirmed their email, use after Authenticated
+export const Verified = (req, res, next) => {
+  if (req.user?.emailVerified === false)
+    throw new AppError(403, "EMAIL_NOT_VERIFIED", "Please verify your email address first");
+  next();
+};
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import { AppError } from "../Utils/errors.js";
+
+const envelope = (code, message, details) => ({
+  success: false,
+  code,
+  message,
+  ...(details !== undefined && { details }),
+});
+
+// map anything thrown in a handler to a status and error envelope
+const normalize = (err) => {
+  if (err instanceof AppError)
+    return [err.status, envelope(err.code, err.message, err.details)];
+
+  if (err instanceof mongoose.Error.ValidationError)
+    return [
+      400,
+      envelope(
+        "VALIDATION_ERROR",
+        "Validation failed",
+        Object.values(err.errors).map((e) => ({ path: e.path, message: e.message }))
+      ),
+    ];
+
+  if (err instanceof mongoose.Error.CastError)
+    return [400, envelope("INVALID_ID", `Invalid ${err.path}: ${err.value}`)];
+
+  if (err?.code === 11000)
+    return [
+      409,
+      envelope("DUPLICATE", "Already exists", { fields: Object.keys(err.keyValue || {}) }),
+    ];
+
+  if (err instanceof multer.MulterError)
+    return err.code === "LIMIT_FILE_SIZE"
+      ? [413, envelope("FILE_TOO_LARGE", "Uploaded file is too large")]
+      : [400, envelope("UPLOAD_ERROR", err.message, { field: err.field })];
+
+  // body-parser rejected the request body
+  if (err?.type === "entity.parse.failed")
+    return [400, envelope("INVALID_JSON", "Request body is not valid JSON")];
+
+  return null;
+};
+
+// unknown routes
+export const notFoundHandler = (req, res) => {
+  res
+    .status(404)
+    .json(envelope("NOT_FOUND", `Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// central error handler, Express needs all four arguments to treat it as one
+export const errorHandler = (err, req, res, next) => {
+  const known = normalize(err);
+  if (known) {
+    const [status, body] = known;
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(status).json(body);
+  }
+
+  console.log(err);
+  res.status(500).json(envelope("INTERNAL_ERROR", "Something went wrong"));
+};
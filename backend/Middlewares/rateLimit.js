@@ -0,0 +1,71 @@
+import { getRateLimitStore, secondsUntil } from "../RateLimit/index.js";
+import { tooManyRequests } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
+
+const minutes = (n) => n * 60 * 1000;
+
+// the logged in user when there is one, else the client address
+const clientKey = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// `max` requests per `windowMs` for each key, failing open when the store is down
+export const rateLimit =
+  ({ name, windowMs, max, key = clientKey }) =>
+  async (req, res, next) => {
+    let hit;
+    try {
+      hit = await getRateLimitStore().increment(`${name}:${key(req)}`, windowMs);
+    } catch (error) {
+      console.log(error);
+      return next();
+    }
+
+    const retryAfter = secondsUntil(hit.resetAt);
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(max - hit.count, 0)),
+      "RateLimit-Reset": String(retryAfter),
+    });
+
+    if (hit.count > max)
+      throw tooManyRequests("Too many requests, please try again later", retryAfter);
+    next();
+  };
+
+// login attempts per client address, see loginGuard for the per-account lockout
+export const loginLimiter = rateLimit({
+  name: "login",
+  windowMs: minutes(15),
+  max: config.rateLimit.login,
+  key: (req) => req.ip,
+});
+
+// sign ups per client address
+export const registerLimiter = rateLimit({
+  name: "register",
+  windowMs: minutes(60),
+  max: config.rateLimit.register,
+  key: (req) => req.ip,
+});
+
+// reset and verification emails per client address
+export const mailLimiter = rateLimit({
+  name: "mail-ip",
+  windowMs: minutes(60),
+  max: config.rateLimit.mailIp,
+  key: (req) => req.ip,
+});
+
+// the same emails per recipient, after validation has lowercased the email
+export const mailRecipientLimiter = rateLimit({
+  name: "mail",
+  windowMs: minutes(60),
+  max: config.rateLimit.mail,
+  key: (req) => (req.user ? `user:${req.user._id}` : `email:${req.body.email}`),
+});
+
+// cart, address and payment changes per user
+export const writeLimiter = rateLimit({
+  name: "write",
+  windowMs: minutes(1),
+  max: config.rateLimit.write,
+});
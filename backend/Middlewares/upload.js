@@ -0,0 +1,21 @@
+import multer from "multer";
+import { badRequest } from "../Utils/errors.js";
+
+// at most maxFiles uploads in memory, each checked for size and type first
+const memoryUpload = ({ maxBytes, maxFiles, accept }) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      if (accept(file)) return cb(null, true);
+      cb(badRequest(`Unsupported file type '${file.originalname}'`));
+    },
+  });
+
+// a single file of one field as req.file
+export const uploadFile = (field, { maxBytes, accept }) =>
+  memoryUpload({ maxBytes, maxFiles: 1, accept }).single(field);
+
+// up to maxFiles files of one field as req.files
+export const uploadFiles = (field, { maxBytes, maxFiles, accept }) =>
+  memoryUpload({ maxBytes, maxFiles, accept }).array(field, maxFiles);
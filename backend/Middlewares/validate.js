@@ -0,0 +1,24 @@
+import { AppError } from "../Utils/errors.js";
+
+// parse the request against zod schemas, e.g. validate({ body: loginSchema })
+export const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const part of ["params", "query", "body"]) {
+    if (!schemas[part]) continue;
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (result.success) req[part] = result.data;
+    else
+      details.push(
+        ...result.error.issues.map((issue) => ({
+          in: part,
+          path: issue.path.join("."),
+          message: issue.message,
+        }))
+      );
+  }
+
+  if (details.length)
+    return next(new AppError(400, "VALIDATION_ERROR", "Validation failed", details));
+  next();
+};
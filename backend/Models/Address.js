@@ -1,19 +1,63 @@
 import mongoose from "mongoose";
+import { isValidPhone, isValidPincode } from "../Utils/addressFormats.js";
 
 const addressSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    require: true,
+    required: true,
   },
-  fullName: { type: String, require: true },
-  address: { type: String, require: true },
-  city: { type: String, require: true },
-  state: { type: String, require: true },
-  country: { type: String, require: true },
-  pincode: { type: String, require: true }, 
-  phoneNumber: { type: String, require: true },
+  fullName: { type: String, required: true, trim: true },
+  address: { type: String, required: true, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, required: true, trim: true },
+  country: { type: String, required: true, trim: true },
+  pincode: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function (pincode) {
+        return isValidPincode(this.country, pincode);
+      },
+      message: (props) => `${props.value} is not a valid postal code`,
+    },
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function (phone) {
+        return isValidPhone(this.country, phone);
+      },
+      message: (props) => `${props.value} is not a valid phone number`,
+    },
+  },
+  isDefault: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// recheck pincode and phone when the country changes, their formats depend on it
+addressSchema.pre("validate", function (next) {
+  if (!this.isNew && this.isModified("country")) {
+    this.markModified("pincode");
+    this.markModified("phoneNumber");
+  }
+  next();
 });
 
-export const Address = mongoose.model("Address", addressSchema);
\ No newline at end of file
+// at most one default address per user
+addressSchema.index(
+  { userId: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+// copy of the address to store on an order
+addressSchema.methods.toShipping = function () {
+  const { fullName, address, city, state, country, pincode, phoneNumber } = this;
+  return { fullName, address, city, state, country, pincode, phoneNumber };
+};
+
+export const Address = mongoose.model("Address", addressSchema);
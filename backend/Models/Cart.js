@@ -1,13 +1,17 @@
 import mongoose from "mongoose";
+import { config } from "../Config/index.js";
 
 const cartItemSchema = new mongoose.Schema({
   productId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: "Product",
+    ref: "Products",
     require: true,
   },
+  // the chosen variant, for products sold in several options
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  variantLabel: { type: String },
   title: { type: String, require: true },
-  price: { type: Number, require: true }, 
+  price: { type: Number, require: true }, // unit price when added
   qty: { type: Number, require: true },
   imgSrc: { type: String, require: true },
 });      
@@ -15,12 +19,38 @@ const cartItemSchema = new mongoose.Schema({
   
 
 const cartSchema = new mongoose.Schema({
+  // the owner, or guestId for a visitor who hasn't logged in
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    require: true,
   },
+  // random id the visitor's client keeps and sends as the Cart-Id header
+  guestId: { type: String },
   items: [cartItemSchema],
+  // coupon code applied to the cart, checked again at checkout
+  coupon: { type: String },
+  // guest carts only, mongo deletes them once this passes
+  expiresAt: { type: Date },
+  // set without touching updatedAt, so a later change makes the cart due again
+  reminderCheckedAt: { type: Date },
+}, { timestamps: true });
+
+cartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ updatedAt: 1 });
+
+const guestExpiry = () =>
+  new Date(Date.now() + config.guestCartTtlDays * 24 * 60 * 60 * 1000);
+
+cartSchema.pre("save", function (next) {
+  if (this.guestId) this.expiresAt = guestExpiry();
+  next();
+});
+
+// changes made by update instead of save push a guest cart's expiry back too
+cartSchema.pre(["updateOne", "findOneAndUpdate"], function (next) {
+  if (this.getFilter().guestId) this.set({ expiresAt: guestExpiry() });
+  next();
 });
 
 export const Cart = mongoose.model('Cart',cartSchema)
\ No newline at end of file
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// one abandoned cart reminder, as it was sent or tried
+const cartReminderSchema = new mongoose.Schema({
+  cartId: { type: mongoose.Schema.Types.ObjectId, ref: "Cart", required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // the notifier that handled it, and where it went
+  notifier: { type: String, required: true },
+  to: { type: String },
+  // the cart as the reminder described it
+  items: [
+    {
+      _id: false,
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: "Products" },
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      title: String,
+      qty: Number,
+      unitPrice: Number,
+    },
+  ],
+  value: { type: Number, default: 0 },
+  status: { type: String, enum: ["sent", "failed"], required: true },
+  error: { type: String },
+  // the cart's updatedAt, i.e. when it was last touched before the reminder
+  cartUpdatedAt: { type: Date },
+  sentAt: { type: Date, default: Date.now },
+});
+
+cartReminderSchema.index({ sentAt: -1 });
+cartReminderSchema.index({ userId: 1, sentAt: -1 });
+
+export const CartReminder = mongoose.model("CartReminder", cartReminderSchema);
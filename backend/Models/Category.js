@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { attributeTypes } from "../Utils/categories.js";
+
+// something every product under the category describes, e.g. screen size
+const attributeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: attributeTypes, default: "text" },
+    // the choices of a select attribute
+    values: [{ type: String, trim: true }],
+    unit: { type: String, trim: true },
+    required: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  description: { type: String, trim: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+  // ids from the root down to the parent
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  // place among its siblings, lowest first
+  position: { type: Number, default: 0 },
+  attributes: [attributeSchema],
+  createdAt: { type: Date, default: Date.now },
+});
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, position: 1 });
+
+// the ancestors and the category itself, null when it doesn't exist
+categorySchema.statics.trail = async function (id) {
+  const category = mongoose.isValidObjectId(id) && (await this.findById(id));
+  if (!category) return null;
+
+  const ancestors = await this.find({ _id: { $in: category.ancestors } });
+  const byId = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor]));
+  return [...category.ancestors.map((id) => byId.get(String(id))).filter(Boolean), category];
+};
+
+export const Category = mongoose.model("Category", categorySchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+});
+
+// atomically take the next number of sequence `name`, starting at 1
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export const Counter = mongoose.model("Counter", counterSchema);
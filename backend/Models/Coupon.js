@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: { type: String },
+  type: { type: String, enum: ["percentage", "flat"], required: true },
+  // percent off for percentage coupons, amount off for flat ones
+  value: { type: Number, required: true, min: 0 },
+  // upper bound on a percentage discount
+  maxDiscount: { type: Number, min: 0 },
+  minCartValue: { type: Number, default: 0 },
+  // when set, only lines in these categories or below are discounted
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Products" }],
+  usageLimit: { type: Number, min: 0 }, // across all users, unlimited if unset
+  perUserLimit: { type: Number, min: 0, default: 1 },
+  usedCount: { type: Number, default: 0 },
+  redemptions: [
+    {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+      at: { type: Date, default: Date.now },
+    },
+  ],
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+couponSchema.path("value").validate(function (value) {
+  return this.type !== "percentage" || value <= 100;
+}, "A percentage discount can't exceed 100");
+
+export const Coupon = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String },
+    email: { type: String },
+    address: { type: String },
+    city: { type: String },
+    state: { type: String },
+    country: { type: String },
+    pincode: { type: String },
+    phoneNumber: { type: String },
+    gstin: { type: String },
+  },
+  { _id: false }
+);
+
+// amounts of one invoice line, or of the whole invoice
+const taxFields = {
+  taxable: { type: Number, required: true },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+};
+
+const invoiceItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Products" },
+    variantId: { type: mongoose.Schema.Types.ObjectId },
+    title: { type: String, required: true },
+    variantLabel: { type: String },
+    sku: { type: String },
+    qty: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    // coupon discount taken off this line
+    discount: { type: Number, default: 0 },
+    rate: { type: Number, required: true },
+    ...taxFields,
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// a tax invoice, copied at issue so later changes don't alter it
+const invoiceSchema = new mongoose.Schema({
+  // taken once the invoice is stored, see Services/invoice.js
+  number: { type: String, unique: true, sparse: true },
+  // while set, a caller is numbering the invoice
+  claimedAt: { type: Date },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+    unique: true,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  issuedAt: { type: Date, default: Date.now },
+  seller: partySchema,
+  buyer: partySchema,
+  // CGST + SGST when buyer and seller are in the same state, IGST otherwise
+  intraState: { type: Boolean, required: true },
+  // whether its prices include GST
+  taxInclusive: { type: Boolean, default: true },
+  items: [invoiceItemSchema],
+  // the shipping charge and its GST
+  shipping: { amount: { type: Number, default: 0 }, ...taxFields },
+  totals: {
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 },
+    ...taxFields,
+    total: { type: Number, required: true },
+  },
+  currency: { type: String, required: true },
+  payment: {
+    provider: { type: String },
+    paymentId: { type: String },
+  },
+});
+
+invoiceSchema.index({ issuedAt: 1 });
+
+export const Invoice = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import { config } from "../Config/index.js";
+
+// allowed status moves, cod orders go straight to confirmed
+export const orderTransitions = {
+  pending: ["paid", "confirmed", "cancelled"],
+  confirmed: ["packed", "cancelled"],
+  paid: ["packed", "cancelled", "refunded"],
+  packed: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+export const orderStatuses = Object.keys(orderTransitions);
+
+export const canTransition = (from, to) =>
+  (orderTransitions[from] || []).includes(to);
+
+export const returnReasons = [
+  "damaged",
+  "defective",
+  "wrong_item",
+  "not_as_described",
+  "no_longer_needed",
+  "other",
+];
+
+export const returnStatuses = ["requested", "approved", "rejected"];
+
+// an amount's taxable value and GST heads
+const taxSchema = new mongoose.Schema(
+  {
+    taxable: { type: Number },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const orderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Products",
+    required: true,
+  },
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  variantLabel: { type: String },
+  sku: { type: String },
+  title: { type: String, required: true },
+  price: { type: Number, required: true }, // unit price at time of purchase
+  qty: { type: Number, required: true, min: 1 },
+  imgSrc: { type: String },
+  // the item's share of the discount, its GST and what was paid for it
+  discount: { type: Number },
+  tax: taxSchema,
+  total: { type: Number },
+});
+
+const shippingSchema = new mongoose.Schema(
+  {
+    fullName: { type: String },
+    address: { type: String },
+    city: { type: String },
+    state: { type: String },
+    country: { type: String },
+    pincode: { type: String },
+    phoneNumber: { type: String },
+  },
+  { _id: false }
+);
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: orderStatuses, required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String },
+  },
+  { _id: false }
+);
+
+// a customer's request to send items back
+const returnSchema = new mongoose.Schema({
+  items: [
+    {
+      _id: false,
+      itemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      qty: { type: Number, required: true, min: 1 },
+      reason: { type: String, enum: returnReasons },
+    },
+  ],
+  reason: { type: String, enum: returnReasons, required: true },
+  comment: { type: String },
+  status: { type: String, enum: returnStatuses, default: "requested" },
+  // whether the units went back on sale when it was approved
+  restocked: { type: Boolean, default: false },
+  // the admin's decision
+  note: { type: String },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  decidedAt: { type: Date },
+  requestedAt: { type: Date, default: Date.now },
+});
+
+const refundSchema = new mongoose.Schema({
+  // the provider's id, set once it has accepted the refund
+  refundId: { type: String },
+  amount: { type: Number, required: true },
+  // manual when it's paid back outside the app
+  status: {
+    type: String,
+    enum: ["pending", "processed", "manual"],
+    default: "processed",
+  },
+  // sent to the provider, so its webhook can be matched to this record
+  receipt: { type: String },
+  reason: { type: String },
+  returnId: { type: mongoose.Schema.Types.ObjectId },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  processedAt: { type: Date, default: Date.now },
+});
+
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [(items) => items.length > 0, "Order has no items"],
+  },
+  pricing: {
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    currency: { type: String, default: () => config.currency },
+    // older orders have no rate, their prices included GST
+    gst: {
+      rate: { type: Number },
+      inclusive: { type: Boolean },
+      intraState: { type: Boolean },
+      shipping: taxSchema,
+    },
+    // the shipping rules' zone and the parcel's weight in grams
+    shippingZone: { type: String },
+    weight: { type: Number },
+  },
+  userShipping: shippingSchema,
+  // coupon redeemed by this order
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    code: { type: String },
+    discount: { type: Number },
+  },
+  payment: {
+    provider: { type: String, default: "razorpay" },
+    orderId: { type: String, index: true },
+    paymentId: { type: String },
+    signature: { type: String },
+    // created, paid, failed, on_delivery, partially_refunded or refunded
+    status: { type: String, default: "created" },
+    failureReason: { type: String },
+    refunds: [refundSchema],
+    // ids of webhook events already applied to this order
+    webhookEvents: [{ type: String }],
+  },
+  // stock held for this order while payment is pending
+  reservation: {
+    status: {
+      type: String,
+      enum: ["held", "committed", "released", "failed"],
+      default: "held",
+    },
+    expiresAt: { type: Date, index: true },
+    releasedAt: { type: Date },
+  },
+  returns: [returnSchema],
+  status: { type: String, enum: orderStatuses, default: "pending" },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: () => [{ status: "pending" }],
+  },
+  orderDate: { type: Date, default: Date.now },
+});
+
+// atomically move an order to `to`, null when that isn't allowed or lost a race
+orderSchema.statics.transition = function (filter, to, options = {}) {
+  const { by, note, update = {} } = options;
+  const from = orderStatuses.filter((status) => canTransition(status, to));
+
+  return this.findOneAndUpdate(
+    { $and: [filter, { status: { $in: from } }] },
+    {
+      ...update,
+      $set: { ...update.$set, status: to },
+      $push: { ...update.$push, statusHistory: { status: to, by, note } },
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+export const Order = mongoose.model("Order", orderSchema);
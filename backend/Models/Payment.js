@@ -1,8 +1,22 @@
 import mongoose from 'mongoose'
 
+// legacy payments, only read by migratePayments
 const paymentSchema = new mongoose.Schema({
+    orderId:{type:String},
+    paymentId:{type:String},
+    signature:{type:String},
+    amount:{type:Number},
+    orderItems:[{}],
+    userId:{type:String},
+    userShipping:{},
     orderDate:{type:Date,default:Date.now},
-    payStatus:{type:String}
-},{strict:false})
+    payStatus:{type:String},
+    webhookEvents:[{type:String}],
+    refunds:[{
+        refundId:{type:String},
+        amount:{type:Number},
+        processedAt:{type:Date},
+    }],
+},{strict:false, autoIndex:false})
 
-export const Payment = mongoose.model('Payment',paymentSchema);
\ No newline at end of file
+export const Payment = mongoose.model('Payment',paymentSchema);
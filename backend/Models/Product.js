@@ -1,13 +1,138 @@
 import mongoose from "mongoose";
+import { searchIndex } from "../Utils/search.js";
+import { variantProblem, variantTotals } from "../Utils/variants.js";
+import { attributeProblem, trailAttributes } from "../Utils/categories.js";
+import { Category } from "./Category.js";
+
+// an option axis such as size or color, and the values it comes in
+const optionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+// one combination of option values with its own sku, price and stock
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, required: true },
+  price: { type: Number, required: true, min: 0 },
+  qty: { type: Number, required: true, min: 0 },
+  imgSrc: { type: String },
+});
+
+// an uploaded gallery image and its renditions, see Services/images.js
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  webp: { type: String },
+  thumbnail: { type: String },
+  thumbnailWebp: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+  alt: { type: String, trim: true },
+  // storage keys of every file above, to delete them with the image
+  keys: [String],
+  createdAt: { type: Date, default: Date.now },
+});
 
 const productSchema = new mongoose.Schema({
+  // stock keeping unit, the key catalog imports upsert by
+  sku: { type: String, trim: true, unique: true, sparse: true },
   title: { type: String, require: true },
   description: { type: String, require: true },
   price: { type: Number, require: true },
-  category: { type: String, require: true },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", required: true },
+  // ids of the category's trail, so a parent category finds the product too
+  categoryPath: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  // values for the attributes the category asks for, by attribute name
+  attributes: { type: Map, of: mongoose.Schema.Types.Mixed },
   qty: { type: Number, require: true },
+  // shipping weight in grams, the rules' defaultWeight when unset
+  weight: { type: Number, min: 0 },
+  // primary image, the first of images once any are uploaded
   imgSrc: { type: String, require: true },
+  // ordered gallery of uploaded images
+  images: [imageSchema],
+  options: [optionSchema],
+  variants: [variantSchema],
+  // units sold, used to sort by popularity
+  soldCount: { type: Number, default: 0 },
+  // kept in sync with visible reviews by refreshProductRating
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  // search index, rebuilt whenever title, description or category change
+  searchTokens: {
+    type: new mongoose.Schema(
+      { title: [String], category: [String], description: [String] },
+      { _id: false }
+    ),
+    select: false,
+  },
+  searchGrams: { type: [String], select: false },
   createdAt: { type: Date, default: Date.now },
 });
 
+// list a variant product at its cheapest price and total stock
+productSchema.pre("validate", function (next) {
+  if (!this.variants?.length) return next();
+
+  const problem = variantProblem(this.options, this.variants);
+  if (problem) this.invalidate("variants", problem);
+  else this.set(variantTotals(this.variants));
+  next();
+});
+
+// the categoryPath and search index for a product filed under the trail
+export const categoryFields = (product, trail) => ({
+  categoryPath: trail.map((category) => category._id),
+  ...searchIndex({
+    title: product.title,
+    description: product.description,
+    category: trail.map((category) => category.name).join(" "),
+  }),
+});
+
+const needsIndexing = (doc) =>
+  doc.isNew || ["title", "description", "category"].some((path) => doc.isModified(path));
+
+// file the product under its category and check its attributes
+productSchema.pre("validate", async function () {
+  if (!needsIndexing(this) && !this.isModified("attributes")) return;
+
+  const trail = this.category && (await Category.trail(this.category));
+  if (!trail) return this.invalidate("category", "Unknown category");
+
+  const problem = attributeProblem(trailAttributes(trail), this.attributes);
+  if (problem) this.invalidate("attributes", problem);
+  this.$locals.trail = trail;
+});
+
+productSchema.pre("save", function (next) {
+  if (needsIndexing(this) && this.$locals.trail)
+    this.set(categoryFields(this, this.$locals.trail));
+  next();
+});
+
+productSchema.pre("insertMany", function (next, docs) {
+  Promise.all(
+    docs.map(async (doc) => {
+      const trail = await Category.trail(doc.category);
+      if (trail) Object.assign(doc, categoryFields(doc, trail));
+    })
+  ).then(() => next(), next);
+});
+
+productSchema.index({ categoryPath: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ soldCount: -1 });
+productSchema.index({ ratingAverage: -1, ratingCount: -1 });
+productSchema.index({ searchGrams: 1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+// the variant with this id, undefined when it's gone
+productSchema.methods.findVariant = function (variantId) {
+  return variantId ? this.variants.id(variantId) : undefined;
+};
+
 export const Products = mongoose.model("Products",productSchema)
\ No newline at end of file
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// one fixed-window counter, shared by every backend instance
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, required: true },
+  resetAt: { type: Date, required: true },
+});
+
+// mongo drops counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
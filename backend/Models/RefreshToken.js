@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // only a hash is stored, the client holds the token
+  tokenHash: { type: String, required: true, unique: true },
+  // every token rotated from the same login shares a family
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  replacedBy: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// mongo drops tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Products",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: [Number.isInteger, "Rating must be a whole number of stars"],
+  },
+  title: { type: String, trim: true, maxlength: 120 },
+  comment: { type: String, trim: true, maxlength: 2000 },
+  verifiedPurchase: { type: Boolean, default: false },
+  // hidden reviews are kept for moderators but don't count or show
+  hidden: { type: Boolean, default: false },
+  moderation: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    at: { type: Date },
+    reason: { type: String },
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// one review per customer per product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, hidden: 1, createdAt: -1 });
+
+export const Review = mongoose.model("Review", reviewSchema);
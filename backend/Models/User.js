@@ -1,10 +1,28 @@
 import mongoose from "mongoose";
 
+export const roles = ["user", "admin"];
+
 const userSchema = new mongoose.Schema({
     name:{type:String,require:true},
-    email:{type:String,require:true},
+    // stored lowercased, see migrateUserEmails for accounts from before
+    email:{type:String,require:true,lowercase:true,trim:true,unique:true},
     password:{type:String,require:true},
+    role:{type:String,enum:roles,default:"user"},
+    // no default: accounts from before verification existed count as verified
+    emailVerified:{type:Boolean},
+    emailVerifiedAt:{type:Date},
+    // bumped to invalidate every access token, see endAllSessions
+    tokenVersion:{type:Number,default:0},
     createdAt:{type:Date,default:Date.now},
 })
 
-export const User = mongoose.model("User",userSchema)
\ No newline at end of file
+// never send the password hash or token version to clients
+userSchema.set("toJSON", {
+    transform: (doc, ret) => {
+        delete ret.password
+        delete ret.tokenVersion
+        return ret
+    }
+})
+
+export const User = mongoose.model("User",userSchema)
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+export const userTokenTypes = ["verify_email", "reset_password"];
+
+// single-use tokens mailed to users
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: { type: String, enum: userTokenTypes, required: true },
+  // sha256 of the token that was emailed
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+userTokenSchema.index({ userId: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema);
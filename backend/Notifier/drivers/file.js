@@ -0,0 +1,29 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import * as templates from "../../Mailer/templates.js";
+
+// writes every notification to NOTIFIER_DIR as JSON
+export const fileDriver = (options) => ({
+  name: "file",
+  notify: async ({ user, template, data }) => {
+    await fs.mkdir(options.dir, { recursive: true });
+    const file = path.join(
+      options.dir,
+      `${Date.now()}-${template}-${String(user._id)}-${crypto.randomUUID()}.json`
+    );
+    const message = { to: user.email, template, data, ...templates[template](data) };
+    await fs.writeFile(file, JSON.stringify(message, null, 2), { flag: "wx" });
+    return { to: user.email, file };
+  },
+});
+
+// prints every notification instead of sending it
+export const consoleDriver = () => ({
+  name: "console",
+  notify: async ({ user, template, data }) => {
+    const { subject, text } = templates[template](data);
+    console.log(`[notify] to ${user.email}: ${subject}\n${text}`);
+    return { to: user.email };
+  },
+});
@@ -0,0 +1,10 @@
+import { getMailer } from "../../Mailer/index.js";
+
+// emails the user through the app-wide mailer
+export const mailDriver = () => ({
+  name: "mail",
+  notify: async ({ user, template, data }) => {
+    await getMailer().sendTemplate(user.email, template, data);
+    return { to: user.email };
+  },
+});
@@ -0,0 +1,26 @@
+import { mailDriver } from "./drivers/mail.js";
+import { consoleDriver, fileDriver } from "./drivers/file.js";
+import { config } from "../Config/index.js";
+
+const drivers = {
+  mail: mailDriver,
+  file: fileDriver,
+  console: consoleDriver,
+};
+
+// a driver is { name, notify({ user, template, data }) -> { to } }
+export const createNotifier = (options = config.notifier) => {
+  const name = options.driver;
+  if (!drivers[name]) throw new Error(`Unknown notifier '${name}'`);
+  return drivers[name](options);
+};
+
+let notifier;
+
+// the app-wide notifier
+export const getNotifier = () => (notifier ||= createNotifier());
+
+// swap the app-wide notifier, e.g. for a capturing one in tests
+export const setNotifier = (next) => {
+  notifier = next;
+};
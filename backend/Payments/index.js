@@ -0,0 +1,32 @@
+import { razorpayProvider } from "./providers/razorpay.js";
+import { codProvider } from "./providers/cod.js";
+import { mockProvider } from "./providers/mock.js";
+import { config } from "../Config/index.js";
+
+const providers = {
+  razorpay: razorpayProvider,
+  cod: codProvider,
+  mock: mockProvider,
+};
+
+// a provider is { name, payOnDelivery, createOrder, verifyPayment, refund, parseWebhook }
+export const createPaymentProvider = (name, options = config.payments) => {
+  if (!providers[name]) throw new Error(`Unknown payment provider '${name}'`);
+  return providers[name](options[name] || {});
+};
+
+// providers checkout offers, the first one being the default
+export const enabledPaymentProviders = () => config.payments.providers;
+
+const instances = new Map();
+
+// a provider by name, even one checkout no longer offers
+export const getPaymentProvider = (name) => {
+  if (!instances.has(name)) instances.set(name, createPaymentProvider(name));
+  return instances.get(name);
+};
+
+// swap a provider, e.g. for a capturing one in tests
+export const setPaymentProvider = (name, provider) => {
+  instances.set(name, provider);
+};
@@ -0,0 +1,23 @@
+import { badRequest } from "../../Utils/errors.js";
+
+// cash on delivery, paid once the order is delivered
+export const codProvider = () => ({
+  name: "cod",
+  payOnDelivery: true,
+
+  createOrder: async ({ receipt }) => ({ orderId: `cod_${receipt}`, checkout: {} }),
+
+  // there's nothing to verify until the cash is in
+  verifyPayment: () => false,
+
+  // cash is paid back outside the app, the refund is only recorded
+  refund: async ({ amount, receipt }) => ({
+    refundId: `cod_refund_${receipt}`,
+    amount,
+    status: "manual",
+  }),
+
+  parseWebhook: () => {
+    throw badRequest("Cash on delivery has no webhooks");
+  },
+});
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+import {
+  isValidPaymentSignature,
+  isValidWebhookSignature,
+  signPayment,
+} from "../../Utils/razorpay.js";
+import { badRequest } from "../../Utils/errors.js";
+
+// an offline gateway that takes every payment, for local development and tests
+export const mockProvider = (options) => {
+  const secret = () => {
+    if (!options.secret) throw badRequest("The mock gateway is not configured");
+    return options.secret;
+  };
+
+  const id = (prefix, data) =>
+    `${prefix}_${crypto.createHash("sha256").update(data).digest("hex").slice(0, 14)}`;
+
+  return {
+    name: "mock",
+    payOnDelivery: false,
+
+    // checkout gets a signed payment, ready to post to /verify-payment
+    createOrder: async ({ amount, currency, receipt }) => {
+      const orderId = id("mock_order", receipt);
+      const paymentId = id("mock_pay", receipt);
+      return {
+        orderId,
+        checkout: {
+          orderId,
+          amount,
+          currency,
+          paymentId,
+          signature: signPayment(orderId, paymentId, secret()),
+        },
+      };
+    },
+
+    verifyPayment: ({ orderId, paymentId, signature }) =>
+      Boolean(options.secret) &&
+      isValidPaymentSignature(orderId, paymentId, signature, options.secret),
+
+    refund: async ({ paymentId, amount, receipt }) => ({
+      refundId: id("mock_refund", `${paymentId}|${receipt}`),
+      amount,
+      status: "processed",
+    }),
+
+    // the body is the event itself, signed in X-Mock-Signature
+    parseWebhook: (req) => {
+      if (!isValidWebhookSignature(req.rawBody, req.header("X-Mock-Signature"), secret()))
+        throw badRequest("Invalid webhook signature");
+
+      const { id: eventId, type, orderId, paymentId, failureReason, refund } = req.body || {};
+      if (typeof eventId !== "string" || typeof type !== "string")
+        throw badRequest("Malformed webhook payload");
+      return { id: eventId, type, orderId, paymentId, failureReason, refund };
+    },
+  };
+};
@@ -0,0 +1,87 @@
+import Razorpay from "razorpay";
+import {
+  isValidPaymentSignature,
+  isValidWebhookSignature,
+} from "../../Utils/razorpay.js";
+import { badRequest } from "../../Utils/errors.js";
+
+// Razorpay counts in the smallest currency unit
+const toSubunits = (amount) => Math.round(amount * 100);
+
+export const razorpayProvider = (options) => {
+  let client;
+
+  // made on first use, so the server starts without Razorpay keys
+  const sdk = () => {
+    if (client) return client;
+    client = new Razorpay({ key_id: options.keyId, key_secret: options.keySecret });
+    // point the SDK at a local Razorpay stand-in when testing
+    if (options.apiUrl) client.api.rq.defaults.baseURL = options.apiUrl;
+    return client;
+  };
+
+  return {
+    name: "razorpay",
+    payOnDelivery: false,
+
+    createOrder: async ({ amount, currency, receipt }) => {
+      const order = await sdk().orders.create({
+        amount: toSubunits(amount),
+        currency,
+        receipt,
+      });
+      return {
+        orderId: order.id,
+        // what checkout.js needs to open the payment form
+        checkout: {
+          keyId: options.keyId,
+          orderId: order.id,
+          amount: order.amount,
+          currency: order.currency,
+        },
+      };
+    },
+
+    verifyPayment: ({ orderId, paymentId, signature }) =>
+      isValidPaymentSignature(orderId, paymentId, signature, options.keySecret),
+
+    refund: async ({ paymentId, amount, receipt }) => {
+      const refund = await sdk().payments.refund(paymentId, {
+        amount: toSubunits(amount),
+        receipt,
+      });
+      return { refundId: refund.id, amount: refund.amount / 100, status: refund.status };
+    },
+
+    parseWebhook: (req) => {
+      if (
+        !isValidWebhookSignature(
+          req.rawBody,
+          req.header("X-Razorpay-Signature"),
+          options.webhookSecret
+        )
+      )
+        throw badRequest("Invalid webhook signature");
+
+      const { event, payload } = req.body || {};
+      if (typeof event !== "string") throw badRequest("Malformed webhook payload");
+
+      const payment = payload?.payment?.entity;
+      const refund = payload?.refund?.entity;
+      return {
+        id:
+          req.header("X-Razorpay-Event-Id") ||
+          `${event}:${(refund || payment)?.id}`,
+        type: event,
+        orderId: payment?.order_id,
+        paymentId: payment?.id,
+        failureReason: payment?.error_description,
+        refund: refund && {
+          id: refund.id,
+          amount: refund.amount / 100,
+          receipt: refund.receipt,
+        },
+      };
+    },
+  };
+};
@@ -0,0 +1,29 @@
+import { memoryStore } from "./stores/memory.js";
+import { mongoStore } from "./stores/mongo.js";
+import { config } from "../Config/index.js";
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore,
+};
+
+// a store is { name, increment(key, windowMs), get(key), reset(key) }
+export const createRateLimitStore = (options = config.rateLimit) => {
+  const name = options.store;
+  if (!stores[name]) throw new Error(`Unknown rate limit store '${name}'`);
+  return stores[name](options);
+};
+
+let store;
+
+// the app-wide store
+export const getRateLimitStore = () => (store ||= createRateLimitStore());
+
+// swap the app-wide store, e.g. for a fresh memory store in tests
+export const setRateLimitStore = (next) => {
+  store = next;
+};
+
+// whole seconds left until a window resets, for Retry-After
+export const secondsUntil = (date) =>
+  Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
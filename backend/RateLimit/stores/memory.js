@@ -0,0 +1,36 @@
+// fixed-window counters in this process, fine for a single instance
+export const memoryStore = () => {
+  const counters = new Map();
+
+  // drop expired windows now and then so idle keys don't pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters)
+      if (entry.resetAt <= now) counters.delete(key);
+  }, 60 * 1000);
+  sweeper.unref();
+
+  const current = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt > Date.now()) return entry;
+    counters.delete(key);
+    return null;
+  };
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    get: async (key) => {
+      const entry = current(key);
+      return entry && { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+};
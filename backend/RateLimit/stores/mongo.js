@@ -0,0 +1,44 @@
+import { RateLimit } from "../../Models/RateLimit.js";
+
+// counters shared by every instance, expiry checked on read as the TTL monitor lags
+export const mongoStore = () => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const live = { $gt: ["$resetAt", now] };
+
+    // start a new window or count into the live one, in a single update
+    const entry = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [live, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [live, "$resetAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).catch((error) => {
+      // two first hits raced on the upsert, the loser counts into the winner
+      if (error.code === 11000) return null;
+      throw error;
+    });
+
+    if (!entry) return increment(key, windowMs);
+    return { count: entry.count, resetAt: entry.resetAt };
+  };
+
+  return {
+    name: "mongo",
+    increment,
+    get: async (key) => {
+      const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+      return entry && { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
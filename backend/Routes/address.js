@@ -1,13 +1,49 @@
 import express from "express";
-import { addAddress, getAddress } from "../Controllers/address.js";
+import {
+  addAddress,
+  deleteAddress,
+  getAddress,
+  getAddressById,
+  getAddresses,
+  setDefaultAddress,
+  updateAddress,
+} from "../Controllers/address.js";
 import { Authenticated } from "../Middlewares/auth.js";
+import { validate } from "../Middlewares/validate.js";
+import { writeLimiter } from "../Middlewares/rateLimit.js";
+import { idParams } from "../Validators/common.js";
+import { addAddressSchema, updateAddressSchema } from "../Validators/address.js";
 
 const router = express.Router();
 
 // add address
-router.post("/add", Authenticated, addAddress);
+router.post("/add", Authenticated, writeLimiter, validate({ body: addAddressSchema }), addAddress);
 
-// get address
+// get default address
 router.get('/get',Authenticated, getAddress)
 
-export default router;
\ No newline at end of file
+// all addresses
+router.get("/", Authenticated, getAddresses);
+
+// add address
+router.post("/", Authenticated, writeLimiter, validate({ body: addAddressSchema }), addAddress);
+
+// get address by Id
+router.get("/:id", Authenticated, validate({ params: idParams }), getAddressById);
+
+// update address
+router.put(
+  "/:id",
+  Authenticated,
+  writeLimiter,
+  validate({ params: idParams, body: updateAddressSchema }),
+  updateAddress
+);
+
+// make address the default
+router.put("/:id/default", Authenticated, writeLimiter, validate({ params: idParams }), setDefaultAddress);
+
+// delete address
+router.delete("/:id", Authenticated, writeLimiter, validate({ params: idParams }), deleteAddress);
+
+export default router;
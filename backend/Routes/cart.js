@@ -5,26 +5,75 @@ import {
   removeProductFromCart,
   userCart,
   decreaseProudctQty,
+  cartSummary,
+  cartQuote,
+  applyCoupon,
+  removeCoupon,
+  abandonedCartReport,
+  remindAbandonedCarts,
 } from "../Controllers/cart.js";
 
-import { Authenticated } from '../Middlewares/auth.js';
+import { Authenticated, Authorized, GuestCart, OptionalAuthenticated } from '../Middlewares/auth.js';
+import { validate } from '../Middlewares/validate.js';
+import { writeLimiter } from '../Middlewares/rateLimit.js';
+import {
+  abandonedStatsQuery,
+  addToCartSchema,
+  applyCouponSchema,
+  cartQuoteQuery,
+  decreaseQtySchema,
+  productIdParams,
+  removeFromCartQuery,
+} from '../Validators/cart.js';
 
 const router = express.Router();
 
+// visitors work on a guest cart, coupons need an account
+const CartOwner = [OptionalAuthenticated, GuestCart];
+
 // add To cart
-router.post('/add',Authenticated,addToCart)
+router.post('/add',CartOwner,writeLimiter,validate({ body: addToCartSchema }),addToCart)
 
 // get User Cart
-router.get("/user", Authenticated, userCart);
+router.get("/user", CartOwner, userCart);
+
+// priced cart summary
+router.get("/summary", CartOwner, cartSummary);
+
+// shipping and tax for the user's address, as checkout will charge them
+router.get("/quote", Authenticated, validate({ query: cartQuoteQuery }), cartQuote);
+
+// apply coupon
+router.post("/coupon", Authenticated, writeLimiter, validate({ body: applyCouponSchema }), applyCoupon);
+
+// remove coupon
+router.delete("/coupon", Authenticated, writeLimiter, removeCoupon);
 
 // remove product from cart
-router.delete("/remove/:productId", Authenticated, removeProductFromCart);
+router.delete(
+  "/remove/:productId",
+  CartOwner,
+  writeLimiter,
+  validate({ params: productIdParams, query: removeFromCartQuery }),
+  removeProductFromCart
+);
 
 // clear cart
-router.delete("/clear", Authenticated, clearCart);
+router.delete("/clear", CartOwner, writeLimiter, clearCart);
 
 // decrease items qty
-router.post("/--qty", Authenticated, decreaseProudctQty);
+router.post("/--qty", CartOwner, writeLimiter, validate({ body: decreaseQtySchema }), decreaseProudctQty);
+
+// abandoned cart stats (admin)
+router.get(
+  "/abandoned/stats",
+  Authenticated,
+  Authorized("cart:read"),
+  validate({ query: abandonedStatsQuery }),
+  abandonedCartReport
+);
 
+// send abandoned cart reminders now (admin)
+router.post("/abandoned/remind", Authenticated, Authorized("cart:write"), remindAbandonedCarts);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  addCategory,
+  deleteCategoryById,
+  getCategory,
+  getCategoryTree,
+  updateCategoryById,
+} from "../Controllers/category.js";
+import { Authenticated, Authorized } from "../Middlewares/auth.js";
+import { validate } from "../Middlewares/validate.js";
+import { idParams } from "../Validators/common.js";
+import {
+  addCategorySchema,
+  categoryRefParams,
+  updateCategorySchema,
+} from "../Validators/category.js";
+
+const router = express.Router();
+
+// category tree
+router.get("/", getCategoryTree);
+
+// add category
+router.post(
+  "/add",
+  Authenticated,
+  Authorized("category:write"),
+  validate({ body: addCategorySchema }),
+  addCategory
+);
+
+// get category by id or slug
+router.get("/:ref", validate({ params: categoryRefParams }), getCategory);
+
+// update category by Id
+router.put(
+  "/:id",
+  Authenticated,
+  Authorized("category:write"),
+  validate({ params: idParams, body: updateCategorySchema }),
+  updateCategoryById
+);
+
+// delete category by Id
+router.delete(
+  "/:id",
+  Authenticated,
+  Authorized("category:write"),
+  validate({ params: idParams }),
+  deleteCategoryById
+);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  addCoupon,
+  allCoupons,
+  deleteCoupon,
+  getCouponById,
+  updateCoupon,
+} from "../Controllers/coupon.js";
+import { Authenticated, Authorized } from "../Middlewares/auth.js";
+import { validate } from "../Middlewares/validate.js";
+import { idParams } from "../Validators/common.js";
+import { addCouponSchema, updateCouponSchema } from "../Validators/coupon.js";
+
+const router = express.Router();
+
+router.use(Authenticated, Authorized("coupon:write"));
+
+// add coupon
+router.post("/add", validate({ body: addCouponSchema }), addCoupon);
+
+// all coupons
+router.get("/all", allCoupons);
+
+// get coupon by Id
+router.get("/:id", validate({ params: idParams }), getCouponById);
+
+// update coupon by Id
+router.put("/:id", validate({ params: idParams, body: updateCouponSchema }), updateCoupon);
+
+// delete coupon by Id
+router.delete("/:id", validate({ params: idParams }), deleteCoupon);
+
+export default router;
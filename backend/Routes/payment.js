@@ -1,27 +1,132 @@
 import express from 'express'
 import {
   checkout,
+  paymentProviders,
   verify,
+  webhook,
+} from "../Controllers/payment.js";
+import {
   userOrder,
   allOrders,
-} from "../Controllers/payment.js";
-import {Authenticated} from '../Middlewares/auth.js'
+  getOrderById,
+  updateOrderStatus,
+  cancelOrderById,
+  refundOrderById,
+} from "../Controllers/order.js";
+import { allReturns, createReturn, updateReturn } from "../Controllers/returns.js";
+import { exportInvoices, getOrderInvoice } from "../Controllers/invoice.js";
+import {Authenticated, Authorized, Verified} from '../Middlewares/auth.js'
+import { validate } from '../Middlewares/validate.js'
+import { writeLimiter } from '../Middlewares/rateLimit.js'
+import { idParams } from '../Validators/common.js'
+import {
+  cancelOrderSchema,
+  checkoutSchema,
+  invoiceExportQuery,
+  orderStatusSchema,
+  ordersQuery,
+  refundSchema,
+  returnDecisionSchema,
+  returnParams,
+  returnRequestSchema,
+  returnsQuery,
+  verifySchema,
+  webhookParams,
+} from '../Validators/payment.js'
 
 const router = express.Router();
 
+// payment providers checkout offers
+router.get('/providers',paymentProviders)
+
 // checkout
-router.post('/checkout',checkout);
+router.post('/checkout',Authenticated,Verified,writeLimiter,validate({ body: checkoutSchema }),checkout);
 
 // verify-payment & save to db
-router.post('/verify-payment',verify)
+router.post('/verify-payment',Authenticated,writeLimiter,validate({ body: verifySchema }),verify)
+
+// payment provider webhooks, Razorpay's at plain /webhook
+router.post(['/webhook','/webhook/:provider'],validate({ params: webhookParams }),webhook)
 
 // user order
 router.get("/userorder",Authenticated, userOrder);
 
 // All order's
-router.get("/orders", allOrders);
+router.get(
+  "/orders",
+  Authenticated,
+  Authorized("order:read"),
+  validate({ query: ordersQuery }),
+  allOrders
+);
+
+// single order
+router.get("/orders/:id", Authenticated, validate({ params: idParams }), getOrderById);
+
+// invoice PDF of a paid order
+router.get("/orders/:id/invoice", Authenticated, validate({ params: idParams }), getOrderInvoice);
+
+// invoices issued in a date range, as a ZIP
+router.get(
+  "/invoices/export",
+  Authenticated,
+  Authorized("order:read"),
+  validate({ query: invoiceExportQuery }),
+  exportInvoices
+);
+
+// move order to another status
+router.put(
+  "/orders/:id/status",
+  Authenticated,
+  Authorized("order:write"),
+  validate({ params: idParams, body: orderStatusSchema }),
+  updateOrderStatus
+);
+
+// cancel an order before it ships (owner or admin)
+router.post(
+  "/orders/:id/cancel",
+  Authenticated,
+  writeLimiter,
+  validate({ params: idParams, body: cancelOrderSchema }),
+  cancelOrderById
+);
+
+// refund some or all of an order's payment
+router.post(
+  "/orders/:id/refund",
+  Authenticated,
+  Authorized("order:write"),
+  validate({ params: idParams, body: refundSchema }),
+  refundOrderById
+);
 
+// ask to return items of a delivered order
+router.post(
+  "/orders/:id/returns",
+  Authenticated,
+  writeLimiter,
+  validate({ params: idParams, body: returnRequestSchema }),
+  createReturn
+);
 
+// approve or reject a return
+router.put(
+  "/orders/:id/returns/:returnId",
+  Authenticated,
+  Authorized("order:write"),
+  validate({ params: returnParams, body: returnDecisionSchema }),
+  updateReturn
+);
 
+// orders with returns
+router.get(
+  "/returns",
+  Authenticated,
+  Authorized("order:read"),
+  validate({ query: returnsQuery }),
+  allReturns
+);
 
-export default router
\ No newline at end of file
+export default router
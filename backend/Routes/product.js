@@ -1,22 +1,82 @@
 import express from 'express'
-import { addProduct, deleteProductById, getProductById, getProducts, updateProductById } from '../Controllers/product.js';
+import { addProduct, deleteProductById, deleteProductImage, getProductById, getProducts, importProducts, reorderProductImages, searchProduct, suggestProduct, updateProductById, updateProductImage, uploadProductImages } from '../Controllers/product.js';
+import { Authenticated, Authorized } from '../Middlewares/auth.js';
+import { validate } from '../Middlewares/validate.js';
+import { uploadFile, uploadFiles } from '../Middlewares/upload.js';
+import { catalogFormat } from '../Services/catalogImport.js';
+import { imageTypes, maxGalleryImages } from '../Services/images.js';
+import { config } from '../Config/index.js';
+import { idParams } from '../Validators/common.js';
+import {
+  addProductSchema,
+  imageParams,
+  importQuery,
+  listProductsQuery,
+  reorderImagesSchema,
+  searchProductsQuery,
+  suggestQuery,
+  updateImageSchema,
+  updateProductSchema,
+} from '../Validators/product.js';
 
 const router = express.Router();
 
 // add product
-router.post('/add',addProduct)
+router.post('/add',Authenticated,Authorized('product:write'),validate({ body: addProductSchema }),addProduct)
+
+// bulk import products from a CSV or JSON file
+router.post(
+  '/import',
+  Authenticated,
+  Authorized('product:write'),
+  validate({ query: importQuery }),
+  uploadFile('file', {
+    maxBytes: 10 * 1024 * 1024,
+    accept: (file) => Boolean(catalogFormat(file.originalname, file.mimetype)),
+  }),
+  importProducts
+)
 
 // get product
-router.get('/all',getProducts)
+router.get('/all',validate({ query: listProductsQuery }),getProducts)
+
+// search products
+router.get('/search',validate({ query: searchProductsQuery }),searchProduct)
+
+// search suggestions
+router.get('/suggest',validate({ query: suggestQuery }),suggestProduct)
 
 // get product by Id
-router.get('/:id',getProductById)
+router.get('/:id',validate({ params: idParams }),getProductById)
 
 // update product by Id
-router.put('/:id',updateProductById)
+router.put('/:id',Authenticated,Authorized('product:write'),validate({ params: idParams, body: updateProductSchema }),updateProductById)
 
 // delete product by Id
-router.delete('/:id',deleteProductById)
+router.delete('/:id',Authenticated,Authorized('product:write'),validate({ params: idParams }),deleteProductById)
+
+// upload gallery images
+router.post(
+  '/:id/images',
+  Authenticated,
+  Authorized('product:write'),
+  validate({ params: idParams }),
+  uploadFiles('images', {
+    maxBytes: config.maxImageBytes,
+    maxFiles: maxGalleryImages,
+    accept: (file) => Boolean(imageTypes[file.mimetype]),
+  }),
+  uploadProductImages
+)
+
+// reorder gallery images
+router.put('/:id/images/order',Authenticated,Authorized('product:write'),validate({ params: idParams, body: reorderImagesSchema }),reorderProductImages)
+
+// update a gallery image
+router.put('/:id/images/:imageId',Authenticated,Authorized('product:write'),validate({ params: imageParams, body: updateImageSchema }),updateProductImage)
+
+// delete a gallery image
+router.delete('/:id/images/:imageId',Authenticated,Authorized('product:write'),validate({ params: imageParams }),deleteProductImage)
 
 
-export default router
\ No newline at end of file
+export default router
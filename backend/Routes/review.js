@@ -0,0 +1,78 @@
+import express from "express";
+import {
+  addReview,
+  allReviews,
+  deleteReview,
+  hideReview,
+  productReviews,
+  unhideReview,
+  updateReview,
+} from "../Controllers/review.js";
+import { Authenticated, Authorized } from "../Middlewares/auth.js";
+import { validate } from "../Middlewares/validate.js";
+import { idParams } from "../Validators/common.js";
+import {
+  addReviewSchema,
+  allReviewsQuery,
+  moderateSchema,
+  productIdParams,
+  reviewsQuery,
+  updateReviewSchema,
+} from "../Validators/review.js";
+
+const router = express.Router();
+
+// reviews of a product
+router.get(
+  "/product/:productId",
+  validate({ params: productIdParams, query: reviewsQuery }),
+  productReviews
+);
+
+// review a purchased product
+router.post(
+  "/product/:productId",
+  Authenticated,
+  validate({ params: productIdParams, body: addReviewSchema }),
+  addReview
+);
+
+// moderation queue
+router.get(
+  "/all",
+  Authenticated,
+  Authorized("review:moderate"),
+  validate({ query: allReviewsQuery }),
+  allReviews
+);
+
+// edit own review
+router.put(
+  "/:id",
+  Authenticated,
+  validate({ params: idParams, body: updateReviewSchema }),
+  updateReview
+);
+
+// delete own review
+router.delete("/:id", Authenticated, validate({ params: idParams }), deleteReview);
+
+// hide abusive review
+router.put(
+  "/:id/hide",
+  Authenticated,
+  Authorized("review:moderate"),
+  validate({ params: idParams, body: moderateSchema }),
+  hideReview
+);
+
+// restore hidden review
+router.put(
+  "/:id/unhide",
+  Authenticated,
+  Authorized("review:moderate"),
+  validate({ params: idParams, body: moderateSchema }),
+  unhideReview
+);
+
+export default router;
@@ -1,16 +1,65 @@
 import express from 'express'
-import { login, profile, register, users } from '../Controllers/user.js';
-import { Authenticated } from "../Middlewares/auth.js";
+import {
+  forgotPassword,
+  login,
+  logout,
+  logoutAll,
+  profile,
+  refresh,
+  register,
+  resendVerification,
+  resetPassword,
+  users,
+  verifyEmail,
+} from '../Controllers/user.js';
+import { Authenticated, Authorized, GuestCart } from "../Middlewares/auth.js";
+import { validate } from "../Middlewares/validate.js";
+import {
+  loginLimiter,
+  mailLimiter,
+  mailRecipientLimiter,
+  registerLimiter,
+} from "../Middlewares/rateLimit.js";
+import {
+  forgotPasswordSchema,
+  loginSchema,
+  logoutSchema,
+  refreshTokenSchema,
+  registerSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+} from "../Validators/user.js";
 const router = express.Router();
 
-// register user
-router.post('/register',register) //=> /api/user/register
+// register user, taking over the Cart-Id guest cart
+router.post('/register',registerLimiter,GuestCart,validate({ body: registerSchema }),register) //=> /api/user/register
 
-// login user
-router.post('/login',login)
+// login user, taking over the Cart-Id guest cart
+router.post('/login',loginLimiter,GuestCart,validate({ body: loginSchema }),login)
+
+// refresh access token
+router.post('/refresh',validate({ body: refreshTokenSchema }),refresh)
+
+// logout this device
+router.post('/logout',validate({ body: logoutSchema }),logout)
+
+// logout all devices
+router.post('/logout-all',Authenticated,logoutAll)
+
+// email a password reset link
+router.post('/forgot-password',mailLimiter,validate({ body: forgotPasswordSchema }),mailRecipientLimiter,forgotPassword)
+
+// reset password with the emailed token
+router.post('/reset-password',validate({ body: resetPasswordSchema }),resetPassword)
+
+// confirm email with the emailed token
+router.post('/verify-email',validate({ body: verifyEmailSchema }),verifyEmail)
+
+// resend verification email
+router.post('/resend-verification',mailLimiter,Authenticated,mailRecipientLimiter,resendVerification)
 
 // get all user's
-router.get('/all',users)
+router.get('/all',Authenticated,Authorized('user:read'),users)
 
 // get user profile
 router.get("/profile", Authenticated, profile);
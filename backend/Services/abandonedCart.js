@@ -0,0 +1,230 @@
+import { Cart } from "../Models/Cart.js";
+import { CartReminder } from "../Models/CartReminder.js";
+import { Order } from "../Models/Order.js";
+import { getNotifier } from "../Notifier/index.js";
+import { priceCart } from "./cart.js";
+import { config } from "../Config/index.js";
+
+const hours = (count) => count * 60 * 60 * 1000;
+
+// most carts reminded per run, the next run picks up the rest
+const batchSize = 100;
+
+// carts the job hasn't dealt with since they last changed
+const unchecked = {
+  $or: [
+    { reminderCheckedAt: null },
+    { $expr: { $lt: ["$reminderCheckedAt", "$updatedAt"] } },
+  ],
+};
+
+// checkout doesn't empty the cart, so a later order is what marks it bought
+const orderedSince = (userId, since) =>
+  Order.exists({ userId, status: { $ne: "cancelled" }, orderDate: { $gte: since } });
+
+// remind owners of idle carts once per idle spell, claiming each cart first
+export const sendCartReminders = async ({
+  idleHours = config.abandonedCart.idleHours,
+  notifier = getNotifier(),
+  now = new Date(),
+} = {}) => {
+  const report = { checked: 0, sent: 0, failed: 0, skipped: 0 };
+
+  const carts = await Cart.find({
+    ...unchecked,
+    "items.0": { $exists: true },
+    updatedAt: { $lt: new Date(now - hours(idleHours)) },
+    userId: { $ne: null },
+  })
+    .sort({ updatedAt: 1 })
+    .limit(batchSize)
+    .populate("userId", "name email");
+
+  for (const cart of carts) {
+    const claimed = await Cart.updateOne(
+      { _id: cart._id, updatedAt: cart.updatedAt, ...unchecked },
+      { $set: { reminderCheckedAt: now } },
+      { timestamps: false }
+    );
+    if (!claimed.modifiedCount) continue;
+    report.checked += 1;
+
+    const user = cart.userId;
+    const summary = await priceCart(cart);
+    const lines = summary.lines.filter((line) => !line.unavailable);
+    if (!user?.email || !lines.length || (await orderedSince(user._id, cart.updatedAt))) {
+      report.skipped += 1;
+      continue;
+    }
+
+    const reminder = {
+      cartId: cart._id,
+      userId: user._id,
+      notifier: notifier.name,
+      items: lines.map(({ productId, variantId, title, qty, unitPrice }) => ({
+        productId,
+        variantId,
+        title,
+        qty,
+        unitPrice,
+      })),
+      value: summary.subtotal,
+      cartUpdatedAt: cart.updatedAt,
+    };
+    try {
+      const { to } = await notifier.notify({
+        user,
+        template: "abandonedCart",
+        data: {
+          name: user.name,
+          lines,
+          total: summary.subtotal,
+          currency: config.currency,
+          link: `${config.appUrl}/cart`,
+        },
+      });
+      await CartReminder.create({ ...reminder, to, status: "sent" });
+      report.sent += 1;
+    } catch (error) {
+      await CartReminder.create({ ...reminder, status: "failed", error: error.message });
+      report.failed += 1;
+    }
+  }
+
+  return report;
+};
+
+const rate = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : 0);
+
+// converted, abandoned and active carts changed in the last `days`
+export const abandonedCartStats = async ({
+  days = 30,
+  idleHours = config.abandonedCart.idleHours,
+  now = new Date(),
+} = {}) => {
+  const since = new Date(now - hours(24 * days));
+  const idleBefore = new Date(now - hours(idleHours));
+
+  const [carts] = await Cart.aggregate([
+    { $match: { "items.0": { $exists: true }, updatedAt: { $gte: since } } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { userId: "$userId", updatedAt: "$updatedAt" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$userId", "$$userId"] },
+                  { $ne: ["$status", "cancelled"] },
+                  { $gte: ["$orderDate", "$$updatedAt"] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "orders",
+      },
+    },
+    {
+      $project: {
+        guest: { $eq: [{ $ifNull: ["$userId", null] }, null] },
+        converted: { $gt: [{ $size: "$orders" }, 0] },
+        idle: { $lt: ["$updatedAt", idleBefore] },
+        value: {
+          $sum: {
+            $map: { input: "$items", in: { $multiply: ["$$this.price", "$$this.qty"] } },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        abandoned: { $and: ["$idle", { $not: ["$converted"] }] },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        converted: { $sum: { $cond: ["$converted", 1, 0] } },
+        abandoned: { $sum: { $cond: ["$abandoned", 1, 0] } },
+        abandonedGuests: { $sum: { $cond: [{ $and: ["$abandoned", "$guest"] }, 1, 0] } },
+        abandonedValue: { $sum: { $cond: ["$abandoned", "$value", 0] } },
+        convertedValue: { $sum: { $cond: ["$converted", "$value", 0] } },
+      },
+    },
+  ]);
+
+  const [reminders] = await CartReminder.aggregate([
+    { $match: { sentAt: { $gte: since } } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        let: { userId: "$userId", sentAt: "$sentAt" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$userId", "$$userId"] },
+                  { $ne: ["$status", "cancelled"] },
+                  { $gte: ["$orderDate", "$$sentAt"] },
+                ],
+              },
+            },
+          },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: "orders",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        sent: { $sum: { $cond: [{ $eq: ["$status", "sent"] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+        // sent reminders the user placed an order after
+        recovered: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ["$status", "sent"] }, { $gt: [{ $size: "$orders" }, 0] }] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const total = carts?.total || 0;
+  const converted = carts?.converted || 0;
+  const abandoned = carts?.abandoned || 0;
+
+  return {
+    since,
+    idleHours,
+    carts: {
+      total,
+      active: total - converted - abandoned,
+      converted,
+      abandoned,
+      abandonedGuests: carts?.abandonedGuests || 0,
+    },
+    abandonmentRate: rate(abandoned, abandoned + converted),
+    abandonedValue: carts?.abandonedValue || 0,
+    convertedValue: carts?.convertedValue || 0,
+    currency: config.currency,
+    reminders: {
+      sent: reminders?.sent || 0,
+      failed: reminders?.failed || 0,
+      recovered: reminders?.recovered || 0,
+      recoveryRate: rate(reminders?.recovered || 0, reminders?.sent || 0),
+    },
+  };
+};
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+import { Address } from "../Models/Address.js";
+
+// the given address if the user owns it, else their default or newest
+export const resolveShippingAddress = async (userId, addressId) => {
+  if (addressId)
+    return mongoose.isValidObjectId(addressId)
+      ? Address.findOne({ _id: addressId, userId })
+      : null;
+  return (
+    (await Address.findOne({ userId, isDefault: true })) ||
+    Address.findOne({ userId }).sort({ createdAt: -1 })
+  );
+};
@@ -0,0 +1,148 @@
+import { Cart } from "../Models/Cart.js";
+import { Products } from "../Models/Product.js";
+import { CouponError, computeDiscount, findCoupon } from "./coupon.js";
+import { variantLabel } from "../Utils/variants.js";
+
+// a cart or order line is for this product and variant
+export const sameLine = (item, productId, variantId) =>
+  item.productId.toString() === productId.toString() &&
+  String(item.variantId || "") === String(variantId || "");
+
+// price a cart at today's prices, lines whose product is gone are left out
+export const priceCart = async (cart) => {
+  const items = cart?.items || [];
+  const products = await Products.find({
+    _id: { $in: items.map((item) => item.productId) },
+  });
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = items.map((item) => {
+    const product = byId.get(item.productId.toString());
+    const variant = product?.findVariant(item.variantId);
+    // the variant is gone, or the product gained variants since it was added
+    const needsVariant = product?.variants.length > 0;
+    if (!product || (needsVariant ? !variant : item.variantId))
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        variantLabel: item.variantLabel,
+        title: item.title,
+        imgSrc: item.imgSrc,
+        qty: item.qty,
+        addedPrice: item.price,
+        unavailable: true,
+      };
+
+    // a variant brings its own sku, price, stock and maybe image
+    const stocked = variant || product;
+    return {
+      productId: item.productId,
+      variantId: variant?._id,
+      variantLabel: variant && variantLabel(variant, product.options),
+      sku: stocked.sku,
+      title: product.title,
+      imgSrc: variant?.imgSrc || product.imgSrc,
+      category: product.category,
+      categoryPath: product.categoryPath,
+      qty: item.qty,
+      weight: product.weight,
+      unitPrice: stocked.price,
+      addedPrice: item.price,
+      priceChanged: stocked.price !== item.price,
+      lineTotal: stocked.price * item.qty,
+      inStock: stocked.qty >= item.qty,
+      available: stocked.qty,
+    };
+  });
+
+  const priced = lines.filter((line) => !line.unavailable);
+
+  return {
+    lines,
+    subtotal: priced.reduce((sum, line) => sum + line.lineTotal, 0),
+    itemCount: priced.reduce((sum, line) => sum + line.qty, 0),
+    priceChanged: priced.some((line) => line.priceChanged),
+    hasUnavailable: priced.length !== lines.length,
+  };
+};
+
+// priced cart with its coupon, one that no longer applies goes in couponError
+export const quoteCart = async (cart, userId) => {
+  const summary = await priceCart(cart);
+  const quote = { ...summary, coupon: null, discount: 0 };
+
+  if (cart?.coupon) {
+    try {
+      const coupon = await findCoupon(cart.coupon);
+      const { discount } = computeDiscount(coupon, summary, userId);
+      quote.coupon = { couponId: coupon._id, code: coupon.code, discount };
+      quote.discount = discount;
+    } catch (error) {
+      if (!(error instanceof CouponError)) throw error;
+      quote.couponError = error.message;
+    }
+  }
+
+  quote.total = summary.subtotal - quote.discount;
+  return quote;
+};
+
+const lineRef = (item) => ({
+  productId: item.productId,
+  variantId: item.variantId,
+  title: item.title,
+});
+
+// move a guest cart into the user's cart on login, capping qty at the stock left
+export const mergeGuestCart = async (guestId, userId) => {
+  const guest = guestId && (await Cart.findOne({ guestId }));
+  if (!guest) return null;
+
+  const products = await Products.find({
+    _id: { $in: guest.items.map((item) => item.productId) },
+  });
+  const byId = new Map(products.map((p) => [p._id.toString(), p]));
+
+  let cart = await Cart.findOne({ userId });
+  if (!cart) cart = new Cart({ userId, items: [] });
+
+  const report = { merged: 0, adjusted: [], dropped: [] };
+  for (const item of guest.items) {
+    const product = byId.get(item.productId.toString());
+    const variant = product?.findVariant(item.variantId);
+    const stocked = product?.variants.length ? variant : !item.variantId && product;
+    if (!stocked) {
+      report.dropped.push(lineRef(item));
+      continue;
+    }
+
+    const line = cart.items.find((l) => sameLine(l, item.productId, item.variantId));
+    const inCart = line?.qty || 0;
+    const qty = Math.max(Math.min(inCart + item.qty, stocked.qty), inCart);
+    if (qty < inCart + item.qty)
+      report.adjusted.push({
+        ...lineRef(item),
+        requested: inCart + item.qty,
+        available: stocked.qty,
+      });
+    if (qty === inCart) continue;
+
+    // new lines keep their added price so the summary flags any change
+    if (line) line.qty = qty;
+    else
+      cart.items.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        variantLabel: item.variantLabel,
+        title: item.title,
+        price: item.price,
+        qty,
+        imgSrc: item.imgSrc,
+      });
+    report.merged += 1;
+  }
+
+  await cart.save();
+  await Cart.deleteOne({ _id: guest._id });
+  return report;
+};
@@ -0,0 +1,153 @@
+import { Products } from "../Models/Product.js";
+import { Category } from "../Models/Category.js";
+import { categoryFilter } from "./category.js";
+
+export const defaultPageSize = 20;
+export const maxPageSize = 100;
+
+// lower bounds of the price facet buckets
+export const priceBuckets = [0, 10000, 25000, 50000, 100000];
+
+export const productSorts = {
+  newest: { createdAt: -1 },
+  price: { price: 1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  popularity: { soldCount: -1, createdAt: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1 },
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// turn listing query params into filters, paging and sort
+export const parseListingQuery = (query = {}) => {
+  const page = Math.max(Math.trunc(toNumber(query.page) || 1), 1);
+  const limit = clamp(
+    Math.trunc(toNumber(query.limit) || defaultPageSize),
+    1,
+    maxPageSize
+  );
+  const sort = productSorts[query.sort] ? query.sort : "newest";
+
+  const price = {};
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== undefined) price.$gte = minPrice;
+  if (maxPrice !== undefined) price.$lte = maxPrice;
+
+  const base = {};
+  if (query.inStock === "true" || query.inStock === "1") base.qty = { $gt: 0 };
+
+  return {
+    page,
+    limit,
+    sort,
+    base,
+    price: Object.keys(price).length ? { price } : {},
+  };
+};
+
+// [{ name, values: [{ value, count }] }] from the grouped option counts
+const groupOptionFacets = (rows) => {
+  const byName = new Map();
+  for (const { _id, count } of rows) {
+    if (!byName.has(_id.name)) byName.set(_id.name, []);
+    byName.get(_id.name).push({ value: _id.value, count });
+  }
+  return [...byName].map(([name, values]) => ({ name, values }));
+};
+
+// [{ category, name, slug, parent, count }] by name, from counts per id
+const categoryFacets = async (rows) => {
+  const categories = await Category.find({ _id: { $in: rows.map(({ _id }) => _id) } })
+    .select("name slug parent")
+    .lean();
+  const counts = new Map(rows.map(({ _id, count }) => [String(_id), count]));
+  return categories
+    .map(({ _id, name, slug, parent }) => ({
+      category: _id,
+      name,
+      slug,
+      parent,
+      count: counts.get(String(_id)),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// a page of products with facet counts, each facet ignoring its own filter
+export const listProducts = async (query) => {
+  const { page, limit, sort, base, price } = parseListingQuery(query);
+  const category = await categoryFilter(query.category);
+
+  const [result] = await Products.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        products: [
+          { $match: { ...category, ...price } },
+          { $sort: productSorts[sort] },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { searchTokens: 0, searchGrams: 0 } },
+        ],
+        total: [{ $match: { ...category, ...price } }, { $count: "count" }],
+        categories: [
+          { $match: price },
+          { $unwind: "$categoryPath" },
+          { $group: { _id: "$categoryPath", count: { $sum: 1 } } },
+        ],
+        // option values offered by variant products on this listing
+        options: [
+          { $match: { ...category, ...price } },
+          { $unwind: "$options" },
+          { $unwind: "$options.values" },
+          {
+            $group: {
+              _id: { name: "$options.name", value: "$options.values" },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { "_id.name": 1, "_id.value": 1 } },
+        ],
+        priceBuckets: [
+          { $match: category },
+          {
+            $bucket: {
+              groupBy: "$price",
+              boundaries: priceBuckets,
+              default: "other",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    products: result.products,
+    page,
+    limit,
+    sort,
+    total,
+    totalPages: Math.ceil(total / limit),
+    facets: {
+      categories: await categoryFacets(result.categories),
+      options: groupOptionFacets(result.options),
+      priceBuckets: result.priceBuckets.map(({ _id, count }) => {
+        // the default bucket holds everything from the last bound up
+        const min = _id === "other" ? priceBuckets.at(-1) : _id;
+        const next = priceBuckets[priceBuckets.indexOf(min) + 1];
+        return { min, max: next, count };
+      }),
+    },
+  };
+};
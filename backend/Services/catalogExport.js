@@ -0,0 +1,103 @@
+import { stringify } from "csv-stringify/sync";
+import { Products } from "../Models/Product.js";
+import { catalogFormats } from "./catalogImport.js";
+import { loadCategories } from "./category.js";
+import { badRequest } from "../Utils/errors.js";
+
+// the columns an import reads back, attributes as "brand=Apple; ram=8"
+export const catalogColumns = [
+  "sku",
+  "title",
+  "description",
+  "price",
+  "category",
+  "qty",
+  "weight",
+  "imgSrc",
+  "attributes",
+  "variantSku",
+  "variantOptions",
+  "variantImgSrc",
+];
+
+const productColumns = [
+  "sku",
+  "title",
+  "description",
+  "price",
+  "category",
+  "qty",
+  "weight",
+  "imgSrc",
+];
+
+const pick = (product, columns) =>
+  Object.fromEntries(columns.map((column) => [column, product[column] ?? ""]));
+
+const hasAttributes = (product) => Object.keys(product.attributes || {}).length > 0;
+
+// spreadsheet rows for one product
+const csvRows = (product) => {
+  const row = {
+    ...pick(product, catalogColumns),
+    attributes: Object.entries(product.attributes || {})
+      .map(([name, value]) => `${name}=${value}`)
+      .join("; "),
+  };
+  if (!product.variants?.length) return [row];
+
+  return product.variants.map((variant) => ({
+    ...row,
+    price: variant.price,
+    qty: variant.qty,
+    variantSku: variant.sku,
+    variantOptions: product.options
+      .map(({ name }) => `${name}=${variant.options[name]}`)
+      .join("; "),
+    variantImgSrc: variant.imgSrc ?? "",
+  }));
+};
+
+// a product as JSON, with its axes and variants when it has them
+const jsonProduct = (product) => {
+  const row = {
+    ...pick(product, productColumns),
+    ...(hasAttributes(product) && { attributes: product.attributes }),
+  };
+  if (!product.variants?.length) return row;
+
+  delete row.price;
+  delete row.qty;
+  return {
+    ...row,
+    options: product.options,
+    variants: product.variants.map(({ sku, options, price, qty, imgSrc }) => ({
+      sku,
+      options,
+      price,
+      qty,
+      ...(imgSrc && { imgSrc }),
+    })),
+  };
+};
+
+// the whole catalog as CSV or JSON, in the shape importCatalog accepts
+export const exportCatalog = async (format = "csv") => {
+  if (!catalogFormats.includes(format))
+    throw badRequest(`Unknown catalog format '${format}', use csv or json`);
+
+  const categories = await loadCategories();
+  const products = (
+    await Products.find()
+      .select([...productColumns, "attributes", "options", "variants"].join(" "))
+      .sort({ sku: 1, createdAt: 1 })
+      .lean()
+  ).map((product) => ({ ...product, category: categories.find(product.category)?.slug }));
+
+  if (format === "json")
+    return JSON.stringify(products.map(jsonProduct), null, 2) + "\n";
+  return stringify(products.flatMap(csvRows), {
+    header: true,
+    columns: catalogColumns,
+  });
+};
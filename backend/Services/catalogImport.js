@@ -0,0 +1,275 @@
+import path from "path";
+import { parse } from "csv-parse/sync";
+import { Products, categoryFields } from "../Models/Product.js";
+import { importProductRow } from "../Validators/product.js";
+import { loadCategories } from "./category.js";
+import { variantTotals } from "../Utils/variants.js";
+import { attributeProblem, trailAttributes } from "../Utils/categories.js";
+import { badRequest } from "../Utils/errors.js";
+
+export const catalogFormats = ["csv", "json"];
+
+// rows per bulkWrite
+const batchSize = 500;
+
+// csv or json from a file name, falling back to a mime type
+export const catalogFormat = (fileName = "", mimeType = "") => {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  if (catalogFormats.includes(extension)) return extension;
+  if (mimeType.includes("json")) return "json";
+  if (mimeType.includes("csv")) return "csv";
+  return null;
+};
+
+// raw rows from CSV with a header line or from a JSON array of products
+export const parseCatalog = (text, format) => {
+  if (format === "csv") {
+    try {
+      return parse(text, {
+        columns: (header) => header.map((column) => column.trim()),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+      });
+    } catch (error) {
+      throw badRequest(`Invalid CSV: ${error.message}`);
+    }
+  }
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw badRequest(`Invalid JSON: ${error.message}`);
+    }
+    const rows = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(rows))
+      throw badRequest("JSON catalog must be an array of products");
+    return rows;
+  }
+
+  throw badRequest(`Unknown catalog format '${format}', use csv or json`);
+};
+
+// "size=M; color=Black" from a spreadsheet cell
+const parseOptionCell = (cell = "") =>
+  Object.fromEntries(
+    String(cell)
+      .split(";")
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([name, value]) => name && value)
+  );
+
+// convert CSV text to the category's attribute types
+const typedAttributes = (values, attributes) =>
+  Object.fromEntries(
+    Object.entries(values).map(([name, value]) => {
+      const type = attributes.find((attribute) => attribute.name === name)?.type;
+      if (typeof value !== "string" || !value) return [name, value];
+      if (type === "number" && Number.isFinite(Number(value))) return [name, Number(value)];
+      if (type === "boolean" && ["true", "false"].includes(value.toLowerCase()))
+        return [name, value.toLowerCase() === "true"];
+      return [name, value];
+    })
+  );
+
+// fold one-variant-per-row spreadsheet rows into their product by sku
+const groupRows = (rows) => {
+  const products = [];
+  const variantProducts = new Map();
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+    if (!raw?.variantSku) return products.push({ row, raw });
+
+    const { variantSku, variantOptions, variantImgSrc, price, qty, ...fields } = raw;
+    let entry = variantProducts.get(fields.sku);
+    if (!entry) {
+      entry = { row, raw: { ...fields, options: [], variants: [] } };
+      variantProducts.set(fields.sku, entry);
+      products.push(entry);
+    }
+
+    const options =
+      typeof variantOptions === "string"
+        ? parseOptionCell(variantOptions)
+        : variantOptions || {};
+    for (const [name, value] of Object.entries(options)) {
+      let axis = entry.raw.options.find((option) => option.name === name);
+      if (!axis) entry.raw.options.push((axis = { name, values: [] }));
+      if (!axis.values.includes(value)) axis.values.push(value);
+    }
+
+    entry.raw.variants.push({
+      sku: variantSku,
+      options,
+      price,
+      qty,
+      imgSrc: variantImgSrc || undefined,
+    });
+  });
+
+  return products;
+};
+
+// check every product, collecting errors per row
+const validateRows = (rows, categories) => {
+  const valid = [];
+  const errors = [];
+  const seen = new Map();
+
+  groupRows(rows).forEach(({ row, raw }) => {
+    // a spreadsheet's attributes cell reads "brand=Apple; ram=8"
+    const result = importProductRow.safeParse(
+      typeof raw?.attributes === "string"
+        ? { ...raw, attributes: raw.attributes ? parseOptionCell(raw.attributes) : undefined }
+        : raw
+    );
+
+    if (!result.success) {
+      errors.push({
+        row,
+        sku: raw?.sku,
+        errors: result.error.issues.map((issue) => ({
+          path: issue.path.join("."),
+          message: issue.message,
+        })),
+      });
+      return;
+    }
+
+    const { sku } = result.data;
+    if (seen.has(sku)) {
+      errors.push({
+        row,
+        sku,
+        errors: [{ path: "sku", message: `Duplicate of row ${seen.get(sku)}` }],
+      });
+      return;
+    }
+
+    seen.set(sku, row);
+    const category = categories.find(result.data.category);
+    if (!category) {
+      errors.push({
+        row,
+        sku,
+        errors: [{ path: "category", message: `Unknown category '${result.data.category}'` }],
+      });
+      return;
+    }
+
+    const trail = categories.trail(category);
+    const { attributes } = result.data;
+    const product = attributes
+      ? { ...result.data, attributes: typedAttributes(attributes, trailAttributes(trail)) }
+      : result.data;
+    valid.push({ row, product, trail });
+  });
+
+  return { valid, errors };
+};
+
+// the $set for a product, variants keep their _id by sku so cart lines stay valid
+const productUpdate = (product, trail, existing) => {
+  const variantIds = new Map(
+    (existing?.variants || []).map((variant) => [variant.sku, variant._id])
+  );
+  const variants = product.variants.map((variant) => {
+    const _id = variantIds.get(variant.sku);
+    return _id ? { ...variant, _id } : variant;
+  });
+
+  return {
+    ...product,
+    category: trail.at(-1)._id,
+    variants,
+    ...(variants.length && variantTotals(variants)),
+    ...categoryFields(product, trail),
+  };
+};
+
+// why a row's write failed, e.g. a variant sku another product uses
+const writeProblem = (writeError) =>
+  writeError.code === 11000
+    ? {
+        path: /variants\.sku/.test(writeError.errmsg) ? "variants.sku" : "sku",
+        message: "Already used by another product",
+      }
+    : { path: "", message: writeError.errmsg };
+
+// write a batch, carrying on past rows that fail
+const writeBatch = async (ops) => {
+  try {
+    return { result: await Products.bulkWrite(ops, { ordered: false }), writeErrors: [] };
+  } catch (error) {
+    if (error?.name !== "MongoBulkWriteError" || !error.result) throw error;
+    return { result: error.result, writeErrors: [].concat(error.writeErrors || []) };
+  }
+};
+
+// upsert products by SKU, reporting bad rows; dryRun only counts
+export const importCatalog = async (rows, { dryRun = false } = {}) => {
+  const { valid, errors } = validateRows(rows, await loadCategories());
+  const report = {
+    dryRun,
+    total: rows.length,
+    created: 0,
+    updated: 0,
+    failed: 0,
+    errors,
+  };
+  const fail = (row, sku, problem) => errors.push({ row, sku, errors: [problem] });
+
+  for (let start = 0; start < valid.length; start += batchSize) {
+    const rowsInBatch = valid.slice(start, start + batchSize);
+    const skus = rowsInBatch.map(({ product }) => product.sku);
+    const existing = new Map(
+      (await Products.find({ sku: { $in: skus } }).select("sku variants attributes")).map(
+        (product) => [product.sku, product]
+      )
+    );
+
+    // a row without attributes keeps the product's
+    const batch = rowsInBatch.filter(({ row, product, trail }) => {
+      const problem = attributeProblem(
+        trailAttributes(trail),
+        product.attributes ?? existing.get(product.sku)?.attributes
+      );
+      if (problem) fail(row, product.sku, { path: "attributes", message: problem });
+      return !problem;
+    });
+
+    if (dryRun) {
+      const updates = batch.filter(({ product }) => existing.has(product.sku)).length;
+      report.updated += updates;
+      report.created += batch.length - updates;
+      continue;
+    }
+
+    // bulkWrite skips the save hooks, so their fields are set here
+    const { result, writeErrors } = await writeBatch(
+      batch.map(({ product, trail }) => ({
+        updateOne: {
+          filter: { sku: product.sku },
+          update: {
+            $set: productUpdate(product, trail, existing.get(product.sku)),
+            $setOnInsert: { createdAt: new Date() },
+          },
+          upsert: true,
+        },
+      }))
+    );
+    for (const writeError of writeErrors) {
+      const { row, product } = batch[writeError.index];
+      fail(row, product.sku, writeProblem(writeError));
+    }
+    report.created += result.upsertedCount;
+    report.updated += result.matchedCount;
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  report.failed = errors.length;
+  return report;
+};
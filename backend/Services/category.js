@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+import { Category } from "../Models/Category.js";
+import { Products, categoryFields } from "../Models/Product.js";
+import { Coupon } from "../Models/Coupon.js";
+import { buildTree, slugify, trailAttributes } from "../Utils/categories.js";
+import { badRequest, conflict, notFound } from "../Utils/errors.js";
+
+const batchSize = 500;
+
+// every category from one query, for looking up many trails at once
+export const loadCategories = async () => {
+  const categories = await Category.find().lean();
+  const byId = new Map(categories.map((category) => [String(category._id), category]));
+  const bySlug = new Map(categories.map((category) => [category.slug, category]));
+
+  return {
+    categories,
+    // by id or slug
+    find: (ref) => byId.get(String(ref)) || bySlug.get(String(ref).toLowerCase()),
+    trail: (category) => [
+      ...category.ancestors.map((id) => byId.get(String(id))).filter(Boolean),
+      category,
+    ],
+  };
+};
+
+// a category by id or slug
+export const findCategory = (ref) =>
+  mongoose.isObjectIdOrHexString(ref)
+    ? Category.findById(ref)
+    : Category.findOne({ slug: String(ref).toLowerCase() });
+
+// the product filter for a category by id or slug, subcategories included
+export const categoryFilter = async (ref) => {
+  if (!ref) return {};
+  const category = await findCategory(ref);
+  if (!category) throw notFound("Category");
+  return { categoryPath: category._id };
+};
+
+// every category nested under its parent
+export const categoryTree = async () =>
+  buildTree(await Category.find().select("-__v").lean());
+
+// a category with its breadcrumbs, children and inherited attributes
+export const categoryDetails = async (ref) => {
+  const category = await findCategory(ref);
+  if (!category) throw notFound("Category");
+
+  const trail = await Category.trail(category._id);
+  const children = await Category.find({ parent: category._id }).sort({ position: 1, name: 1 });
+
+  return {
+    category,
+    breadcrumbs: trail.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    children,
+    attributes: trailAttributes(trail),
+  };
+};
+
+// the ancestors of a category placed under parentId
+const ancestorsUnder = async (parentId) => {
+  if (!parentId) return [];
+  const parent = await Category.findById(parentId);
+  if (!parent) throw badRequest("Parent category not found");
+  return [...parent.ancestors, parent._id];
+};
+
+// the slug defaults to one made from the name
+export const createCategory = async ({ parent, slug, ...fields }) =>
+  Category.create({
+    ...fields,
+    slug: slug || slugify(fields.name),
+    parent: parent || null,
+    ancestors: await ancestorsUnder(parent),
+  });
+
+// refile matching products after a category on their trail changed
+export const refileProducts = async (filter) => {
+  const categories = await loadCategories();
+  let batch = [];
+  let refiled = 0;
+
+  const flush = async () => {
+    if (batch.length) await Products.bulkWrite(batch, { ordered: false });
+    refiled += batch.length;
+    batch = [];
+  };
+
+  const cursor = Products.find(filter).select("title description category").lean().cursor();
+  for await (const product of cursor) {
+    const category = categories.find(product.category);
+    if (!category) continue;
+    batch.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: categoryFields(product, categories.trail(category)) },
+      },
+    });
+    if (batch.length >= batchSize) await flush();
+  }
+  await flush();
+  return refiled;
+};
+
+// apply an admin's changes, moving the subtree and refiling its products
+export const updateCategory = async (category, { parent, ...fields }) => {
+  const moved =
+    parent !== undefined && String(parent || "") !== String(category.parent || "");
+  const renamed = fields.name !== undefined && fields.name !== category.name;
+
+  if (moved && parent) {
+    const intoOwnSubtree =
+      String(parent) === String(category._id) ||
+      (await Category.exists({ _id: parent, ancestors: category._id }));
+    if (intoOwnSubtree)
+      throw badRequest("A category can't move under itself or its descendants");
+  }
+
+  category.set(fields);
+  if (moved) {
+    category.parent = parent || null;
+    category.ancestors = await ancestorsUnder(parent);
+  }
+  await category.save();
+
+  if (moved) {
+    const descendants = await Category.find({ ancestors: category._id });
+    if (descendants.length)
+      await Category.bulkWrite(
+        descendants.map((descendant) => {
+          const below = descendant.ancestors.slice(
+            descendant.ancestors.findIndex((id) => id.equals(category._id))
+          );
+          return {
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: { $set: { ancestors: [...category.ancestors, ...below] } },
+            },
+          };
+        })
+      );
+  }
+  if (moved || renamed) await refileProducts({ categoryPath: category._id });
+
+  return category;
+};
+
+// only an empty leaf can go. Coupons restricted to it lose the restriction.
+export const deleteCategory = async (category) => {
+  if (await Category.exists({ parent: category._id }))
+    throw conflict("Move or delete its subcategories first");
+  if (await Products.exists({ category: category._id }))
+    throw conflict("Move the products filed under it first");
+
+  await category.deleteOne();
+  await Coupon.updateMany(
+    { categories: category._id },
+    { $pull: { categories: category._id } }
+  );
+};
+
+// point products and coupons from free-text categories at real ones
+export const migrateCategories = async () => {
+  const productNames = await Products.collection.distinct("category", {
+    category: { $type: "string" },
+  });
+  const coupons = await Coupon.collection
+    .find({ categories: { $type: "string" } })
+    .project({ categories: 1 })
+    .toArray();
+  const couponNames = coupons.flatMap(({ categories }) =>
+    categories.filter((name) => typeof name === "string")
+  );
+  if (!productNames.length && !couponNames.length) return 0;
+
+  const ids = new Map();
+  for (const name of new Set([...productNames, ...couponNames])) {
+    const slug = slugify(name);
+    if (!slug) continue;
+    const category =
+      (await Category.findOne({ slug })) ||
+      (await Category.create({ name: name.charAt(0).toUpperCase() + name.slice(1), slug }));
+    ids.set(name, category._id);
+  }
+
+  let migrated = 0;
+  for (const [name, id] of ids) {
+    const result = await Products.collection.updateMany(
+      { category: name },
+      { $set: { category: id } }
+    );
+    migrated += result.modifiedCount;
+  }
+  await refileProducts({ category: { $in: [...ids.values()] } });
+
+  for (const coupon of coupons) {
+    const categories = coupon.categories.map((name) => ids.get(name) || name);
+    await Coupon.collection.updateOne(
+      { _id: coupon._id },
+      { $set: { categories: categories.filter((id) => typeof id !== "string") } }
+    );
+  }
+  return migrated;
+};
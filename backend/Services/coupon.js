@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+import { Coupon } from "../Models/Coupon.js";
+import { AppError } from "../Utils/errors.js";
+
+export class CouponError extends AppError {
+  constructor(message, status = 400) {
+    super(status, status === 404 ? "NOT_FOUND" : "COUPON_NOT_APPLICABLE", message);
+  }
+}
+
+export const findCoupon = async (code) => {
+  const coupon = code && (await Coupon.findOne({ code: String(code).toUpperCase() }));
+  if (!coupon) throw new CouponError("Invalid coupon code", 404);
+  return coupon;
+};
+
+const timesUsedBy = (coupon, userId) =>
+  coupon.redemptions.filter((r) => r.userId?.equals(userId)).length;
+
+const isEligible = (coupon, line) => {
+  const categories = coupon.categories || [];
+  const products = coupon.products || [];
+  if (!categories.length && !products.length) return true;
+  // a category restriction takes in its descendants
+  const trail = (line.categoryPath || []).map(String);
+  return (
+    categories.some((id) => trail.includes(String(id))) ||
+    products.some((id) => id.equals(line.productId))
+  );
+};
+
+// discount on a priced cart, or a CouponError; redeemCoupon enforces the limits
+export const computeDiscount = (coupon, summary, userId, now = new Date()) => {
+  if (!coupon.active) throw new CouponError("This coupon is no longer active");
+  if (coupon.startsAt && now < coupon.startsAt)
+    throw new CouponError("This coupon is not active yet");
+  if (coupon.expiresAt && now > coupon.expiresAt)
+    throw new CouponError("This coupon has expired");
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit)
+    throw new CouponError("This coupon has been fully redeemed", 409);
+  if (userId && timesUsedBy(coupon, userId) >= coupon.perUserLimit)
+    throw new CouponError("You have already used this coupon", 409);
+  if (summary.subtotal < coupon.minCartValue)
+    throw new CouponError(
+      `Add items worth ${coupon.minCartValue - summary.subtotal} more to use this coupon`
+    );
+
+  const eligibleSubtotal = summary.lines
+    .filter((line) => !line.unavailable && isEligible(coupon, line))
+    .reduce((sum, line) => sum + line.lineTotal, 0);
+  if (!eligibleSubtotal)
+    throw new CouponError("This coupon doesn't apply to the items in your cart");
+
+  let discount =
+    coupon.type === "percentage"
+      ? (eligibleSubtotal * coupon.value) / 100
+      : coupon.value;
+  if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return { discount: Math.round(discount * 100) / 100, eligibleSubtotal };
+};
+
+// redeem in one conditional update so concurrent checkouts can't pass the limits
+export const redeemCoupon = async (couponId, userId, orderId) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const usedByUser = {
+    $size: {
+      $filter: {
+        input: "$redemptions",
+        cond: { $eq: ["$$this.userId", userObjectId] },
+      },
+    },
+  };
+
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      active: true,
+      $expr: {
+        $and: [
+          { $lt: [usedByUser, "$perUserLimit"] },
+          {
+            $or: [
+              { $eq: [{ $ifNull: ["$usageLimit", null] }, null] },
+              { $lt: ["$usedCount", "$usageLimit"] },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { userId: userObjectId, orderId } },
+    },
+    { new: true }
+  );
+  if (!redeemed) throw new CouponError("This coupon can no longer be used", 409);
+  return redeemed;
+};
+
+// give a redemption back, e.g. when an unpaid order is cancelled
+export const releaseRedemption = async (order) => {
+  if (!order?.coupon?.couponId) return;
+  await Coupon.updateOne(
+    { _id: order.coupon.couponId, "redemptions.orderId": order._id },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { orderId: order._id } } }
+  );
+};
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { getStorage } from "../Storage/index.js";
+import { AppError } from "../Utils/errors.js";
+
+// accepted mime types and the sharp format each must decode as
+export const imageTypes = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/avif": "heif",
+};
+
+// most images one product's gallery may hold
+export const maxGalleryImages = 12;
+
+// refuse decompression bombs before resizing them
+const maxPixels = 40_000_000;
+
+// stored next to every original, each as a field on the gallery image
+const renditions = [
+  { field: "webp", name: "large.webp", width: 1600, format: "webp" },
+  { field: "thumbnail", name: "thumb.jpg", width: 320, format: "jpeg" },
+  { field: "thumbnailWebp", name: "thumb.webp", width: 320, format: "webp" },
+];
+
+const extensions = { jpeg: "jpg", png: "png", webp: "webp", gif: "gif", heif: "avif" };
+
+const invalidImage = (file, reason) =>
+  new AppError(400, "INVALID_IMAGE", `'${file.originalname}' ${reason}`);
+
+// check a file decodes as one of imageTypes, whatever its name says
+const inspect = async (file) => {
+  let meta;
+  try {
+    meta = await sharp(file.buffer).metadata();
+  } catch {
+    throw invalidImage(file, "is not a valid image");
+  }
+  if (imageTypes[file.mimetype] !== meta.format)
+    throw invalidImage(file, `is not a ${file.mimetype} image`);
+  if (meta.width * meta.height > maxPixels)
+    throw invalidImage(file, "is too large to process");
+  return meta;
+};
+
+// resize within width (never enlarging), upright per its EXIF orientation
+const render = (buffer, { width, format }) =>
+  sharp(buffer, { limitInputPixels: maxPixels })
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, format === "jpeg" ? { mozjpeg: true } : {})
+    .toBuffer();
+
+// store files and their renditions as gallery images, cleaning up on failure
+export const storeImages = async (files, prefix, storage = getStorage()) => {
+  const metas = [];
+  for (const file of files) metas.push(await inspect(file));
+
+  const images = [];
+  const stored = [];
+  const put = async (key, body, contentType) => {
+    const result = await storage.put(key, body, contentType);
+    stored.push(key);
+    return result.url;
+  };
+
+  try {
+    for (const [i, file] of files.entries()) {
+      const meta = metas[i];
+      const base = `${prefix}/${crypto.randomUUID()}`;
+      const upright = meta.orientation >= 5;
+      const image = {
+        url: await put(`${base}/original.${extensions[meta.format]}`, file.buffer, file.mimetype),
+        width: upright ? meta.height : meta.width,
+        height: upright ? meta.width : meta.height,
+        keys: [],
+      };
+      for (const rendition of renditions) {
+        const body = await render(file.buffer, rendition);
+        image[rendition.field] = await put(
+          `${base}/${rendition.name}`,
+          body,
+          `image/${rendition.format}`
+        );
+      }
+      image.keys = stored.filter((key) => key.startsWith(`${base}/`));
+      images.push(image);
+    }
+  } catch (err) {
+    await removeKeys(stored, storage);
+    throw err;
+  }
+  return images;
+};
+
+const removeKeys = async (keys, storage) => {
+  await Promise.allSettled(keys.map((key) => storage.delete(key)));
+};
+
+// delete the stored files of gallery images, ignoring missing ones
+export const removeImages = (images, storage = getStorage()) =>
+  removeKeys(images.flatMap((image) => image.keys || []), storage);
+
+// make the gallery's first image the product's imgSrc
+export const syncPrimaryImage = (product, removed = []) => {
+  if (product.images.length) product.imgSrc = product.images[0].url;
+  else if (removed.some((image) => image.url === product.imgSrc)) product.imgSrc = undefined;
+};
@@ -0,0 +1,194 @@
+import { Products } from "../Models/Product.js";
+import { Order } from "../Models/Order.js";
+import { releaseRedemption } from "./coupon.js";
+import { AppError } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
+
+// minutes a pending order may hold stock before it is released
+export const reservationTtlMinutes = config.reservationTtlMinutes;
+
+// details.items is [{ productId, variantId, title, requested, available }]
+export class OutOfStockError extends AppError {
+  constructor(items) {
+    super(409, "OUT_OF_STOCK", "Out of stock", { items });
+    this.items = items;
+  }
+}
+
+// stock left for a product or variant, 0 when it doesn't exist
+export const availableStock = async (productId, variantId) => {
+  const product = await Products.findById(productId).select("qty variants");
+  if (!variantId) return product?.qty || 0;
+  return product?.findVariant(variantId)?.qty || 0;
+};
+
+// matches an item's product while it has at least `atLeast` in stock
+const stockFilter = (item, atLeast = 0) =>
+  item.variantId
+    ? {
+        _id: item.productId,
+        variants: { $elemMatch: { _id: item.variantId, qty: { $gte: atLeast } } },
+      }
+    : { _id: item.productId, qty: { $gte: atLeast } };
+
+// moves a variant's stock and its product's total together
+const stockChange = (item, by) =>
+  item.variantId
+    ? { $inc: { "variants.$.qty": by, qty: by } }
+    : { $inc: { qty: by } };
+
+// put stock back on the shelf
+export const restockItems = (items) =>
+  Promise.all(
+    items.map((item) =>
+      Products.updateOne(stockFilter(item), stockChange(item, item.qty))
+    )
+  );
+
+// count units sold, negative qty takes them off
+const recordSales = (items) =>
+  Promise.all(
+    items.map((item) =>
+      Products.updateOne(
+        { _id: item.productId },
+        { $inc: { soldCount: item.qty } }
+      )
+    )
+  );
+
+// take stock for every item or none, each decrement only matching while enough is left
+export const reserveItems = async (items) => {
+  const reserved = [];
+  const missing = [];
+
+  for (const item of items) {
+    const result = await Products.updateOne(
+      stockFilter(item, item.qty),
+      stockChange(item, -item.qty)
+    );
+    if (result.modifiedCount === 1) reserved.push(item);
+    else missing.push(item);
+  }
+
+  if (missing.length) {
+    await restockItems(reserved);
+    throw new OutOfStockError(
+      await Promise.all(
+        missing.map(async (item) => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          title: item.title,
+          requested: item.qty,
+          available: await availableStock(item.productId, item.variantId),
+        }))
+      )
+    );
+  }
+};
+
+// return a held reservation, claiming the order first so it's restocked once
+export const releaseReservation = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, "reservation.status": "held" },
+    {
+      $set: {
+        "reservation.status": "released",
+        "reservation.releasedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!order) return null;
+
+  await restockItems(order.items);
+  return order;
+};
+
+// commit a paid order's stock; a released one is retaken or flagged for refund
+export const commitReservation = async (order) => {
+  const committed = await Order.findOneAndUpdate(
+    { _id: order._id, "reservation.status": "held" },
+    { $set: { "reservation.status": "committed" } },
+    { new: true }
+  );
+  if (committed) {
+    await recordSales(committed.items);
+    return committed;
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "reservation.status": "released" },
+    { $set: { "reservation.status": "committed" } },
+    { new: true }
+  );
+  if (!claimed) return order;
+
+  try {
+    await reserveItems(claimed.items);
+    await recordSales(claimed.items);
+    return claimed;
+  } catch (error) {
+    if (!(error instanceof OutOfStockError)) throw error;
+    claimed.reservation.status = "failed";
+    return claimed.save();
+  }
+};
+
+// put returned units back on sale
+export const returnToStock = async (items) => {
+  await restockItems(items);
+  await recordSales(
+    items.map(({ productId, variantId, qty }) => ({ productId, variantId, qty: -qty }))
+  );
+};
+
+// restock a cancelled paid order, claiming it first so it's only done once
+export const restockOrder = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, "reservation.status": "committed" },
+    {
+      $set: {
+        "reservation.status": "released",
+        "reservation.releasedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!order) return null;
+
+  await returnToStock(order.items);
+  return order;
+};
+
+// cancel a pending order, null when it was no longer pending
+const cancelPendingOrder = async (orderId, note) => {
+  const cancelled = await Order.transition({ _id: orderId, status: "pending" }, "cancelled", {
+    note,
+  });
+  if (cancelled) {
+    await releaseReservation(orderId);
+    await releaseRedemption(cancelled);
+  }
+  return cancelled;
+};
+
+// cancel pending orders whose reservation has run out
+export const releaseExpiredReservations = async () => {
+  const expired = await Order.find({
+    status: "pending",
+    "reservation.expiresAt": { $lt: new Date() },
+  }).select("_id");
+
+  for (const { _id } of expired) await cancelPendingOrder(_id, "payment timed out");
+
+  return expired.length;
+};
+
+// cancel a user's unpaid orders so they can check out again
+export const releasePendingOrders = async (userId) => {
+  const pending = await Order.find({ userId, status: "pending" }).select("_id");
+
+  for (const { _id } of pending) await cancelPendingOrder(_id, "checked out again");
+
+  return pending.length;
+};
@@ -0,0 +1,223 @@
+import { stringify } from "csv-stringify/sync";
+import { Counter } from "../Models/Counter.js";
+import { Invoice } from "../Models/Invoice.js";
+import { User } from "../Models/User.js";
+import { orderTaxes } from "./pricing.js";
+import { conflict } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
+
+// payment states that leave an order with an invoice
+const invoicedPayments = ["paid", "partially_refunded", "refunded"];
+
+export const isInvoiceable = (order) =>
+  invoicedPayments.includes(order.payment?.status);
+
+// India Standard Time, UTC+5:30, whatever zone the server runs in
+const istOffset = (5 * 60 + 30) * 60 * 1000;
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// midnight in India at the start of the day a date falls on there
+const istMidnight = (date) => {
+  const ist = new Date(date.getTime() + istOffset);
+  return new Date(
+    Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()) - istOffset
+  );
+};
+
+// Indian financial years run April to March, e.g. "2026-27"
+export const financialYear = (date) => {
+  const ist = new Date(date.getTime() + istOffset);
+  const year = ist.getUTCFullYear();
+  const start = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+// numbers restart every financial year: INV/2026-27/000001
+export const nextInvoiceNumber = async (date) => {
+  const year = financialYear(date);
+  const seq = await Counter.next(`invoice:${year}`);
+  return `${config.invoicePrefix}/${year}/${String(seq).padStart(6, "0")}`;
+};
+
+// the invoice for an order, less its number, with the GST checkout worked out
+export const buildInvoice = (order, user) => {
+  const shipping = order.userShipping || {};
+  const taxes = orderTaxes(order);
+
+  const items = order.items.map((item, index) => {
+    const { discount, tax, total } = taxes.lines[index];
+    return {
+      productId: item.productId?._id ?? item.productId,
+      variantId: item.variantId,
+      title: item.title,
+      variantLabel: item.variantLabel,
+      sku: item.sku,
+      qty: item.qty,
+      unitPrice: item.price,
+      discount,
+      rate: taxes.rate,
+      ...tax,
+      total,
+    };
+  });
+
+  const shippingAmount = order.pricing.shipping || 0;
+  const { taxable, cgst, sgst, igst } = taxes.totals;
+
+  return {
+    orderId: order._id,
+    userId: order.userId?._id ?? order.userId,
+    seller: { ...config.seller },
+    buyer: {
+      name: shipping.fullName || user?.name,
+      email: user?.email,
+      address: shipping.address,
+      city: shipping.city,
+      state: shipping.state,
+      country: shipping.country,
+      pincode: shipping.pincode,
+      phoneNumber: shipping.phoneNumber,
+    },
+    intraState: taxes.intraState,
+    taxInclusive: taxes.inclusive,
+    items,
+    shipping: { amount: shippingAmount, ...taxes.shipping.tax },
+    totals: {
+      subtotal: order.pricing.subtotal,
+      discount: order.pricing.discount || 0,
+      shipping: shippingAmount,
+      taxable,
+      cgst,
+      sgst,
+      igst,
+      total: order.pricing.total,
+    },
+    currency: order.pricing.currency || config.currency,
+    payment: { provider: order.payment?.provider, paymentId: order.payment?.paymentId },
+  };
+};
+
+// how long a numbering claim lasts before another caller may take it over
+const numberingTimeout = 60 * 1000;
+// how long a caller waits for someone else to number it
+const numberingWait = 10 * 1000;
+const numberingPoll = 100;
+
+// next number of the financial year, renewing the claim before the counter moves
+export const numberInvoice = async (invoice) => {
+  const claim = { _id: invoice._id, number: { $exists: false } };
+  const renewed = await Invoice.findOneAndUpdate(
+    { ...claim, claimedAt: invoice.claimedAt },
+    { $set: { claimedAt: new Date() } },
+    { new: true }
+  );
+  if (!renewed) return awaitNumber(invoice);
+
+  const number = await nextInvoiceNumber(renewed.issuedAt);
+  const numbered = await Invoice.findOneAndUpdate(
+    { ...claim, claimedAt: renewed.claimedAt },
+    { $set: { number }, $unset: { claimedAt: 1 } },
+    { new: true }
+  );
+  return numbered || Invoice.findById(invoice._id);
+};
+
+// wait for another caller's number, or take over a stale claim
+const awaitNumber = async (invoice) => {
+  const deadline = Date.now() + numberingWait;
+  while (Date.now() < deadline) {
+    const taken = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        number: { $exists: false },
+        claimedAt: { $lt: new Date(Date.now() - numberingTimeout) },
+      },
+      { $set: { claimedAt: new Date() } },
+      { new: true }
+    );
+    if (taken) return numberInvoice(taken);
+
+    const current = await Invoice.findById(invoice._id);
+    if (current.number) return current;
+    await new Promise((resolve) => setTimeout(resolve, numberingPoll));
+  }
+  throw conflict("The invoice is still being issued, please retry");
+};
+
+// the order's one invoice, stored before it's numbered so failures leave no gaps
+export const issueInvoice = async (order) => {
+  let invoice = await Invoice.findOne({ orderId: order._id });
+
+  if (!invoice) {
+    const userId = order.userId?._id ?? order.userId;
+    const user = await User.findById(userId, "name email");
+    const now = new Date();
+    try {
+      // the unique orderId lets one caller create it, that one numbers it
+      invoice = await Invoice.create({
+        ...buildInvoice(order, user),
+        issuedAt: now,
+        claimedAt: now,
+      });
+      return await numberInvoice(invoice);
+    } catch (error) {
+      if (!(error?.code === 11000 && error.keyPattern?.orderId)) throw error;
+      invoice = await Invoice.findOne({ orderId: order._id });
+    }
+  }
+
+  return invoice.number ? invoice : awaitNumber(invoice);
+};
+
+// invoice a paid order, a failure is logged and retried on first download
+export const invoicePaidOrder = (order) =>
+  issueInvoice(order).catch((error) => {
+    console.log(error);
+    return null;
+  });
+
+// invoices issued between two days in India, both included, oldest first
+export const invoicesBetween = (from, to) => {
+  const start = istMidnight(new Date(from));
+  const end = new Date(istMidnight(new Date(to)).getTime() + dayMs);
+  const filter = { issuedAt: { $gte: start, $lt: end }, number: { $exists: true } };
+  return Invoice.find(filter).sort({ issuedAt: 1 });
+};
+
+export const invoiceFileName = (invoice) => `${invoice.number.replace(/\//g, "-")}.pdf`;
+
+const csvColumns = [
+  "number",
+  "issuedAt",
+  "orderId",
+  "buyer",
+  "state",
+  "taxable",
+  "cgst",
+  "sgst",
+  "igst",
+  "total",
+  "currency",
+  "file",
+];
+
+// one row per invoice, for the finance team's spreadsheets
+export const invoicesCsv = (invoices) =>
+  stringify(
+    invoices.map((invoice) => ({
+      number: invoice.number,
+      issuedAt: invoice.issuedAt.toISOString(),
+      orderId: String(invoice.orderId),
+      buyer: invoice.buyer?.name ?? "",
+      state: invoice.buyer?.state ?? "",
+      taxable: invoice.totals.taxable,
+      cgst: invoice.totals.cgst,
+      sgst: invoice.totals.sgst,
+      igst: invoice.totals.igst,
+      total: invoice.totals.total,
+      currency: invoice.currency,
+      file: invoiceFileName(invoice),
+    })),
+    { header: true, columns: csvColumns }
+  );
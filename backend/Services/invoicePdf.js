@@ -0,0 +1,169 @@
+import PDFDocument from "pdfkit";
+
+const margin = 40;
+const muted = "#555555";
+
+const money = (amount) =>
+  Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const day = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    timeZone: "Asia/Kolkata",
+  });
+
+const addressLines = (party) =>
+  [
+    party.address,
+    [party.city, party.state, party.pincode].filter(Boolean).join(", "),
+    party.country,
+    party.phoneNumber && `Phone: ${party.phoneNumber}`,
+    party.email,
+    party.gstin && `GSTIN: ${party.gstin}`,
+  ].filter(Boolean);
+
+// table columns as [heading, width, cell]
+const itemColumns = (invoice) => [
+  ["#", 20, (item, index) => String(index + 1)],
+  [
+    "Item",
+    invoice.intraState ? 130 : 170,
+    (item) => [item.title, item.variantLabel, item.sku && `SKU ${item.sku}`].filter(Boolean).join("\n"),
+  ],
+  ["Qty", 30, (item) => String(item.qty)],
+  ["Rate", 55, (item) => money(item.unitPrice)],
+  ["Discount", 50, (item) => money(item.discount)],
+  ["Taxable", 55, (item) => money(item.taxable)],
+  ...(invoice.intraState
+    ? [
+        ["CGST", 45, (item) => money(item.cgst)],
+        ["SGST", 45, (item) => money(item.sgst)],
+      ]
+    : [["IGST", 60, (item) => money(item.igst)]]),
+  ["Total", 60, (item) => money(item.total)],
+];
+
+const drawRow = (doc, columns, cells, y, options = {}) => {
+  let x = margin;
+  let height = 0;
+  columns.forEach(([, width], index) => {
+    const align = index > 1 ? "right" : "left";
+    doc.text(cells[index], x, y, { width, align, ...options });
+    height = Math.max(height, doc.heightOfString(cells[index], { width }));
+    x += width + 2;
+  });
+  return y + height + 6;
+};
+
+const drawItems = (doc, invoice) => {
+  const columns = itemColumns(invoice);
+  const right = doc.page.width - margin;
+
+  const header = (y) => {
+    doc.font("Helvetica-Bold").fontSize(8);
+    const next = drawRow(doc, columns, columns.map(([heading]) => heading), y);
+    doc.moveTo(margin, next - 3).lineTo(right, next - 3).stroke();
+    doc.font("Helvetica");
+    return next;
+  };
+
+  let y = header(doc.y);
+  invoice.items.forEach((item, index) => {
+    if (y > doc.page.height - 160) {
+      doc.addPage();
+      y = header(margin);
+    }
+    y = drawRow(doc, columns, columns.map(([, , cell]) => cell(item, index)), y);
+  });
+
+  doc.moveTo(margin, y - 3).lineTo(right, y - 3).stroke();
+  doc.y = y + 4;
+};
+
+const drawTotals = (doc, invoice) => {
+  const { totals, currency } = invoice;
+  const rows = [
+    ["Subtotal", totals.subtotal],
+    totals.discount && ["Discount", -totals.discount],
+    totals.shipping && ["Shipping", totals.shipping],
+    ["Taxable value", totals.taxable],
+    ...(invoice.intraState
+      ? [
+          [`CGST @ ${invoice.items[0]?.rate / 2}%`, totals.cgst],
+          [`SGST @ ${invoice.items[0]?.rate / 2}%`, totals.sgst],
+        ]
+      : [[`IGST @ ${invoice.items[0]?.rate}%`, totals.igst]]),
+  ].filter(Boolean);
+
+  const x = doc.page.width - margin - 220;
+  doc.fontSize(9);
+  for (const [label, amount] of rows) {
+    const y = doc.y;
+    doc.text(label, x, y, { width: 120 });
+    doc.text(money(amount), x + 120, y, { width: 100, align: "right" });
+  }
+  const y = doc.y + 4;
+  doc.font("Helvetica-Bold").fontSize(11);
+  doc.text(`Total (${currency})`, x, y, { width: 120 });
+  doc.text(money(totals.total), x + 120, y, { width: 100, align: "right" });
+  doc.font("Helvetica").fontSize(8).fillColor(muted);
+  const note =
+    invoice.taxInclusive === false
+      ? "GST is charged on top of the prices."
+      : "Prices are inclusive of GST.";
+  doc.text(note, margin, doc.y + 16);
+  doc.fillColor("black");
+};
+
+// render an invoice to a PDF, resolving to its bytes
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin,
+      info: { Title: `Invoice ${invoice.number}`, Author: invoice.seller?.name },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const seller = invoice.seller || {};
+    const buyer = invoice.buyer || {};
+    const top = doc.y;
+
+    doc.font("Helvetica-Bold").fontSize(16).text("TAX INVOICE", margin, top);
+    doc.fontSize(11).text(seller.name || "");
+    doc.font("Helvetica").fontSize(9).fillColor(muted).text(addressLines(seller).join("\n"));
+
+    const metaX = doc.page.width - margin - 200;
+    doc.fillColor("black").text(
+      [
+        `Invoice no: ${invoice.number}`,
+        `Invoice date: ${day(invoice.issuedAt)}`,
+        `Order id: ${invoice.orderId}`,
+        invoice.payment?.paymentId && `Payment id: ${invoice.payment.paymentId}`,
+        `Place of supply: ${buyer.state || "-"}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      metaX,
+      top + 4,
+      { width: 200, align: "right" }
+    );
+
+    doc.y = Math.max(doc.y, top + 90);
+    doc.font("Helvetica-Bold").fontSize(10).text("Bill to / Ship to", margin, doc.y);
+    doc.font("Helvetica").fontSize(9).text([buyer.name, ...addressLines(buyer)].filter(Boolean).join("\n"));
+    doc.moveDown();
+
+    drawItems(doc, invoice);
+    drawTotals(doc, invoice);
+
+    doc.end();
+  });
@@ -0,0 +1,37 @@
+import { getRateLimitStore, secondsUntil } from "../RateLimit/index.js";
+import { config } from "../Config/index.js";
+
+export const maxLoginFailures = config.rateLimit.loginMaxFailures;
+export const loginLockMinutes = config.rateLimit.loginLockMinutes;
+
+const maxLockMinutes = 24 * 60;
+const failureWindowMs = 24 * 60 * 60 * 1000;
+
+const failuresKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+// seconds the account stays locked, 0 when it isn't
+export const loginLockedFor = async (email) => {
+  const lock = await getRateLimitStore().get(lockKey(email));
+  return lock ? secondsUntil(lock.resetAt) : 0;
+};
+
+// count a bad password, returning the seconds the account is now locked for
+export const recordLoginFailure = async (email) => {
+  const store = getRateLimitStore();
+  const { count } = await store.increment(failuresKey(email), failureWindowMs);
+  if (count % maxLoginFailures) return 0;
+
+  const lockMinutes = Math.min(
+    loginLockMinutes * 2 ** (count / maxLoginFailures - 1),
+    maxLockMinutes
+  );
+  const lock = await store.increment(lockKey(email), lockMinutes * 60 * 1000);
+  return secondsUntil(lock.resetAt);
+};
+
+// forget the failures after a successful login or password reset
+export const clearLoginFailures = async (email) => {
+  const store = getRateLimitStore();
+  await Promise.all([store.reset(failuresKey(email)), store.reset(lockKey(email))]);
+};
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { Order } from "../Models/Order.js";
+import { Payment } from "../Models/Payment.js";
+
+// order status for each payStatus, unpaid ones never held stock
+const migratedStatus = {
+  paid: { status: "paid", reservation: "committed" },
+  partially_refunded: { status: "paid", reservation: "committed" },
+  refunded: { status: "refunded", reservation: "committed" },
+  created: { status: "cancelled", reservation: "released" },
+  failed: { status: "cancelled", reservation: "released" },
+};
+
+const shippingFields = ["fullName", "address", "city", "state", "country", "pincode", "phoneNumber"];
+
+// copy legacy payments into orders with the same _id, so reruns skip them
+export const migratePayments = async () => {
+  const payments = await Payment.collection.find({}).sort({ _id: 1 }).toArray();
+
+  let migrated = 0;
+  for (const payment of payments) {
+    if (await Order.exists({ _id: payment._id })) continue;
+
+    const items = (payment.orderItems || []).filter((item) =>
+      mongoose.isValidObjectId(item?.productId)
+    );
+    if (!mongoose.isValidObjectId(payment.userId) || !items.length) {
+      console.log(`Payment ${payment._id} has no user or items, not migrated`);
+      continue;
+    }
+
+    const { status, reservation } = migratedStatus[payment.payStatus] || migratedStatus.paid;
+    const at = payment.orderDate || payment._id.getTimestamp();
+    const amount = Number(payment.amount) || 0;
+    const order = new Order({
+      _id: payment._id,
+      userId: payment.userId,
+      items: items.map(({ productId, title, price, qty, imgSrc }) => ({
+        productId,
+        title,
+        price,
+        qty,
+        imgSrc,
+      })),
+      // legacy checkouts charged INR with GST included
+      pricing: { subtotal: amount, total: amount, currency: "INR" },
+      userShipping: Object.fromEntries(
+        shippingFields.map((field) => [field, payment.userShipping?.[field]])
+      ),
+      payment: {
+        provider: "razorpay",
+        orderId: payment.orderId,
+        paymentId: payment.paymentId,
+        signature: payment.signature,
+        status: payment.payStatus || "paid",
+        refunds: (payment.refunds || []).map(({ refundId, amount, processedAt }) => ({
+          refundId,
+          amount,
+          processedAt,
+        })),
+        webhookEvents: payment.webhookEvents || [],
+      },
+      reservation: { status: reservation },
+      status,
+      statusHistory: [{ status, at, note: "migrated from payments" }],
+      orderDate: at,
+    });
+    // kept as recorded, even where it falls short of today's rules
+    await order.save({ validateBeforeSave: false });
+    migrated++;
+  }
+  return migrated;
+};
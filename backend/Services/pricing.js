@@ -0,0 +1,187 @@
+import { Cart } from "../Models/Cart.js";
+import { quoteCart } from "./cart.js";
+import { resolveShippingAddress } from "./address.js";
+import {
+  allocate,
+  isIntraState,
+  normalizeState,
+  roundMoney,
+  splitExclusive,
+  splitInclusive,
+} from "../Utils/gst.js";
+import { badRequest, notFound } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
+
+// the first shipping zone covering an address
+export const shippingZone = (shipping, rules = config.shipping) => {
+  const pincode = String(shipping?.pincode || "").replace(/\s+/g, "");
+  const state = normalizeState(shipping?.state);
+
+  return rules.zones.find(
+    (zone) =>
+      (!zone.pincodes.length && !zone.states.length && !zone.sameState) ||
+      zone.pincodes.some((prefix) => pincode.startsWith(prefix)) ||
+      zone.states.some((name) => normalizeState(name) === state) ||
+      (zone.sameState && isIntraState(config.seller.state, shipping?.state))
+  );
+};
+
+// what a zone charges for `value` grams, or rupees for zones priced by value
+const slabCharge = (zone, value) => {
+  const slab = zone.slabs.find((slab) => value <= slab.upTo);
+  if (slab) return slab.charge;
+
+  const last = zone.slabs.at(-1);
+  if (!zone.extra) return last.charge;
+  const steps = Math.ceil((value - last.upTo) / zone.extra.every);
+  return roundMoney(last.charge + steps * zone.extra.charge);
+};
+
+// shipping for discounted lines worth `value`, null when no zone covers the address
+export const quoteShipping = (lines, value, shipping, rules = config.shipping) => {
+  const zone = shippingZone(shipping, rules);
+  if (!zone) return null;
+
+  const weight = lines.reduce(
+    (sum, line) => sum + (line.weight || rules.defaultWeight) * line.qty,
+    0
+  );
+  const freeAbove = zone.freeAbove ?? rules.freeAbove;
+  const free = freeAbove !== undefined && value >= freeAbove;
+  return {
+    zone: zone.name,
+    weight,
+    freeAbove,
+    free,
+    charge: free ? 0 : slabCharge(zone, zone.basis === "price" ? value : weight),
+  };
+};
+
+// the GST heads of an amount and its tax-inclusive total
+const taxAmount = (amount, { rate, inclusive, intraState }) => {
+  const tax = (inclusive ? splitInclusive : splitExclusive)(amount, rate, intraState);
+  return { tax, total: roundMoney(tax.taxable + tax.cgst + tax.sgst + tax.igst) };
+};
+
+const sum = (rows, pick) => roundMoney(rows.reduce((total, row) => total + pick(row), 0));
+
+const taxTotals = (rows) => {
+  const totals = Object.fromEntries(
+    ["taxable", "cgst", "sgst", "igst"].map((head) => [head, sum(rows, (row) => row.tax[head])])
+  );
+  return {
+    ...totals,
+    tax: roundMoney(totals.cgst + totals.sgst + totals.igst),
+    total: sum(rows, (row) => row.total),
+  };
+};
+
+// GST on an order's items and shipping, after sharing out the discount by value
+export const taxOrder = ({
+  items,
+  discount = 0,
+  shipping = 0,
+  state,
+  rate = config.gstRate,
+  inclusive = config.pricesIncludeGst,
+}) => {
+  const gst = { rate, inclusive, intraState: isIntraState(config.seller.state, state) };
+  const amounts = items.map((item) => roundMoney(item.price * item.qty));
+  const discounts = allocate(discount, amounts);
+
+  const lines = amounts.map((amount, index) => ({
+    discount: discounts[index],
+    ...taxAmount(amount - discounts[index], gst),
+  }));
+  const shippingTax = taxAmount(shipping, gst);
+  return { ...gst, lines, shipping: shippingTax, totals: taxTotals([...lines, shippingTax]) };
+};
+
+const withTotal = (tax = {}) => {
+  const { taxable = 0, cgst = 0, sgst = 0, igst = 0 } = tax;
+  return {
+    tax: { taxable, cgst, sgst, igst },
+    total: roundMoney(taxable + cgst + sgst + igst),
+  };
+};
+
+// a placed order's GST in taxOrder's shape, older ones worked out of their prices
+export const orderTaxes = (order) => {
+  const { gst } = order.pricing;
+  if (gst?.rate == null)
+    return taxOrder({
+      items: order.items,
+      discount: order.pricing.discount || 0,
+      shipping: order.pricing.shipping || 0,
+      state: order.userShipping?.state,
+      inclusive: true,
+    });
+
+  const lines = order.items.map((item) => ({
+    discount: item.discount || 0,
+    ...withTotal(item.tax),
+  }));
+  const shipping = withTotal(gst.shipping);
+  return {
+    rate: gst.rate,
+    inclusive: gst.inclusive,
+    intraState: gst.intraState,
+    lines,
+    shipping,
+    totals: taxTotals([...lines, shipping]),
+  };
+};
+
+// itemize a cart quote shipped to an address, with a shippingError when it can't be
+export const priceQuote = (quote, shipping, rules = config.shipping) => {
+  const priced = quote.lines.filter((line) => !line.unavailable);
+  const goods = roundMoney(quote.subtotal - quote.discount);
+
+  const delivery = quoteShipping(priced, goods, shipping, rules);
+  if (!delivery)
+    return {
+      ...quote,
+      shipping: null,
+      tax: null,
+      total: null,
+      shippingError: `We don't ship to ${shipping?.pincode || "this address"} yet`,
+    };
+
+  const taxes = taxOrder({
+    items: priced.map((line) => ({ price: line.unitPrice, qty: line.qty })),
+    discount: quote.discount,
+    shipping: delivery.charge,
+    state: shipping?.state,
+  });
+
+  let next = 0;
+  const lines = quote.lines.map((line) =>
+    line.unavailable ? line : { ...line, ...taxes.lines[next++] }
+  );
+  const { tax, total, ...heads } = taxes.totals;
+  return {
+    ...quote,
+    lines,
+    shipping: { ...delivery, ...taxes.shipping },
+    tax: {
+      rate: taxes.rate,
+      inclusive: taxes.inclusive,
+      intraState: taxes.intraState,
+      ...heads,
+      total: tax,
+    },
+    total,
+  };
+};
+
+// what checkout charges for a user's cart, by default to their default address
+export const quoteCheckout = async (userId, addressId) => {
+  const address = await resolveShippingAddress(userId, addressId);
+  if (!address)
+    throw addressId ? notFound("Address") : badRequest("Add a shipping address first");
+  const shipping = address.toShipping();
+
+  const cart = await Cart.findOne({ userId });
+  const quote = priceQuote(await quoteCart(cart, userId), shipping);
+  return { shipping, quote };
+};
@@ -0,0 +1,158 @@
+import mongoose from "mongoose";
+import { Order, canTransition } from "../Models/Order.js";
+import { getPaymentProvider } from "../Payments/index.js";
+import { releaseReservation, restockOrder } from "./inventory.js";
+import { releaseRedemption } from "./coupon.js";
+import { roundMoney } from "../Utils/gst.js";
+import { badGateway, conflict } from "../Utils/errors.js";
+
+// payment states that have money to give back
+const refundablePayments = ["paid", "partially_refunded"];
+
+// anything else a provider answers counts as pending
+const refundStatuses = ["pending", "processed", "manual"];
+
+// paise of slack when comparing sums of rupee amounts
+const epsilon = 0.005;
+
+export const refundedAmount = (order) =>
+  roundMoney(order.payment.refunds.reduce((sum, refund) => sum + refund.amount, 0));
+
+export const refundableAmount = (order) =>
+  refundablePayments.includes(order.payment.status)
+    ? Math.max(0, roundMoney(order.pricing.total - refundedAmount(order)))
+    : 0;
+
+// bring payment.status and the order in line with the refunds so far
+export const settleRefunds = async (orderId, { by, note } = {}) => {
+  let order = await Order.findById(orderId);
+  if (!order?.payment.refunds.length) return order;
+
+  const status =
+    refundedAmount(order) >= order.pricing.total - epsilon
+      ? "refunded"
+      : "partially_refunded";
+  order = await Order.findOneAndUpdate(
+    { _id: orderId },
+    { $set: { "payment.status": status } },
+    { new: true }
+  );
+  if (status !== "refunded" || !canTransition(order.status, "refunded")) return order;
+
+  const shipped = order.status === "delivered";
+  const refunded = await Order.transition({ _id: orderId, status: order.status }, "refunded", {
+    by,
+    note,
+  });
+  if (!refunded) return Order.findById(orderId);
+  if (!shipped) await restockOrder(orderId);
+  return refunded;
+};
+
+// refund `amount`, or all that's left, recorded first so racing refunds can't overpay
+export const refundOrder = async (order, { amount, reason, returnId, by } = {}) => {
+  if (!refundablePayments.includes(order.payment.status))
+    throw conflict("Order has no payment to refund");
+
+  const refundable = refundableAmount(order);
+  amount = roundMoney(amount ?? refundable);
+  if (amount <= 0) throw conflict("Nothing left to refund");
+
+  const _id = new mongoose.Types.ObjectId();
+  const record = { _id, amount, status: "pending", receipt: `refund_${_id}`, reason, returnId, by };
+
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "payment.status": { $in: refundablePayments },
+      $expr: {
+        $lte: [
+          { $add: [{ $sum: "$payment.refunds.amount" }, amount] },
+          { $add: ["$pricing.total", epsilon] },
+        ],
+      },
+    },
+    { $push: { "payment.refunds": record } },
+    { new: true }
+  );
+  if (!claimed)
+    throw conflict("Refund is more than what is left to refund", { refundable });
+
+  let result;
+  try {
+    result = await getPaymentProvider(claimed.payment.provider).refund({
+      paymentId: claimed.payment.paymentId,
+      amount,
+      receipt: record.receipt,
+    });
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $pull: { "payment.refunds": { _id } } });
+    console.log(error);
+    throw badGateway("The payment provider refused the refund", {
+      provider: claimed.payment.provider,
+    });
+  }
+
+  // the provider's webhook may have marked it processed already
+  await Order.updateOne(
+    { _id: order._id, "payment.refunds": { $elemMatch: { _id, status: "pending" } } },
+    {
+      $set: {
+        "payment.refunds.$.refundId": result.refundId,
+        "payment.refunds.$.status": refundStatuses.includes(result.status)
+          ? result.status
+          : "pending",
+      },
+    }
+  );
+
+  return settleRefunds(order._id, { by, note: reason });
+};
+
+// cancel an unshipped order, releasing its stock and coupon and refunding it
+export const cancelOrder = async (order, { by, reason } = {}) => {
+  const cancelled = await Order.transition(
+    { _id: order._id, status: order.status },
+    "cancelled",
+    { by, note: reason }
+  );
+  if (!cancelled) throw conflict("Order was updated by someone else, please retry");
+
+  // held stock of an unpaid order, or committed stock of a paid one
+  await releaseReservation(cancelled._id);
+  await restockOrder(cancelled._id);
+  await releaseRedemption(cancelled);
+
+  if (!refundablePayments.includes(cancelled.payment.status)) return cancelled;
+  return refundOrder(cancelled, { reason: reason || "order cancelled", by });
+};
+
+// refund a payment that landed on a cancelled order, left for an admin if refused
+export const refundLatePayment = async (filter, { paymentId, signature, note, update = {} }) => {
+  const order = await Order.findOneAndUpdate(
+    {
+      $and: [
+        filter,
+        { status: "cancelled", "payment.status": { $nin: [...refundablePayments, "refunded"] } },
+      ],
+    },
+    {
+      ...update,
+      $set: {
+        ...update.$set,
+        "payment.status": "paid",
+        "payment.paymentId": paymentId,
+        ...(signature && { "payment.signature": signature }),
+      },
+    },
+    { new: true }
+  );
+  if (!order) return null;
+
+  try {
+    return await refundOrder(order, { reason: note || "paid after the order was cancelled" });
+  } catch (error) {
+    console.log(error);
+    return Order.findById(order._id);
+  }
+};
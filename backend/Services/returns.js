@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import { Order } from "../Models/Order.js";
+import { returnToStock } from "./inventory.js";
+import { refundOrder, refundableAmount } from "./refund.js";
+import { orderTaxes } from "./pricing.js";
+import { roundMoney } from "../Utils/gst.js";
+import { badRequest, conflict, notFound } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
+
+const day = 24 * 60 * 60 * 1000;
+
+// when the order was delivered, from its status history
+export const deliveredAt = (order) =>
+  order.statusHistory.findLast((entry) => entry.status === "delivered")?.at;
+
+// units of each order item, by id, not claimed by a return in `statuses`
+export const returnableUnits = (order, statuses = ["requested", "approved"]) => {
+  const left = new Map(order.items.map((item) => [String(item._id), item.qty]));
+  for (const rma of order.returns) {
+    if (!statuses.includes(rma.status)) continue;
+    for (const line of rma.items) {
+      const id = String(line.itemId);
+      left.set(id, (left.get(id) || 0) - line.qty);
+    }
+  }
+  return left;
+};
+
+// what the customer paid for the units a return sends back
+export const returnValue = (order, rma) => {
+  const { lines } = orderTaxes(order);
+  const value = rma.items.reduce((sum, line) => {
+    const index = order.items.findIndex((item) => item._id.equals(line.itemId));
+    if (index < 0) return sum;
+    return sum + (lines[index].total * line.qty) / order.items[index].qty;
+  }, 0);
+  return roundMoney(value);
+};
+
+// ask to return items of a delivered order, items is [{ itemId, qty, reason }]
+export const requestReturn = async (order, { items, reason, comment }) => {
+  if (order.status !== "delivered") throw conflict("Only delivered orders can be returned");
+
+  const since = deliveredAt(order);
+  if (!since || Date.now() - since > config.returnWindowDays * day)
+    throw conflict(`Items can be returned up to ${config.returnWindowDays} days after delivery`);
+
+  const left = returnableUnits(order);
+  const problems = items
+    .filter(({ itemId, qty }) => !(qty <= left.get(itemId)))
+    .map(({ itemId, qty }) => ({
+      itemId,
+      requested: qty,
+      returnable: Math.max(0, left.get(itemId) || 0),
+    }));
+  if (problems.length) throw badRequest("Some items can't be returned", { items: problems });
+
+  // only lands if no other return was added in the meantime
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: "delivered", returns: { $size: order.returns.length } },
+    {
+      $push: {
+        returns: { _id: new mongoose.Types.ObjectId(), items, reason, comment },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) throw conflict("Order was updated by someone else, please retry");
+  return updated;
+};
+
+// approve or reject a return, refunding shipping too once every unit is back
+export const decideReturn = async (
+  order,
+  returnId,
+  { approve, note, refundAmount, restock = true, by }
+) => {
+  const rma = order.returns.id(returnId);
+  if (!rma) throw notFound("Return");
+  if (rma.status !== "requested") throw conflict(`Return is already ${rma.status}`);
+
+  const refundable = refundableAmount(order);
+  if (approve && refundAmount > refundable)
+    throw badRequest("Refund is more than what is left to refund", { refundable });
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, returns: { $elemMatch: { _id: returnId, status: "requested" } } },
+    {
+      $set: {
+        "returns.$.status": approve ? "approved" : "rejected",
+        "returns.$.note": note,
+        "returns.$.decidedBy": by,
+        "returns.$.decidedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) throw conflict("Return was decided by someone else");
+  if (!approve) return claimed;
+
+  if (restock) {
+    await returnToStock(
+      rma.items.map((line) => {
+        const item = claimed.items.id(line.itemId);
+        return { productId: item.productId, variantId: item.variantId, qty: line.qty };
+      })
+    );
+    await Order.updateOne(
+      { _id: order._id, "returns._id": returnId },
+      { $set: { "returns.$.restocked": true } }
+    );
+  }
+
+  const allBack = [...returnableUnits(claimed, ["approved"]).values()].every(
+    (units) => units <= 0
+  );
+  const amount = Math.min(
+    refundAmount ?? (allBack ? refundable : returnValue(claimed, rma)),
+    refundable
+  );
+  if (amount <= 0) return Order.findById(order._id);
+
+  return refundOrder(claimed, { amount, reason: `return: ${rma.reason}`, returnId, by });
+};
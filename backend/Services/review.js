@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { Review } from "../Models/Review.js";
+import { Order } from "../Models/Order.js";
+import { Products } from "../Models/Product.js";
+
+// order states in which the customer has actually bought the items
+const purchasedStatuses = ["paid", "packed", "shipped", "delivered"];
+
+export const hasPurchased = async (userId, productId) =>
+  Boolean(
+    await Order.exists({
+      userId,
+      "items.productId": productId,
+      status: { $in: purchasedStatuses },
+    })
+  );
+
+// recompute the product's denormalized rating from its visible reviews
+export const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    {
+      $match: {
+        productId: new mongoose.Types.ObjectId(productId),
+        hidden: false,
+      },
+    },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  await Products.updateOne(
+    { _id: productId },
+    {
+      $set: {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats?.count || 0,
+      },
+    }
+  );
+};
@@ -0,0 +1,103 @@
+import { Products } from "../Models/Product.js";
+import {
+  matchWord,
+  queryGrams,
+  searchFieldWeights,
+  tokenize,
+} from "../Utils/search.js";
+import { parseListingQuery } from "./catalog.js";
+import { categoryFilter, refileProducts } from "./category.js";
+
+// most products scored for one query
+const maxCandidates = 1000;
+
+export const maxSuggestions = 8;
+
+// score a product by each word's best weighted field match
+const scoreProduct = (words, tokens, fields) => {
+  let score = 0;
+  let matched = 0;
+
+  for (const typed of words) {
+    let best = 0;
+    for (const field of fields) {
+      for (const word of tokens[field] || []) {
+        best = Math.max(best, matchWord(typed, word) * searchFieldWeights[field]);
+      }
+    }
+    if (best > 0) matched++;
+    score += best;
+  }
+
+  return { score, matched };
+};
+
+// rank the products sharing the most grams, more matched words always first
+const rankProducts = async (q, filter, fields) => {
+  const words = [...new Set(tokenize(q))];
+  if (!words.length) return { ranked: [], capped: false };
+
+  const grams = [...new Set(words.flatMap(queryGrams))];
+  const candidates = await Products.aggregate([
+    { $match: { ...filter, searchGrams: { $in: grams } } },
+    { $addFields: { gramHits: { $size: { $setIntersection: ["$searchGrams", grams] } } } },
+    { $sort: { gramHits: -1, soldCount: -1, _id: 1 } },
+    // one more than is scored, to tell whether the cap was hit
+    { $limit: maxCandidates + 1 },
+    { $project: { searchGrams: 0, gramHits: 0 } },
+  ]);
+  const capped = candidates.length > maxCandidates;
+
+  const ranked = candidates
+    .slice(0, maxCandidates)
+    .map((product) => ({
+      product,
+      ...scoreProduct(words, product.searchTokens, fields),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.matched - a.matched ||
+        b.score - a.score ||
+        b.product.soldCount - a.product.soldCount
+    );
+
+  return { ranked, capped };
+};
+
+// full-text search with the listing's filters, `capped` when candidates ran out
+export const searchProducts = async (query = {}) => {
+  const { page, limit, base, price } = parseListingQuery(query);
+  const category = await categoryFilter(query.category);
+  const { ranked, capped } = await rankProducts(
+    query.q,
+    { ...base, ...category, ...price },
+    Object.keys(searchFieldWeights)
+  );
+
+  return {
+    q: query.q || "",
+    products: ranked
+      .slice((page - 1) * limit, page * limit)
+      .map(({ product, score }) => {
+        const { searchTokens, ...rest } = product;
+        return { ...rest, score: Number(score.toFixed(3)) };
+      }),
+    page,
+    limit,
+    total: ranked.length,
+    totalPages: Math.ceil(ranked.length / limit),
+    capped,
+  };
+};
+
+// top product titles for the search box
+export const suggestProducts = async (q) => {
+  const { ranked } = await rankProducts(q, {}, ["title"]);
+  return ranked
+    .slice(0, maxSuggestions)
+    .map(({ product }) => ({ _id: product._id, title: product.title }));
+};
+
+// index products saved before search existed
+export const reindexProducts = () => refileProducts({ searchGrams: { $exists: false } });
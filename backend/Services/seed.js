@@ -0,0 +1,137 @@
+import fs from "fs/promises";
+import bcrypt from "bcryptjs";
+import { User } from "../Models/User.js";
+import { Address } from "../Models/Address.js";
+import { Order } from "../Models/Order.js";
+import { Products } from "../Models/Product.js";
+import { Category } from "../Models/Category.js";
+import { importCatalog } from "./catalogImport.js";
+import { createCategory } from "./category.js";
+
+// every seeded account signs in with this password
+export const seedPassword = "password123";
+
+const seedUsers = [
+  { name: "Admin", email: "admin@example.com", role: "admin" },
+  { name: "Demo Customer", email: "customer@example.com", role: "user" },
+];
+
+const seedAddress = {
+  address: "12 MG Road",
+  city: "Bengaluru",
+  state: "Karnataka",
+  country: "India",
+  pincode: "560001",
+  phoneNumber: "9876543210",
+};
+
+// how far along the lifecycle each demo order is
+const seedOrderStatuses = [
+  ["pending", "paid", "packed", "shipped", "delivered"],
+  ["pending", "paid"],
+];
+
+const seedFile = async (name) =>
+  JSON.parse(await fs.readFile(new URL(`../Seed/${name}`, import.meta.url), "utf8"));
+
+// the sample category tree, adding only the slugs that don't exist yet
+const seedCategories = async (nodes, parent = null) => {
+  let created = 0;
+  for (const { children = [], ...fields } of nodes) {
+    let category = await Category.findOne({ slug: fields.slug });
+    if (!category) {
+      category = await createCategory({ ...fields, parent: parent?._id });
+      created += 1;
+    }
+    created += await seedCategories(children, category);
+  }
+  return created;
+};
+
+// verified accounts, created once and left alone afterwards
+const seedAccounts = async () => {
+  const password = await bcrypt.hash(seedPassword, 10);
+  let created = 0;
+
+  const users = [];
+  for (const { name, email, role } of seedUsers) {
+    let user = await User.findOne({ email });
+    if (!user) {
+      user = await User.create({ name, email, role, password, emailVerified: true });
+      created += 1;
+    }
+    users.push(user);
+  }
+  return { users, created };
+};
+
+// a default address for every user that has none
+const seedAddresses = async (users) => {
+  let created = 0;
+  for (const user of users) {
+    if (await Address.exists({ userId: user._id })) continue;
+    await Address.create({
+      userId: user._id,
+      fullName: user.name,
+      ...seedAddress,
+      isDefault: true,
+    });
+    created += 1;
+  }
+  return created;
+};
+
+// a few paid orders for the demo customer, history only so stock is untouched
+const seedOrders = async (customer) => {
+  if (await Order.exists({ userId: customer._id })) return 0;
+
+  const products = await Products.find({ sku: { $exists: true } })
+    .sort({ sku: 1 })
+    .limit(seedOrderStatuses.length * 2);
+  if (!products.length) return 0;
+
+  const address = await Address.findOne({ userId: customer._id, isDefault: true });
+
+  const orders = seedOrderStatuses.map((statuses, index) => {
+    const picked = products.slice(index * 2, index * 2 + 2);
+    const items = (picked.length ? picked : products.slice(0, 1)).map((product) => ({
+      productId: product._id,
+      title: product.title,
+      price: product.price,
+      qty: 1,
+      imgSrc: product.imgSrc,
+    }));
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.qty, 0);
+
+    return {
+      userId: customer._id,
+      items,
+      pricing: { subtotal, total: subtotal },
+      userShipping: address?.toShipping(),
+      payment: {
+        provider: "mock",
+        orderId: `seed_order_${index + 1}`,
+        paymentId: `seed_payment_${index + 1}`,
+        status: "paid",
+      },
+      reservation: { status: "committed" },
+      status: statuses.at(-1),
+      statusHistory: statuses.map((status) => ({ status, note: "seeded" })),
+    };
+  });
+
+  await Order.insertMany(orders);
+  return orders.length;
+};
+
+// sample data for local development, safe to run again
+export const seedDevelopmentData = async () => {
+  const categories = await seedCategories(await seedFile("categories.json"));
+  const products = await importCatalog(await seedFile("products.json"));
+  const { users, created } = await seedAccounts();
+  const addresses = await seedAddresses(users);
+  const customer = users.find((user) => user.role === "user");
+  const orders = await seedOrders(customer);
+
+  return { categories, products, users: created, addresses, orders };
+};
@@ -0,0 +1,91 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { RefreshToken } from "../Models/RefreshToken.js";
+import { User } from "../Models/User.js";
+import { unauthorized } from "../Utils/errors.js";
+import { config } from "../Config/index.js";
+
+export const accessTokenTtl = config.jwt.accessTokenTtl;
+export const refreshTokenTtlDays = config.jwt.refreshTokenTtlDays;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// tv is the user's tokenVersion, bumping it invalidates every access token
+export const signAccessToken = (user) =>
+  jwt.sign({ userId: user._id, tv: user.tokenVersion || 0 }, config.jwt.secret, {
+    expiresIn: accessTokenTtl,
+  });
+
+export const verifyAccessToken = (token) => jwt.verify(token, config.jwt.secret);
+
+const createRefreshToken = async (userId, family, meta = {}) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+  });
+  return token;
+};
+
+// tokens for a fresh login, meta is { userAgent, ip }
+export const startSession = async (user, meta) => ({
+  token: signAccessToken(user),
+  refreshToken: await createRefreshToken(user._id, crypto.randomUUID(), meta),
+});
+
+export const revokeFamily = (family) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+// swap a refresh token for a new pair, a reused one revokes its whole family
+export const rotateSession = async (refreshToken, meta) => {
+  if (!refreshToken) throw unauthorized("Refresh token required");
+
+  const tokenHash = hashToken(refreshToken);
+  const stored = await RefreshToken.findOne({ tokenHash });
+  if (!stored || stored.expiresAt < new Date())
+    throw unauthorized("Invalid or expired refresh token");
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    throw unauthorized("Refresh token reused, please login again");
+  }
+
+  const user = await User.findById(stored.userId);
+  if (!user) throw unauthorized("User not exist");
+
+  const next = await createRefreshToken(user._id, stored.family, meta);
+  await RefreshToken.updateOne(
+    { _id: claimed._id },
+    { $set: { replacedBy: hashToken(next) } }
+  );
+
+  return { token: signAccessToken(user), refreshToken: next };
+};
+
+// logout this device
+export const endSession = async (refreshToken) => {
+  if (!refreshToken) return;
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (stored) await revokeFamily(stored.family);
+};
+
+// logout every device, including access tokens still within their ttl
+export const endAllSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
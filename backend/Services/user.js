@@ -0,0 +1,23 @@
+import { User } from "../Models/User.js";
+
+// lowercase emails stored as typed, logging accounts that differ only by case
+export const migrateUserEmails = async () => {
+  const mixed = await User.collection
+    .find({ email: { $regex: /[A-Z]|^\s|\s$/ } })
+    .sort({ _id: 1 })
+    .project({ email: 1 })
+    .toArray();
+
+  let migrated = 0;
+  for (const { _id, email } of mixed) {
+    const lowered = email.trim().toLowerCase();
+    const taken = await User.collection.findOne({ email: lowered, _id: { $ne: _id } });
+    if (taken) {
+      console.log(`User ${_id} keeps ${email}, user ${taken._id} already has ${lowered}`);
+      continue;
+    }
+    await User.collection.updateOne({ _id }, { $set: { email: lowered } });
+    migrated++;
+  }
+  return migrated;
+};
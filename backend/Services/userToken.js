@@ -0,0 +1,40 @@
+import crypto from "crypto";
+import { UserToken } from "../Models/UserToken.js";
+import { config } from "../Config/index.js";
+
+// minutes each kind of token stays valid
+export const userTokenTtlMinutes = config.userTokenTtlMinutes;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// new token for the user, invalidating any earlier unused one of that type
+export const issueUserToken = async (userId, type) => {
+  await UserToken.updateMany(
+    { userId, type, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + userTokenTtlMinutes[type] * 60 * 1000),
+  });
+  return token;
+};
+
+// mark the token used in one conditional update, null when it isn't valid
+export const consumeUserToken = (token, type) =>
+  token
+    ? UserToken.findOneAndUpdate(
+        {
+          tokenHash: hashToken(String(token)),
+          type,
+          usedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { $set: { usedAt: new Date() } }
+      )
+    : null;
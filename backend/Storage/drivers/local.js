@@ -0,0 +1,30 @@
+import fs from "fs/promises";
+import path from "path";
+
+// files under options.dir, served by server.js at options.publicUrl
+export const localDriver = (options) => {
+  const root = path.resolve(options.dir);
+
+  // keys are relative paths and must stay inside root
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key '${key}'`);
+    return file;
+  };
+
+  const url = (key) => `${options.publicUrl}/${key}`;
+
+  return {
+    name: "local",
+    put: async (key, body) => {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+      return { key, url: url(key) };
+    },
+    delete: async (key) => {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    url,
+  };
+};
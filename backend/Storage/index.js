@@ -0,0 +1,23 @@
+import { localDriver } from "./drivers/local.js";
+import { config } from "../Config/index.js";
+
+const drivers = {
+  local: localDriver,
+};
+
+// a driver is { name, put(key, body, contentType) -> { key, url }, delete(key), url(key) }
+export const createStorage = (options = config.storage) => {
+  const name = options.driver;
+  if (!drivers[name]) throw new Error(`Unknown storage driver '${name}'`);
+  return drivers[name](options);
+};
+
+let storage;
+
+// the app-wide storage
+export const getStorage = () => (storage ||= createStorage());
+
+// swap the app-wide storage, e.g. for a temporary directory in tests
+export const setStorage = (next) => {
+  storage = next;
+};
@@ -0,0 +1,49 @@
+// postal code and phone number formats per country, keyed by ISO code
+
+const formats = {
+  IN: {
+    names: ["india"],
+    pincode: /^[1-9][0-9]{5}$/,
+    phone: /^(\+?91[\s-]?|0)?[6-9]\d{9}$/,
+  },
+  US: {
+    names: ["united states", "united states of america", "usa"],
+    pincode: /^\d{5}(-\d{4})?$/,
+    phone: /^(\+?1[\s-]?)?\(?\d{3}\)?[\s-]?\d{3}[\s-]?\d{4}$/,
+  },
+  GB: {
+    names: ["united kingdom", "uk", "great britain"],
+    pincode: /^[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}$/i,
+    phone: /^(\+?44\s?|0)7\d{3}\s?\d{6}$/,
+  },
+  CA: {
+    names: ["canada"],
+    pincode: /^[A-Z]\d[A-Z]\s?\d[A-Z]\d$/i,
+    phone: /^(\+?1[\s-]?)?\(?\d{3}\)?[\s-]?\d{3}[\s-]?\d{4}$/,
+  },
+  AU: {
+    names: ["australia"],
+    pincode: /^\d{4}$/,
+    phone: /^(\+?61\s?|0)4\d{2}\s?\d{3}\s?\d{3}$/,
+  },
+};
+
+// used for countries without a known format
+const fallback = {
+  pincode: /^[A-Z0-9][A-Z0-9\s-]{1,8}[A-Z0-9]$/i,
+  phone: /^\+?[0-9\s()-]{7,20}$/,
+};
+
+// ISO code for a country name or code, undefined when unknown
+export const countryCode = (country = "") => {
+  const value = String(country).trim().toLowerCase();
+  return Object.keys(formats).find(
+    (code) => code.toLowerCase() === value || formats[code].names.includes(value)
+  );
+};
+
+export const isValidPincode = (country, pincode) =>
+  (formats[countryCode(country)] || fallback).pincode.test(String(pincode).trim());
+
+export const isValidPhone = (country, phone) =>
+  (formats[countryCode(country)] || fallback).phone.test(String(phone).trim());
@@ -0,0 +1,76 @@
+// category tree helpers, a trail is the ancestors from the root plus the category
+
+export const attributeTypes = ["text", "number", "boolean", "select"];
+
+// "Mobiles & Tablets" -> "mobiles-tablets"
+export const slugify = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// the attributes along a trail, a category's own overriding inherited ones
+export const trailAttributes = (trail = []) => {
+  const byName = new Map();
+  for (const category of trail)
+    for (const attribute of category.attributes || []) byName.set(attribute.name, attribute);
+  return [...byName.values()];
+};
+
+const fitsType = (attribute, value) => {
+  switch (attribute.type) {
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "select":
+      return (attribute.values || []).includes(value);
+    default:
+      return typeof value === "string";
+  }
+};
+
+// what's wrong with a product's attribute values, or null when they fit
+export const attributeProblem = (attributes = [], values) => {
+  const entries =
+    values instanceof Map ? [...values.entries()] : Object.entries(values || {});
+  const byName = new Map(attributes.map((attribute) => [attribute.name, attribute]));
+
+  for (const [name, value] of entries) {
+    const attribute = byName.get(name);
+    if (!attribute) return `Unknown attribute '${name}'`;
+    if (value === null || value === undefined || value === "") continue;
+    if (!fitsType(attribute, value))
+      return attribute.type === "select"
+        ? `'${name}' must be one of ${attribute.values.join(", ")}`
+        : `'${name}' must be a ${attribute.type}`;
+  }
+
+  const given = new Map(entries);
+  const missing = attributes.find(
+    (attribute) =>
+      attribute.required && [undefined, null, ""].includes(given.get(attribute.name))
+  );
+  return missing ? `'${missing.name}' is required` : null;
+};
+
+// nest flat categories under their parents
+export const buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [String(category._id), { ...category, children: [] }])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const order = (list) => {
+    list.sort((a, b) => a.position - b.position || a.name.localeCompare(b.name));
+    list.forEach((node) => order(node.children));
+    return list;
+  };
+  return order(roots);
+};
@@ -0,0 +1,32 @@
+// errors the error handler turns into { success, code, message, details }
+export class AppError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const badRequest = (message, details) =>
+  new AppError(400, "BAD_REQUEST", message, details);
+
+export const unauthorized = (message = "Login first") =>
+  new AppError(401, "UNAUTHORIZED", message);
+
+export const forbidden = (message = "Access denied") =>
+  new AppError(403, "FORBIDDEN", message);
+
+export const notFound = (what = "Resource") =>
+  new AppError(404, "NOT_FOUND", `${what} not found`);
+
+export const conflict = (message, details) =>
+  new AppError(409, "CONFLICT", message, details);
+
+// retryAfter is in seconds and is sent as the Retry-After header
+export const tooManyRequests = (message, retryAfter, code = "RATE_LIMITED") =>
+  Object.assign(new AppError(429, code, message), { retryAfter });
+
+// a service the request depends on, like a payment provider, failed
+export const badGateway = (message, details) =>
+  new AppError(502, "BAD_GATEWAY", message, details);
@@ -0,0 +1,41 @@
+// GST helpers, a sale within the seller's state splits the rate into CGST + SGST
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+export const normalizeState = (state) =>
+  String(state || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+export const isIntraState = (sellerState, buyerState) =>
+  normalizeState(sellerState) === normalizeState(buyerState);
+
+// split a GST inclusive amount into its taxable value and tax heads
+export const splitInclusive = (amount, rate, intraState) => {
+  const taxable = roundMoney(amount / (1 + rate / 100));
+  const tax = roundMoney(amount - taxable);
+  if (!intraState) return { taxable, cgst: 0, sgst: 0, igst: tax };
+
+  const cgst = roundMoney(tax / 2);
+  return { taxable, cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+};
+
+// split a pre-tax amount into its taxable value and tax heads
+export const splitExclusive = (amount, rate, intraState) => {
+  const taxable = roundMoney(amount);
+  const tax = roundMoney((taxable * rate) / 100);
+  if (!intraState) return { taxable, cgst: 0, sgst: 0, igst: tax };
+
+  const cgst = roundMoney(tax / 2);
+  return { taxable, cgst, sgst: roundMoney(tax - cgst), igst: 0 };
+};
+
+// share `amount` over `weights` in paise, the last share taking the rounding
+export const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let left = amount;
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return roundMoney(left);
+    const share = total ? roundMoney((amount * weight) / total) : 0;
+    left -= share;
+    return share;
+  });
+};
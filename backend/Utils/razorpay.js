@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+// HMAC-SHA256 hex signatures, the sign* helpers let tests sign like Razorpay
+
+const hmac = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+const safeEqual = (expected, actual) => {
+  if (typeof actual !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// signature returned to checkout.js after a successful payment
+export const signPayment = (orderId, paymentId, secret) =>
+  hmac(`${orderId}|${paymentId}`, secret);
+
+export const isValidPaymentSignature = (orderId, paymentId, signature, secret) =>
+  Boolean(secret) && safeEqual(signPayment(orderId, paymentId, secret), signature);
+
+// X-Razorpay-Signature header, computed over the raw request body
+export const signWebhook = (rawBody, secret) => hmac(rawBody, secret);
+
+export const isValidWebhookSignature = (rawBody, signature, secret) =>
+  Boolean(secret) && Boolean(rawBody) && safeEqual(signWebhook(rawBody, secret), signature);
@@ -0,0 +1,84 @@
+// text helpers shared by the product search index and the search service
+
+const stopWords = new Set(["a", "an", "and", "the", "of", "for", "with", "in", "on", "to"]);
+
+// weight of a match in each indexed field
+export const searchFieldWeights = { title: 3, category: 2, description: 1 };
+
+// lowercase words without accents or punctuation
+export const tokenize = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !stopWords.has(word));
+
+const trigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i + 3 <= text.length; i++) grams.push(text.slice(i, i + 3));
+  return grams;
+};
+
+// an indexed word's grams: padded trigrams plus the leading bigram
+export const indexGrams = (word) => [`_${word[0]}`, ...trigrams(`_${word}_`)];
+
+// a typed word's grams, padded on the left only so prefixes match
+export const queryGrams = (word) =>
+  word.length < 2 ? [`_${word}`] : trigrams(`_${word}`);
+
+// the searchable fields of a product document
+export const searchIndex = ({ title, category, description }) => {
+  const tokens = {
+    title: [...new Set(tokenize(title))],
+    category: [...new Set(tokenize(category))],
+    description: [...new Set(tokenize(description))],
+  };
+  const words = new Set(Object.values(tokens).flat());
+  const grams = new Set([...words].flatMap(indexGrams));
+  return { searchTokens: tokens, searchGrams: [...grams] };
+};
+
+// edit distance with swaps as one edit, giving up past `max`
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// typos tolerated for a typed word of this length
+export const allowedTypos = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+// how well a typed word matches an indexed word, between 0 and 1
+export const matchWord = (typed, word) => {
+  if (typed === word) return 1;
+  if (word.startsWith(typed)) return 0.8;
+  const max = allowedTypos(typed);
+  if (!max) return 0;
+  // prefixes too, so "lptop" still finds "laptops"
+  const distance = Math.min(
+    editDistance(typed, word, max),
+    ...[-1, 0, 1].map((delta) =>
+      editDistance(typed, word.slice(0, typed.length + delta), max)
+    )
+  );
+  return distance <= max ? 0.6 - 0.1 * distance : 0;
+};
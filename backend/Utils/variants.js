@@ -0,0 +1,51 @@
+// variant helpers, axes look like [{ name: "size", values: ["S", "M"] }]
+
+export const optionValue = (options, name) =>
+  options instanceof Map ? options.get(name) : options?.[name];
+
+// "M / Black", in the order the product declares its axes
+export const variantLabel = (variant, axes = []) =>
+  axes.map(({ name }) => optionValue(variant.options, name)).join(" / ");
+
+// what's wrong with a product's axes and variants, or null when they fit
+export const variantProblem = (axes = [], variants = []) => {
+  if (!variants.length) return null;
+  if (!axes.length) return "Variants need at least one option axis";
+
+  const names = axes.map((axis) => axis.name);
+  if (new Set(names).size !== names.length) return "Option names must be unique";
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of variants) {
+    const keys =
+      variant.options instanceof Map
+        ? [...variant.options.keys()]
+        : Object.keys(variant.options || {});
+    const extra = keys.find((key) => !names.includes(key));
+    if (extra) return `Unknown option '${extra}'`;
+
+    for (const { name, values } of axes) {
+      const value = optionValue(variant.options, name);
+      if (!value) return `A variant has no ${name}`;
+      if (!values.includes(value)) return `'${value}' is not a ${name} option`;
+    }
+
+    const combination = variantLabel(variant, axes);
+    if (combinations.has(combination))
+      return `More than one variant is ${combination}`;
+    combinations.add(combination);
+
+    if (skus.has(variant.sku)) return `Variant sku ${variant.sku} is used twice`;
+    skus.add(variant.sku);
+  }
+
+  return null;
+};
+
+// the cheapest variant's price and the total stock
+export const variantTotals = (variants) => ({
+  price: Math.min(...variants.map((variant) => variant.price)),
+  qty: variants.reduce((sum, variant) => sum + variant.qty, 0),
+});
@@ -0,0 +1,20 @@
+import { z } from "zod";
+
+// formats are checked per country by the Address model
+const addressFields = {
+  fullName: z.string().trim().min(1).max(100),
+  address: z.string().trim().min(1).max(300),
+  city: z.string().trim().min(1).max(100),
+  state: z.string().trim().min(1).max(100),
+  country: z.string().trim().min(1).max(100),
+  pincode: z.string().trim().min(1).max(20),
+  phoneNumber: z.string().trim().min(1).max(25),
+  isDefault: z.boolean().optional(),
+};
+
+export const addAddressSchema = z.object(addressFields);
+
+export const updateAddressSchema = z
+  .object(addressFields)
+  .partial()
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update");
@@ -0,0 +1,29 @@
+import { z } from "zod";
+import { objectId, queryInt } from "./common.js";
+
+const qty = z.coerce.number().int().positive().max(100).default(1);
+
+// variantId picks the variant of a product sold in several options
+const line = { productId: objectId, variantId: objectId.optional() };
+
+export const addToCartSchema = z.object({ ...line, qty });
+
+export const decreaseQtySchema = z.object({ ...line, qty });
+
+export const productIdParams = z.object({ productId: objectId });
+
+export const removeFromCartQuery = z.object({ variantId: objectId.optional() });
+
+// the Cart-Id header of a guest cart
+export const guestCartId = z.string().trim().uuid();
+
+export const applyCouponSchema = z.object({
+  code: z.string().trim().min(1).max(50),
+});
+
+// the address to quote shipping to, the default one when left out
+export const cartQuoteQuery = z.object({ addressId: objectId.optional() });
+
+export const abandonedStatsQuery = z.object({
+  days: queryInt.max(365).default(30),
+});
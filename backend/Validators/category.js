@@ -0,0 +1,50 @@
+import { z } from "zod";
+import { objectId } from "./common.js";
+import { attributeTypes } from "../Utils/categories.js";
+
+const attribute = z
+  .object({
+    name: z.string().trim().min(1).max(50),
+    type: z.enum(attributeTypes).default("text"),
+    values: z.array(z.string().trim().min(1).max(50)).optional(),
+    unit: z.string().trim().max(20).optional(),
+    required: z.boolean().optional(),
+  })
+  .refine((attribute) => attribute.type !== "select" || attribute.values?.length, {
+    message: "A select attribute needs values",
+    path: ["values"],
+  });
+
+const categoryFields = {
+  name: z.string().trim().min(1).max(100),
+  slug: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .max(100)
+    .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, "Use lowercase letters, digits and dashes"),
+  description: z.string().trim().max(1000),
+  parent: objectId.nullable(),
+  position: z.number().int(),
+  attributes: z
+    .array(attribute)
+    .max(50)
+    .refine(
+      (attributes) => new Set(attributes.map(({ name }) => name)).size === attributes.length,
+      "Attribute names must be unique"
+    ),
+};
+
+export const addCategorySchema = z
+  .object(categoryFields)
+  .partial({ slug: true, description: true, parent: true, position: true, attributes: true })
+  .strict();
+
+export const updateCategorySchema = z
+  .object(categoryFields)
+  .partial()
+  .strict()
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update");
+
+// a category's id or slug
+export const categoryRefParams = z.object({ ref: z.string().trim().min(1).max(100) });
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import { z } from "zod";
+
+export const objectId = z
+  .string()
+  .refine((value) => mongoose.isValidObjectId(value), "Invalid id");
+
+export const idParams = z.object({ id: objectId });
+
+// positive whole number from a query string
+export const queryInt = z.coerce.number().int().positive();
+
+// ?page&limit, limit defaulting to size and capped at max
+export const pagination = ({ size = 20, max = 100 } = {}) =>
+  z.object({
+    page: queryInt.default(1),
+    limit: queryInt.default(size).transform((limit) => Math.min(limit, max)),
+  });
+
+export const booleanQuery = z.enum(["true", "false", "1", "0"]);
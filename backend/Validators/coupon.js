@@ -0,0 +1,35 @@
+import { z } from "zod";
+import { objectId } from "./common.js";
+
+const couponFields = {
+  code: z.string().trim().min(1).max(50),
+  description: z.string().trim().max(500).optional(),
+  type: z.enum(["percentage", "flat"]),
+  value: z.number().positive(),
+  maxDiscount: z.number().positive().optional(),
+  minCartValue: z.number().nonnegative().optional(),
+  categories: z.array(objectId).optional(),
+  products: z.array(objectId).optional(),
+  usageLimit: z.number().int().nonnegative().optional(),
+  perUserLimit: z.number().int().positive().optional(),
+  startsAt: z.coerce.date().optional(),
+  expiresAt: z.coerce.date().optional(),
+  active: z.boolean().optional(),
+};
+
+const validWindow = (body) =>
+  !body.startsAt || !body.expiresAt || body.startsAt < body.expiresAt;
+
+const percentageCap = (body) => body.type !== "percentage" || body.value <= 100;
+
+export const addCouponSchema = z
+  .object(couponFields)
+  .strict()
+  .refine(validWindow, "startsAt must be before expiresAt")
+  .refine(percentageCap, "A percentage discount can't exceed 100");
+
+export const updateCouponSchema = z
+  .object(couponFields)
+  .partial()
+  .strict()
+  .refine(validWindow, "startsAt must be before expiresAt");
@@ -0,0 +1,98 @@
+import { z } from "zod";
+import { objectId } from "./common.js";
+import { orderStatuses, returnReasons, returnStatuses } from "../Models/Order.js";
+import { config } from "../Config/index.js";
+
+export const checkoutSchema = z.object({
+  addressId: objectId.optional(),
+  // one of PAYMENT_PROVIDERS, the first when left out
+  provider: z.enum(config.payments.providers).optional(),
+  // the total the customer was shown, refused with the new quote when it changed
+  amount: z.number().nonnegative().optional(),
+});
+
+export const verifySchema = z.object({
+  orderId: z.string().min(1),
+  paymentId: z.string().min(1),
+  signature: z.string().min(1),
+});
+
+export const ordersQuery = z.object({
+  status: z.enum(orderStatuses).optional(),
+});
+
+export const orderStatusSchema = z.object({
+  status: z.enum(orderStatuses),
+  note: z.string().trim().max(500).optional(),
+});
+
+const reason = z.string().trim().max(500);
+const money = z.number().positive().multipleOf(0.01);
+
+export const cancelOrderSchema = z.object({
+  reason: reason.optional(),
+});
+
+export const refundSchema = z.object({
+  // what's left of the payment when left out
+  amount: money.optional(),
+  reason: reason.optional(),
+});
+
+export const returnParams = z.object({
+  id: objectId,
+  returnId: objectId,
+});
+
+export const returnRequestSchema = z.object({
+  items: z
+    .array(
+      z.object({
+        itemId: objectId,
+        qty: z.number().int().positive(),
+        reason: z.enum(returnReasons).optional(),
+      })
+    )
+    .min(1)
+    .refine(
+      (items) => new Set(items.map((item) => item.itemId)).size === items.length,
+      "List each item once"
+    ),
+  reason: z.enum(returnReasons),
+  comment: z.string().trim().max(1000).optional(),
+});
+
+export const returnDecisionSchema = z.object({
+  decision: z.enum(["approve", "reject"]),
+  note: reason.optional(),
+  // what the returned units cost the customer when left out
+  refundAmount: z.number().nonnegative().multipleOf(0.01).optional(),
+  // false keeps returned units off sale, e.g. when they came back damaged
+  restock: z.boolean().default(true),
+});
+
+export const returnsQuery = z.object({
+  status: z.enum(returnStatuses).optional(),
+});
+
+// any known provider, so orders placed with a retired one still get events
+export const webhookParams = z.object({
+  provider: z.enum(["razorpay", "cod", "mock"]).default("razorpay"),
+});
+
+// longest range one invoice export may cover
+const maxExportDays = 366;
+
+export const invoiceExportQuery = z
+  .object({
+    from: z.coerce.date(),
+    to: z.coerce.date(),
+  })
+  .refine(({ from, to }) => from <= to, {
+    message: "from must not be after to",
+    path: ["to"],
+  })
+  .refine(({ from, to }) => to - from <= maxExportDays * 24 * 60 * 60 * 1000, {
+    message: `Export at most ${maxExportDays} days at a time`,
+    path: ["to"],
+  });
@@ -0,0 +1,137 @@
+import { z } from "zod";
+import { booleanQuery, objectId, pagination } from "./common.js";
+import { defaultPageSize, maxPageSize, productSorts } from "../Services/catalog.js";
+import { variantProblem } from "../Utils/variants.js";
+
+const productFields = {
+  title: z.string().trim().min(1).max(200),
+  description: z.string().trim().min(1),
+  price: z.number().nonnegative(),
+  category: objectId,
+  qty: z.number().int().nonnegative(),
+  // grams
+  weight: z.number().positive().max(100000),
+  imgSrc: z.string().trim().min(1),
+  // checked against the category's attributes when the product is saved
+  attributes: z.record(z.union([z.string().trim().max(200), z.number(), z.boolean()])),
+};
+
+const sku = z.string().trim().min(1).max(64);
+
+// keep a variant's _id when updating it, cart lines point at it
+const variant = z.object({
+  _id: objectId.optional(),
+  sku,
+  options: z.record(z.string().trim().min(1).max(50)),
+  price: z.coerce.number().nonnegative(),
+  qty: z.coerce.number().int().nonnegative(),
+  imgSrc: z.string().trim().min(1).optional(),
+});
+
+const variantFields = {
+  options: z
+    .array(
+      z.object({
+        name: z.string().trim().min(1).max(30),
+        values: z.array(z.string().trim().min(1).max(50)).min(1),
+      })
+    )
+    .max(5),
+  variants: z.array(variant).max(200),
+};
+
+// variants must fit the axes, a product without them needs its own price and qty
+const checkVariants = (body, ctx) => {
+  if (body.variants?.length) {
+    const problem = variantProblem(body.options, body.variants);
+    if (problem) ctx.addIssue({ code: "custom", path: ["variants"], message: problem });
+    return;
+  }
+  for (const field of ["price", "qty"])
+    if (body[field] === undefined)
+      ctx.addIssue({ code: "custom", path: [field], message: "Required" });
+};
+
+export const addProductSchema = z
+  .object({
+    ...productFields,
+    price: productFields.price.optional(),
+    qty: productFields.qty.optional(),
+    weight: productFields.weight.optional(),
+    sku: sku.optional(),
+    // optional when the gallery is uploaded afterwards
+    imgSrc: productFields.imgSrc.optional(),
+    attributes: productFields.attributes.optional(),
+    options: variantFields.options.optional(),
+    variants: variantFields.variants.optional(),
+  })
+  .superRefine(checkVariants);
+
+// variants sent without axes are checked against the product's on save
+export const updateProductSchema = z
+  .object({ ...productFields, sku, ...variantFields })
+  .partial()
+  .strict()
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update")
+  .superRefine((body, ctx) => {
+    if (body.options && body.variants) checkVariants(body, ctx);
+  });
+
+const price = z.coerce.number().nonnegative();
+
+export const listProductsQuery = pagination({ size: defaultPageSize, max: maxPageSize }).extend({
+  category: z.string().trim().min(1).optional(),
+  minPrice: price.optional(),
+  maxPrice: price.optional(),
+  inStock: booleanQuery.optional(),
+  sort: z.enum(Object.keys(productSorts)).optional(),
+});
+
+export const searchProductsQuery = listProductsQuery
+  .omit({ sort: true })
+  .extend({ q: z.string().trim().min(1).max(200) });
+
+export const suggestQuery = z.object({
+  q: z.string().trim().max(200).default(""),
+});
+
+// one product of a catalog import, numbers coerced from CSV text
+export const importProductRow = z
+  .object({
+    sku,
+    title: productFields.title,
+    description: productFields.description,
+    price: z.coerce.number().nonnegative().optional(),
+    // a category's slug or id
+    category: z.string().trim().min(1),
+    qty: z.coerce.number().int().nonnegative().optional(),
+    // an empty cell leaves it unset
+    weight: z.preprocess(
+      (value) => (value === "" ? undefined : value),
+      z.coerce.number().positive().max(100000).optional()
+    ),
+    imgSrc: productFields.imgSrc,
+    // left out, the product keeps the attributes it has
+    attributes: productFields.attributes.optional(),
+    options: variantFields.options.default([]),
+    variants: variantFields.variants.default([]),
+  })
+  .superRefine(checkVariants);
+
+export const importQuery = z.object({
+  dryRun: booleanQuery.optional(),
+});
+
+export const imageParams = z.object({ id: objectId, imageId: objectId });
+
+export const updateImageSchema = z.object({
+  alt: z.string().trim().max(200),
+});
+
+// the gallery's image ids in their new order, every image exactly once
+export const reorderImagesSchema = z.object({
+  order: z
+    .array(objectId)
+    .min(1)
+    .refine((ids) => new Set(ids).size === ids.length, "Duplicate image id"),
+});
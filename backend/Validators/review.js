@@ -0,0 +1,28 @@
+import { z } from "zod";
+import { booleanQuery, objectId, pagination } from "./common.js";
+
+const reviewFields = {
+  rating: z.number().int().min(1).max(5),
+  title: z.string().trim().max(120).optional(),
+  comment: z.string().trim().max(2000).optional(),
+};
+
+export const productIdParams = z.object({ productId: objectId });
+
+export const reviewsQuery = pagination({ size: 10, max: 50 });
+
+export const addReviewSchema = z.object(reviewFields);
+
+export const updateReviewSchema = z
+  .object(reviewFields)
+  .partial()
+  .refine((body) => Object.keys(body).length > 0, "Nothing to update");
+
+export const allReviewsQuery = reviewsQuery.extend({
+  hidden: booleanQuery.optional(),
+  productId: objectId.optional(),
+});
+
+export const moderateSchema = z.object({
+  reason: z.string().trim().max(500).optional(),
+});
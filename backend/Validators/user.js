@@ -0,0 +1,34 @@
+import { z } from "zod";
+
+const email = z.string().trim().toLowerCase().email();
+const password = z.string().min(6, "Password must be at least 6 characters");
+
+export const registerSchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  email,
+  password,
+});
+
+export const loginSchema = z.object({
+  email,
+  password: z.string().min(1),
+});
+
+export const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1),
+});
+
+export const logoutSchema = z.object({
+  refreshToken: z.string().optional(),
+});
+
+export const forgotPasswordSchema = z.object({ email });
+
+export const resetPasswordSchema = z.object({
+  token: z.string().min(1),
+  password,
+});
+
+export const verifyEmailSchema = z.object({
+  token: z.string().min(1),
+});
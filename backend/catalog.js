@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+import { config } from './Config/index.js';
+import { catalogFormat, importCatalog, parseCatalog } from './Services/catalogImport.js';
+import { exportCatalog } from './Services/catalogExport.js';
+import { seedDevelopmentData, seedPassword } from './Services/seed.js';
+import { migrateCategories } from './Services/category.js';
+
+const usage = `Usage:
+  node catalog.js import <file.csv|file.json> [--dry-run] [--format csv|json]
+  node catalog.js export [file] [--format csv|json]   (stdout when no file)
+  node catalog.js seed                                 (not in production)`;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    format: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+const [command, file] = positionals;
+
+const printReport = (report) => {
+  const verb = report.dryRun ? 'would be ' : '';
+  console.log(
+    `${report.total} rows: ${report.created} ${verb}created, ${report.updated} ${verb}updated, ${report.failed} failed`
+  );
+  for (const { row, sku, errors } of report.errors)
+    for (const error of errors)
+      console.log(`  row ${row}${sku ? ` (${sku})` : ''}: ${error.path || 'row'} ${error.message}`);
+};
+
+const commands = {
+  import: async () => {
+    if (!file) throw new Error('No file given to import');
+    const format = options.format || catalogFormat(file);
+    const rows = parseCatalog(await fs.readFile(file, 'utf8'), format);
+    const report = await importCatalog(rows, { dryRun: options['dry-run'] });
+    printReport(report);
+    return report.failed ? 1 : 0;
+  },
+
+  export: async () => {
+    const format = options.format || (file && catalogFormat(file)) || 'csv';
+    const data = await exportCatalog(format);
+    if (!file) {
+      process.stdout.write(data);
+      return 0;
+    }
+    await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.writeFile(file, data);
+    console.error(`Catalog exported to ${file}`);
+    return 0;
+  },
+
+  seed: async () => {
+    if (config.env === 'production') throw new Error('Refusing to seed a production database');
+    const { categories, products, users, addresses, orders } = await seedDevelopmentData();
+    printReport(products);
+    console.log(`${categories} categories, ${users} users, ${addresses} addresses and ${orders} orders created`);
+    console.log(`Seeded accounts sign in with the password '${seedPassword}'`);
+    return 0;
+  },
+};
+
+const run = async () => {
+  if (options.help || !commands[command]) {
+    console.error(usage);
+    return options.help ? 0 : 1;
+  }
+
+  await mongoose.connect(config.db.uri, { dbName: config.db.name });
+  try {
+    // catalogs from before the category tree still name categories as text
+    await migrateCategories();
+    return await commands[command]();
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import { config } from './Config/index.js';
+import { User } from './Models/User.js';
+
+// usage: node createAdmin.js <email> [password] [name]
+// promotes an existing user to admin, or creates a new admin account
+const [email, password, name = "Admin"] = process.argv.slice(2);
+
+const createAdmin = async () => {
+  if (!email) {
+    console.error("Usage: node createAdmin.js <email> [password] [name]");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(config.db.uri, {
+      dbName: config.db.name
+    });
+
+    let user = await User.findOne({ email });
+
+    if (user) {
+      user.role = "admin";
+      user.emailVerified = true;
+      await user.save();
+      console.log(`${email} is now an admin`);
+    } else {
+      if (!password) {
+        console.error("No user with that email, a password is required to create one");
+        process.exit(1);
+      }
+      const hashPass = await bcrypt.hash(password, 10);
+      await User.create({ name, email, password: hashPass, role: "admin", emailVerified: true });
+      console.log(`Admin account created for ${email}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error creating admin:", error);
+    process.exit(1);
+  }
+};
+
+createAdmin();
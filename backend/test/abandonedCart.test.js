@@ -0,0 +1,152 @@
+import { after, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import mongoose from "mongoose";
+import { Cart } from "../Models/Cart.js";
+import { CartReminder } from "../Models/CartReminder.js";
+import { Order } from "../Models/Order.js";
+import { Products } from "../Models/Product.js";
+import { User } from "../Models/User.js";
+import { abandonedCartStats, sendCartReminders } from "../Services/abandonedCart.js";
+import { createNotifier } from "../Notifier/index.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+
+// what the notifier was asked to send, and whether it fails
+const sent = [];
+let failing = false;
+const notifier = {
+  name: "capture",
+  notify: async (notification) => {
+    if (failing) throw new Error("mailbox full");
+    sent.push(notification);
+    return { to: notification.user.email };
+  },
+};
+
+beforeEach(() => {
+  clearMemoryDb();
+  sent.length = 0;
+  failing = false;
+});
+
+const now = new Date("2026-10-19T12:00:00Z");
+const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000);
+
+// a user whose cart holds a mug and was last changed `idle` hours ago
+const leaveCart = async (idle, fields = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  const user = { _id, name: "Asha", email: `asha-${_id}@example.com` };
+  await User.collection.insertOne(user);
+  const mug = { _id: new mongoose.Types.ObjectId(), title: "Mug", price: 250, qty: 5 };
+  await Products.collection.insertOne(mug);
+  const cart = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    items: [{ productId: mug._id, title: "Mug", price: 250, qty: 2 }],
+    updatedAt: hoursAgo(idle),
+    ...fields,
+  };
+  await Cart.collection.insertOne(cart);
+  return { user, cart };
+};
+
+const remind = () => sendCartReminders({ idleHours: 24, notifier, now });
+
+describe("sendCartReminders", () => {
+  it("reminds the owner of an idle cart once", async () => {
+    const { user, cart } = await leaveCart(30);
+
+    assert.deepEqual(await remind(), { checked: 1, sent: 1, failed: 0, skipped: 0 });
+    assert.equal((await remind()).checked, 0);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].template, "abandonedCart");
+    assert.equal(sent[0].data.total, 500);
+    const [reminder] = await CartReminder.find();
+    assert.ok(reminder.cartId.equals(cart._id));
+    assert.equal(reminder.to, user.email);
+    assert.equal(reminder.status, "sent");
+  });
+
+  it("reminds again once the cart has changed and gone idle again", async () => {
+    const { cart } = await leaveCart(30);
+    await remind();
+
+    await Cart.collection.updateOne(
+      { _id: cart._id },
+      { $set: { updatedAt: new Date(now.getTime() + 1000) } }
+    );
+    await sendCartReminders({ idleHours: 24, notifier, now: hoursAgo(-25) });
+
+    assert.equal(sent.length, 2);
+  });
+
+  it("leaves carts still in use, guest carts and carts that were checked out", async () => {
+    await leaveCart(2);
+    await leaveCart(30, { userId: undefined, guestId: "guest-1" });
+    const { user } = await leaveCart(30);
+    await Order.collection.insertOne({ userId: user._id, status: "paid", orderDate: hoursAgo(29) });
+
+    const report = await remind();
+
+    assert.equal(report.sent, 0);
+    assert.equal(report.skipped, 1);
+    assert.equal(sent.length, 0);
+  });
+
+  it("records a reminder the notifier couldn't send", async () => {
+    await leaveCart(30);
+    failing = true;
+
+    assert.equal((await remind()).failed, 1);
+
+    const [reminder] = await CartReminder.find();
+    assert.equal(reminder.status, "failed");
+    assert.equal(reminder.error, "mailbox full");
+  });
+});
+
+describe("abandonedCartStats", () => {
+  it("splits recent carts into active, converted and abandoned", async () => {
+    await leaveCart(2);
+    await leaveCart(30);
+    await leaveCart(40, { userId: undefined, guestId: "guest-1" });
+    const { user } = await leaveCart(30);
+    await Order.collection.insertOne({ userId: user._id, status: "paid", orderDate: hoursAgo(29) });
+
+    const stats = await abandonedCartStats({ days: 7, idleHours: 24, now });
+
+    assert.deepEqual(stats.carts, {
+      total: 4,
+      active: 1,
+      converted: 1,
+      abandoned: 2,
+      abandonedGuests: 1,
+    });
+    assert.equal(stats.abandonmentRate, 0.6667);
+    assert.equal(stats.abandonedValue, 1000);
+  });
+});
+
+describe("file notifier", () => {
+  const dir = path.join(os.tmpdir(), `notifications-${process.pid}`);
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("keeps every notification to one user sent in the same millisecond", async (t) => {
+    t.mock.method(Date, "now", () => now.getTime());
+    const file = createNotifier({ driver: "file", dir });
+    const user = { _id: new mongoose.Types.ObjectId(), name: "Asha", email: "asha@example.com" };
+    const data = { name: "Asha", lines: [], total: 0, currency: "INR", link: "http://localhost" };
+
+    await Promise.all([
+      file.notify({ user, template: "abandonedCart", data }),
+      file.notify({ user, template: "abandonedCart", data }),
+    ]);
+
+    assert.equal((await fs.readdir(dir)).length, 2);
+  });
+});
@@ -0,0 +1,113 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Address } from "../Models/Address.js";
+import {
+  addAddress,
+  deleteAddress,
+  getAddresses,
+  setDefaultAddress,
+  updateAddress,
+} from "../Controllers/address.js";
+import { resolveShippingAddress } from "../Services/address.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// run a controller the way express would, resolving to the body it sends
+const call = async (controller, req) => {
+  let body;
+  await controller({ user, params: {}, ...req }, { json: (sent) => (body = sent) });
+  return body;
+};
+
+const pune = {
+  fullName: "Asha Rao",
+  address: "12 MG Road",
+  city: "Pune",
+  state: "Maharashtra",
+  country: "India",
+  pincode: "411001",
+  phoneNumber: "9876543210",
+};
+
+const add = async (fields = {}) =>
+  (await call(addAddress, { body: { ...pune, ...fields } })).userAddress;
+
+const defaults = async () =>
+  (await Address.find({ userId: user._id, isDefault: true })).map(({ city }) => city);
+
+const invalid = (path) => (error) => {
+  assert.equal(error.name, "ValidationError");
+  assert.ok(error.errors[path], `expected ${path} to be invalid`);
+  return true;
+};
+
+describe("address book", () => {
+  it("makes the first address the default", async () => {
+    await add();
+    await add({ city: "Mumbai", pincode: "400001" });
+
+    assert.deepEqual(await defaults(), ["Pune"]);
+  });
+
+  it("keeps one default when another address takes over", async () => {
+    await add();
+    const mumbai = await add({ city: "Mumbai", pincode: "400001", isDefault: true });
+    const { addresses } = await call(getAddresses, {});
+
+    assert.deepEqual(await defaults(), ["Mumbai"]);
+    assert.ok(addresses[0]._id.equals(mumbai._id));
+
+    await call(setDefaultAddress, { params: { id: addresses[1]._id } });
+    assert.deepEqual(await defaults(), ["Pune"]);
+  });
+
+  it("passes the default on when it is deleted", async () => {
+    const first = await add();
+    await add({ city: "Mumbai", pincode: "400001" });
+
+    await call(deleteAddress, { params: { id: first._id } });
+
+    assert.deepEqual(await defaults(), ["Mumbai"]);
+  });
+
+  it("checks postal codes and phone numbers against the country", async () => {
+    await assert.rejects(add({ pincode: "41100" }), invalid("pincode"));
+    await assert.rejects(add({ phoneNumber: "12345" }), invalid("phoneNumber"));
+
+    const boston = await add({
+      city: "Boston",
+      state: "MA",
+      country: "USA",
+      pincode: "02108",
+      phoneNumber: "+1 617-555-0123",
+    });
+    assert.equal(boston.pincode, "02108");
+  });
+
+  it("checks the formats again when only the country changes", async () => {
+    const address = await add();
+
+    await assert.rejects(
+      call(updateAddress, { params: { id: address._id }, body: { country: "Australia" } }),
+      invalid("pincode")
+    );
+    assert.equal((await Address.findById(address._id)).country, "India");
+  });
+
+  it("only touches the user's own addresses", async () => {
+    const address = await add();
+    const other = { user: { _id: new mongoose.Types.ObjectId() } };
+
+    await assert.rejects(
+      call(deleteAddress, { ...other, params: { id: address._id } }),
+      (error) => error.status === 404
+    );
+    assert.equal(await resolveShippingAddress(other.user._id, address._id.toString()), null);
+    assert.ok((await resolveShippingAddress(user._id)).equals(address._id));
+  });
+});
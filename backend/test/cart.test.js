@@ -0,0 +1,113 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Cart } from "../Models/Cart.js";
+import { Products } from "../Models/Product.js";
+import { addToCart, clearCart } from "../Controllers/cart.js";
+import { mergeGuestCart } from "../Services/cart.js";
+import { config } from "../Config/index.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+const day = 24 * 60 * 60 * 1000;
+
+// run a controller the way express would, resolving to the body it sends
+const call = async (controller, req) => {
+  let body;
+  await controller(req, { json: (sent) => (body = sent) });
+  return body;
+};
+
+// a cart last changed a day ago, so it expires a day early
+const staleCart = (owner) =>
+  Cart.collection.insertOne({
+    ...owner,
+    items: [{ productId: new mongoose.Types.ObjectId(), title: "Mug", price: 250, qty: 1 }],
+    coupon: "SAVE10",
+    expiresAt: new Date(Date.now() + (config.guestCartTtlDays - 1) * day),
+  });
+
+// pushed back to a full GUEST_CART_TTL_DAYS, give or take a minute
+const freshExpiry = (expiresAt) =>
+  expiresAt > new Date(Date.now() + config.guestCartTtlDays * day - 60000);
+
+describe("guest cart expiry", () => {
+  it("starts with the cart", async () => {
+    const mug = { _id: new mongoose.Types.ObjectId(), title: "Mug", price: 250, qty: 5 };
+    await Products.collection.insertOne(mug);
+
+    let sent;
+    await addToCart(
+      { body: { productId: mug._id, qty: 1 } },
+      { json: (body) => (sent = body) }
+    );
+
+    assert.ok(sent.cartId);
+    assert.ok(freshExpiry((await Cart.findOne({ guestId: sent.cartId })).expiresAt));
+  });
+
+  it("moves with updates that skip save", async () => {
+    await staleCart({ guestId: "guest-1" });
+    await staleCart({ guestId: "guest-2" });
+
+    await Cart.updateOne({ guestId: "guest-1" }, { $unset: { coupon: 1 } });
+    await Cart.findOneAndUpdate({ guestId: "guest-2" }, { $set: { items: [] } });
+
+    for (const guestId of ["guest-1", "guest-2"])
+      assert.ok(freshExpiry((await Cart.findOne({ guestId })).expiresAt));
+  });
+});
+
+describe("clearCart", () => {
+  it("pushes a guest cart's expiry back", async () => {
+    await staleCart({ guestId: "guest-1" });
+
+    await call(clearCart, { guestCartId: "guest-1" });
+
+    const cart = await Cart.findOne({ guestId: "guest-1" });
+    assert.equal(cart.items.length, 0);
+    assert.equal(cart.coupon, undefined);
+    assert.ok(freshExpiry(cart.expiresAt));
+  });
+
+  it("leaves a user's cart without an expiry", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    await Cart.collection.insertOne({ userId, items: [] });
+
+    await call(clearCart, { user: { _id: userId } });
+
+    assert.equal((await Cart.findOne({ userId })).expiresAt, undefined);
+  });
+});
+
+describe("mergeGuestCart", () => {
+  it("adds the guest lines to the user's cart up to the stock and deletes the guest cart", async () => {
+    const mug = { _id: new mongoose.Types.ObjectId(), title: "Mug", price: 250, qty: 3 };
+    await Products.collection.insertOne(mug);
+    const gone = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    await Cart.collection.insertOne({
+      userId,
+      items: [{ productId: mug._id, title: "Mug", price: 250, qty: 2 }],
+    });
+    await Cart.collection.insertOne({
+      guestId: "guest-1",
+      items: [
+        { productId: mug._id, title: "Mug", price: 250, qty: 2 },
+        { productId: gone, title: "Lamp", price: 900, qty: 1 },
+      ],
+    });
+
+    const report = await mergeGuestCart("guest-1", userId);
+
+    assert.equal(report.merged, 1);
+    assert.deepEqual(report.adjusted.map(({ requested, available }) => [requested, available]), [
+      [4, 3],
+    ]);
+    assert.deepEqual(report.dropped.map(({ title }) => title), ["Lamp"]);
+    assert.equal((await Cart.findOne({ userId })).items[0].qty, 3);
+    assert.equal(await Cart.exists({ guestId: "guest-1" }), null);
+  });
+});
@@ -0,0 +1,129 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Products } from "../Models/Product.js";
+import { Category } from "../Models/Category.js";
+import { importCatalog, parseCatalog } from "../Services/catalogImport.js";
+import { exportCatalog } from "../Services/catalogExport.js";
+import { createCategory } from "../Services/category.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+
+beforeEach(async () => {
+  clearMemoryDb();
+  const electronics = await createCategory({
+    name: "Electronics",
+    attributes: [{ name: "brand", type: "text", required: true }],
+  });
+  await createCategory({
+    name: "Laptops",
+    parent: electronics._id,
+    attributes: [
+      { name: "ram", type: "number", unit: "GB" },
+      { name: "touch", type: "boolean" },
+    ],
+  });
+});
+
+const row = (fields = {}) => ({
+  sku: "LAP-1",
+  title: "Laptop",
+  description: "A laptop",
+  price: 50000,
+  category: "laptops",
+  qty: 4,
+  imgSrc: "laptop.jpg",
+  attributes: { brand: "Acme" },
+  ...fields,
+});
+
+describe("importCatalog", () => {
+  it("reports a row the database refuses and writes the rest", async () => {
+    await importCatalog([
+      row({ sku: "TEE-1", variantSku: "TEE-1-S", variantOptions: "size=S" }),
+    ]);
+
+    const report = await importCatalog([
+      row({ sku: "LAP-1" }),
+      // its variant sku belongs to TEE-1
+      row({ sku: "TEE-2", variantSku: "TEE-1-S", variantOptions: "size=S" }),
+      row({ sku: "LAP-2" }),
+    ]);
+
+    assert.equal(report.created, 2);
+    assert.equal(report.updated, 0);
+    assert.equal(report.failed, 1);
+    assert.deepEqual(report.errors, [
+      {
+        row: 2,
+        sku: "TEE-2",
+        errors: [{ path: "variants.sku", message: "Already used by another product" }],
+      },
+    ]);
+    assert.deepEqual(
+      (await Products.find().sort({ sku: 1 })).map(({ sku }) => sku),
+      ["LAP-1", "LAP-2", "TEE-1"]
+    );
+  });
+
+  it("checks attributes against the category like a product save", async () => {
+    const report = await importCatalog([
+      row({ sku: "LAP-1", attributes: {} }),
+      row({ sku: "LAP-2", attributes: { brand: "Acme", ram: "lots" } }),
+      row({ sku: "LAP-3", attributes: { brand: "Acme", color: "red" } }),
+      row({ sku: "LAP-4" }),
+    ]);
+
+    assert.equal(report.created, 1);
+    assert.deepEqual(
+      report.errors.map(({ row, errors }) => [row, errors[0].message]),
+      [
+        [1, "'brand' is required"],
+        [2, "'ram' must be a number"],
+        [3, "Unknown attribute 'color'"],
+      ]
+    );
+    assert.deepEqual(await Products.distinct("sku"), ["LAP-4"]);
+  });
+
+  it("counts only rows with fitting attributes in a dry run", async () => {
+    const report = await importCatalog([row({ attributes: {} }), row({ sku: "LAP-2" })], {
+      dryRun: true,
+    });
+
+    assert.equal(report.created, 1);
+    assert.equal(report.failed, 1);
+    assert.equal(await Products.countDocuments(), 0);
+  });
+
+  it("types a spreadsheet's attributes and keeps stored ones a row leaves out", async () => {
+    const csv = [
+      "sku,title,description,price,category,qty,imgSrc,attributes",
+      "LAP-1,Laptop,A laptop,50000,laptops,4,laptop.jpg,brand=Acme; ram=16; touch=true",
+    ].join("\n");
+    await importCatalog(parseCatalog(csv, "csv"));
+    const report = await importCatalog([row({ attributes: undefined, price: 45000 })]);
+
+    assert.equal(report.updated, 1);
+    const laptop = await Products.findOne({ sku: "LAP-1" });
+    assert.equal(laptop.price, 45000);
+    assert.deepEqual(Object.fromEntries(laptop.attributes), {
+      brand: "Acme",
+      ram: 16,
+      touch: true,
+    });
+  });
+
+  it("reads back the attributes it exports", async () => {
+    await importCatalog([row({ attributes: { brand: "Acme", ram: 16 } })]);
+    const csv = await exportCatalog("csv");
+    await Products.deleteMany({});
+    await Category.updateOne({ slug: "laptops" }, { $set: { "attributes.0.required": true } });
+
+    const report = await importCatalog(parseCatalog(csv, "csv"));
+
+    assert.equal(report.failed, 0);
+    const laptop = await Products.findOne({ sku: "LAP-1" });
+    assert.equal(laptop.attributes.get("ram"), 16);
+  });
+});
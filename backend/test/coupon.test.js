@@ -0,0 +1,136 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Coupon } from "../Models/Coupon.js";
+import {
+  CouponError,
+  computeDiscount,
+  redeemCoupon,
+  releaseRedemption,
+} from "../Services/coupon.js";
+import { clearMongoDb, useMongoDb } from "./helpers/mongoDb.js";
+
+useMongoDb();
+beforeEach(clearMongoDb);
+
+const id = () => new mongoose.Types.ObjectId();
+
+const createCoupon = (fields = {}) =>
+  Coupon.create({ code: "SAVE10", type: "flat", value: 10, ...fields });
+
+const refusal = (status) => (error) => {
+  assert.ok(error instanceof CouponError);
+  assert.equal(error.status, status);
+  return true;
+};
+
+describe("redeemCoupon", () => {
+  it("records the redemption", async () => {
+    const coupon = await createCoupon();
+    const userId = id();
+    const orderId = id();
+
+    const redeemed = await redeemCoupon(coupon._id, userId, orderId);
+
+    assert.equal(redeemed.usedCount, 1);
+    assert.equal(redeemed.redemptions.length, 1);
+    assert.ok(redeemed.redemptions[0].userId.equals(userId));
+    assert.ok(redeemed.redemptions[0].orderId.equals(orderId));
+  });
+
+  it("stops at the usage limit", async () => {
+    const coupon = await createCoupon({ usageLimit: 2 });
+
+    await redeemCoupon(coupon._id, id(), id());
+    await redeemCoupon(coupon._id, id(), id());
+    await assert.rejects(redeemCoupon(coupon._id, id(), id()), refusal(409));
+
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 2);
+  });
+
+  it("stops each user at the per user limit", async () => {
+    const coupon = await createCoupon({ perUserLimit: 1 });
+    const userId = id();
+
+    await redeemCoupon(coupon._id, userId, id());
+    await assert.rejects(redeemCoupon(coupon._id, String(userId), id()), refusal(409));
+    await redeemCoupon(coupon._id, id(), id());
+
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 2);
+  });
+
+  it("refuses an inactive coupon", async () => {
+    const coupon = await createCoupon({ active: false });
+
+    await assert.rejects(redeemCoupon(coupon._id, id(), id()), refusal(409));
+  });
+
+  it("lets only one of two racing checkouts take the last use", async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+
+    const results = await Promise.allSettled([
+      redeemCoupon(coupon._id, id(), id()),
+      redeemCoupon(coupon._id, id(), id()),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), ["fulfilled", "rejected"]);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+  });
+
+  it("can be used again once the redemption is released", async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+    const userId = id();
+    const orderId = id();
+    await redeemCoupon(coupon._id, userId, orderId);
+
+    await releaseRedemption({ _id: orderId, coupon: { couponId: coupon._id } });
+    const redeemed = await redeemCoupon(coupon._id, userId, id());
+
+    assert.equal(redeemed.usedCount, 1);
+    assert.equal(redeemed.redemptions.length, 1);
+  });
+});
+
+describe("computeDiscount", () => {
+  const summary = (lines) => ({
+    subtotal: lines.reduce((sum, line) => sum + line.lineTotal, 0),
+    lines,
+  });
+
+  it("caps a percentage discount at maxDiscount", () => {
+    const coupon = new Coupon({ code: "HALF", type: "percentage", value: 50, maxDiscount: 100 });
+
+    const { discount } = computeDiscount(coupon, summary([{ productId: id(), lineTotal: 1000 }]));
+
+    assert.equal(discount, 100);
+  });
+
+  it("only discounts the lines the coupon is for", () => {
+    const productId = id();
+    const coupon = new Coupon({
+      code: "MUGS",
+      type: "percentage",
+      value: 10,
+      products: [productId],
+    });
+
+    const result = computeDiscount(
+      coupon,
+      summary([
+        { productId, lineTotal: 300 },
+        { productId: id(), lineTotal: 700 },
+      ])
+    );
+
+    assert.deepEqual(result, { discount: 30, eligibleSubtotal: 300 });
+  });
+
+  it("says how much more the cart needs", () => {
+    const coupon = new Coupon({ code: "BIG", type: "flat", value: 50, minCartValue: 500 });
+
+    assert.throws(
+      () => computeDiscount(coupon, summary([{ productId: id(), lineTotal: 450 }])),
+      /Add items worth 50 more/
+    );
+  });
+});
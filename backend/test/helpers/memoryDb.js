@@ -0,0 +1,457 @@
+import mongoose from "mongoose";
+import { Aggregator, Query } from "mingo";
+
+// an in-memory stand-in for MongoDB, race suites use helpers/mongoDb.js instead
+
+const stores = new Map();
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !isObjectId(value) &&
+  !(value instanceof Date) &&
+  !Buffer.isBuffer(value);
+
+// a copy sharing nothing mutable with the stored document
+const copy = (value) => {
+  if (Array.isArray(value)) return Array.from(value, copy);
+  if (value instanceof Date) return new Date(value);
+  // the driver stores a Map as a document
+  if (value instanceof Map) return copy(Object.fromEntries(value));
+  // Mongoose subdocuments in an update
+  if (!isObjectId(value) && typeof value?.toBSON === "function") return copy(value.toBSON());
+  if (isPlainObject(value))
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, copy(field)]));
+  return value;
+};
+
+// a string equal for equal values, for unique keys and change detection
+const keyOf = (value) => {
+  if (isObjectId(value)) return `oid:${value}`;
+  if (value instanceof Date) return `date:${value.getTime()}`;
+  if (Array.isArray(value)) return `[${value.map(keyOf).join(",")}]`;
+  if (isPlainObject(value))
+    return `{${Object.entries(value)
+      .filter(([, field]) => field !== undefined)
+      .map(([key, field]) => `${key}:${keyOf(field)}`)
+      .join(",")}}`;
+  return JSON.stringify(value);
+};
+
+const isOperator = (value) =>
+  isPlainObject(value) && Object.keys(value).some((key) => key.startsWith("$"));
+
+const matches = (filter, doc) => new Query(filter || {}).test(doc);
+
+// the values at a dotted path, looking into arrays along the way
+const valuesAt = (doc, path) =>
+  path
+    .split(".")
+    .reduce(
+      (values, key) =>
+        values.flatMap((value) => {
+          if (Array.isArray(value))
+            return value.flatMap((item) => (isPlainObject(item) ? [item[key]] : []));
+          return isPlainObject(value) ? [value[key]] : [];
+        }),
+      [doc]
+    )
+    .flatMap((value) => (Array.isArray(value) ? value : [value]));
+
+// the element the positional $ operator points at
+const positionOf = (doc, path, filter) => {
+  const parts = path.split(".");
+  const parent = parts.slice(0, -1).reduce((value, key) => value?.[key], doc);
+  const array = parent?.[parts.at(-1)];
+  if (!Array.isArray(array)) throw new Error(`No array at ${path} for the positional operator`);
+
+  const index = array.findIndex((item) => {
+    parent[parts.at(-1)] = [item];
+    try {
+      return matches(filter, doc);
+    } finally {
+      parent[parts.at(-1)] = array;
+    }
+  });
+  if (index === -1) throw new Error(`The filter matched no element of ${path}`);
+  return index;
+};
+
+// the parent object and last key of `path`
+const locate = (doc, path, filter, create = true, original = doc) => {
+  const parts = path.split(".");
+  let target = doc;
+  for (let index = 0; index < parts.length - 1; index++) {
+    let key = parts[index];
+    if (key === "$") key = positionOf(original, parts.slice(0, index).join("."), filter);
+    if (target[key] === undefined || target[key] === null) {
+      if (!create) return {};
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  let last = parts.at(-1);
+  if (last === "$") last = positionOf(original, parts.slice(0, -1).join("."), filter);
+  return { target, key: last };
+};
+
+const pullMatches = (condition, item) =>
+  isPlainObject(condition) && !isOperator(condition) && isPlainObject(item)
+    ? matches(condition, item)
+    : isOperator(condition)
+      ? matches({ value: condition }, { value: item })
+      : keyOf(condition) === keyOf(item);
+
+const eachOf = (value) => (isPlainObject(value) && "$each" in value ? value.$each : [value]);
+
+const operators = {
+  $set: (target, key, value) => {
+    target[key] = copy(value);
+  },
+  $setOnInsert: () => {},
+  $unset: (target, key) => {
+    if (target) delete target[key];
+  },
+  $inc: (target, key, by) => {
+    target[key] = (target[key] || 0) + by;
+  },
+  $push: (target, key, value) => {
+    target[key] = [...(target[key] || []), ...eachOf(value).map(copy)];
+  },
+  $addToSet: (target, key, value) => {
+    const array = target[key] || [];
+    for (const item of eachOf(value))
+      if (!array.some((existing) => keyOf(existing) === keyOf(item))) array.push(copy(item));
+    target[key] = array;
+  },
+  $pull: (target, key, condition) => {
+    if (Array.isArray(target?.[key]))
+      target[key] = target[key].filter((item) => !pullMatches(condition, item));
+  },
+};
+
+// apply an update document to `doc` in place
+const applyUpdate = (doc, update, filter, inserting = false, original = copy(doc)) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    if (operator === "$setOnInsert" && inserting) {
+      applyUpdate(doc, { $set: fields }, filter, false, original);
+      continue;
+    }
+    const apply = operators[operator];
+    if (!apply) throw new Error(`Unsupported update operator ${operator}`);
+    // removing from a path that isn't there leaves the document alone
+    const create = operator !== "$unset" && operator !== "$pull";
+    for (const [path, value] of Object.entries(fields)) {
+      const { target, key } = locate(doc, path, filter, create, original);
+      apply(target, key, value);
+    }
+  }
+};
+
+// the document an upsert starts from: the filter's equality conditions
+const seedFromFilter = (filter) => {
+  const doc = {};
+  for (const [path, value] of Object.entries(filter || {})) {
+    if (path.startsWith("$") || isOperator(value)) continue;
+    const { target, key } = locate(doc, path, filter);
+    target[key] = copy(value);
+  }
+  return doc;
+};
+
+const duplicateKey = (name, keyPattern, keyValue) =>
+  Object.assign(
+    new Error(
+      `E11000 duplicate key error collection: ${name} index: ${Object.keys(keyPattern)
+        .map((path) => `${path}_1`)
+        .join("_")} dup key: ${JSON.stringify(keyValue)}`
+    ),
+    {
+      name: "MongoServerError",
+      code: 11000,
+      keyPattern,
+      keyValue,
+    }
+  );
+
+class MemoryCollection {
+  constructor(model) {
+    this.name = model.collection.collectionName;
+    this.indexes = [
+      [{ _id: 1 }, { unique: true }],
+      ...model.schema.indexes().filter(([, options]) => options?.unique),
+    ];
+    this.docs = [];
+  }
+
+  // every unique key of a document, less the ones its index skips
+  uniqueKeys(doc) {
+    return this.indexes.flatMap(([fields, options], index) => {
+      if (options.partialFilterExpression && !matches(options.partialFilterExpression, doc))
+        return [];
+      const paths = Object.keys(fields);
+      const values = paths.map((path) =>
+        valuesAt(doc, path).filter((value) => value !== undefined)
+      );
+      if (options.sparse && values.every((found) => !found.length)) return [];
+
+      const tuples = values.reduce(
+        (rows, found) =>
+          rows.flatMap((row) => (found.length ? found : [null]).map((value) => [...row, value])),
+        [[]]
+      );
+      return tuples.map((tuple) => ({
+        key: `${index}|${tuple.map(keyOf).join("|")}`,
+        keyPattern: fields,
+        keyValue: Object.fromEntries(paths.map((path, at) => [path, tuple[at]])),
+      }));
+    });
+  }
+
+  checkUnique(doc) {
+    const keys = this.uniqueKeys(doc);
+    for (const other of this.docs) {
+      if (other === doc) continue;
+      const taken = new Set(this.uniqueKeys(other).map(({ key }) => key));
+      const clash = keys.find(({ key }) => taken.has(key));
+      if (clash) throw duplicateKey(this.name, clash.keyPattern, clash.keyValue);
+    }
+  }
+
+  select(filter, { sort, skip, limit } = {}) {
+    let cursor = new Query(filter || {}).find(this.docs);
+    if (sort && Object.keys(sort).length) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  project(doc, projection) {
+    if (!doc || !projection || !Object.keys(projection).length) return copy(doc);
+    return copy(new Query({}).find([doc], projection).all()[0]);
+  }
+
+  insert(input) {
+    const doc = copy(input);
+    if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  // update in place, rolling back on a unique clash
+  modify(doc, update, filter, inserting) {
+    const before = copy(doc);
+    applyUpdate(doc, update, filter, inserting);
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      for (const key of Object.keys(doc)) delete doc[key];
+      Object.assign(doc, before);
+      throw error;
+    }
+    return keyOf(before) !== keyOf(doc);
+  }
+
+  upsert(filter, update) {
+    const doc = seedFromFilter(filter);
+    applyUpdate(doc, update, filter, true);
+    return this.insert(doc);
+  }
+
+  // a cursor like the driver's, its options chainable until it is read
+  find(filter, options = {}) {
+    const chain = (key) => (value) => {
+      options = { ...options, [key]: value };
+      return cursor;
+    };
+    const cursor = {
+      sort: chain("sort"),
+      skip: chain("skip"),
+      limit: chain("limit"),
+      project: chain("projection"),
+      toArray: async () =>
+        this.select(filter, options).map((doc) => this.project(doc, options.projection)),
+    };
+    return cursor;
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? this.project(doc, options.projection) : null;
+  }
+
+  async countDocuments(filter) {
+    return this.select(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.select(filter).flatMap((doc) => valuesAt(doc, field));
+    const seen = new Map(
+      values.filter((value) => value !== undefined).map((value) => [keyOf(value), value])
+    );
+    return [...seen.values()];
+  }
+
+  async insertOne(doc) {
+    return { acknowledged: true, insertedId: this.insert(doc)._id };
+  }
+
+  async insertMany(docs) {
+    const inserted = docs.map((doc) => this.insert(doc));
+    return {
+      acknowledged: true,
+      insertedCount: inserted.length,
+      insertedIds: Object.fromEntries(inserted.map((doc, index) => [index, doc._id])),
+    };
+  }
+
+  async update(filter, update, options, many) {
+    const docs = this.select(filter, { sort: options?.sort, limit: many ? 0 : 1 });
+    if (!docs.length && options?.upsert) {
+      const doc = this.upsert(filter, update);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: doc._id,
+      };
+    }
+    let modifiedCount = 0;
+    for (const doc of docs) if (this.modify(doc, update, filter)) modifiedCount++;
+    return {
+      acknowledged: true,
+      matchedCount: docs.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  updateOne(filter, update, options) {
+    return this.update(filter, update, options, false);
+  }
+
+  updateMany(filter, update, options) {
+    return this.update(filter, update, options, true);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    let value;
+    if (doc) {
+      const before = copy(doc);
+      this.modify(doc, update, filter);
+      value = options.returnDocument === "after" ? doc : before;
+    } else if (options.upsert) {
+      const inserted = this.upsert(filter, update);
+      value = options.returnDocument === "after" ? inserted : null;
+    }
+    value = value ? this.project(value, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const value = doc ? this.project(doc, options.projection) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async delete(filter, many) {
+    const docs = this.select(filter, { limit: many ? 0 : 1 });
+    this.docs = this.docs.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  deleteOne(filter) {
+    return this.delete(filter, false);
+  }
+
+  deleteMany(filter) {
+    return this.delete(filter, true);
+  }
+
+  // unordered, duplicate keys are thrown together like MongoBulkWriteError
+  async bulkWrite(ops) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    const writeErrors = [];
+    for (const [index, op] of ops.entries()) {
+      try {
+        if (op.insertOne) {
+          this.insert(op.insertOne.document);
+          result.insertedCount++;
+          continue;
+        }
+        if (!op.updateOne) throw new Error(`Unsupported bulk operation ${Object.keys(op)[0]}`);
+        const { filter, update, upsert } = op.updateOne;
+        const written = await this.update(filter, update, { upsert }, false);
+        result.matchedCount += written.matchedCount;
+        result.modifiedCount += written.modifiedCount;
+        result.upsertedCount += written.upsertedCount;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        const err = { index, code: error.code, errmsg: error.message };
+        writeErrors.push({ ...err, err });
+      }
+    }
+    if (writeErrors.length)
+      throw Object.assign(new Error(writeErrors[0].errmsg), {
+        name: "MongoBulkWriteError",
+        code: 11000,
+        writeErrors,
+        result,
+      });
+    return result;
+  }
+
+  aggregate(pipeline) {
+    // $lookup reads the other stores by collection name
+    const collectionResolver = (name) =>
+      [...stores.values()].find((store) => store.name === name)?.docs || [];
+    const docs = new Aggregator(pipeline, { collectionResolver }).run(this.docs).map(copy);
+    return { toArray: async () => docs };
+  }
+}
+
+// the driver calls Mongoose makes that the stand-in answers
+const methods = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "estimatedDocumentCount",
+  "distinct",
+  "insertOne",
+  "insertMany",
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "deleteOne",
+  "deleteMany",
+  "bulkWrite",
+  "aggregate",
+];
+
+// call once the models under test have been imported
+export const useMemoryDb = () => {
+  for (const model of Object.values(mongoose.models)) {
+    if (stores.has(model.modelName)) continue;
+    const store = new MemoryCollection(model);
+    stores.set(model.modelName, store);
+    for (const name of methods) model.collection[name] = store[name].bind(store);
+  }
+};
+
+// empty every collection, e.g. before each test
+export const clearMemoryDb = () => {
+  for (const store of stores.values()) store.docs = [];
+};
@@ -0,0 +1,34 @@
+import { after, before } from "node:test";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { config } from "../../Config/index.js";
+
+// a real MongoDB for the race suites, MONGODB_URI or a throwaway mongod
+export const useMongoDb = () => {
+  let server;
+
+  before(async () => {
+    let uri = process.env.MONGODB_URI && config.db.uri;
+    if (!uri) {
+      server = await MongoMemoryServer.create();
+      uri = server.getUri();
+    }
+    await mongoose.connect(uri, { dbName: `${config.db.name}_${process.pid}` });
+    // unique indexes have to exist before the first write
+    await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+  });
+
+  after(async () => {
+    if (mongoose.connection.readyState === 1) await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    await server?.stop();
+  });
+};
+
+// empty every collection, keeping the indexes, e.g. before each test
+export const clearMongoDb = () =>
+  Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) =>
+      collection.deleteMany({})
+    )
+  );
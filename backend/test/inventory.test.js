@@ -0,0 +1,171 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Products } from "../Models/Product.js";
+import { Order } from "../Models/Order.js";
+import { Coupon } from "../Models/Coupon.js";
+import {
+  OutOfStockError,
+  releaseExpiredReservations,
+  reserveItems,
+} from "../Services/inventory.js";
+import { refundLatePayment } from "../Services/refund.js";
+import { setPaymentProvider } from "../Payments/index.js";
+import { clearMongoDb, useMongoDb } from "./helpers/mongoDb.js";
+
+useMongoDb();
+
+const refunds = [];
+beforeEach(async () => {
+  await clearMongoDb();
+  refunds.length = 0;
+  setPaymentProvider("mock", {
+    name: "mock",
+    refund: async (refund) => {
+      refunds.push(refund);
+      return { refundId: `rfnd_${refunds.length}`, amount: refund.amount, status: "processed" };
+    },
+  });
+});
+
+const id = () => new mongoose.Types.ObjectId();
+
+// products go in as stored, without the catalog's hooks
+const stock = async (fields) => {
+  const product = { _id: id(), title: "Mug", price: 250, soldCount: 0, ...fields };
+  await Products.collection.insertOne(product);
+  return product;
+};
+
+const qtyOf = async (productId) => (await Products.findById(productId)).qty;
+
+describe("reserveItems", () => {
+  it("takes the stock of every item", async () => {
+    const mug = await stock({ qty: 5 });
+    const small = id();
+    const shirt = await stock({
+      qty: 7,
+      variants: [
+        { _id: small, sku: "TEE-S", options: { size: "S" }, price: 400, qty: 3 },
+        { _id: id(), sku: "TEE-M", options: { size: "M" }, price: 400, qty: 4 },
+      ],
+    });
+
+    await reserveItems([
+      { productId: mug._id, qty: 2 },
+      { productId: shirt._id, variantId: small, qty: 3 },
+    ]);
+
+    assert.equal(await qtyOf(mug._id), 3);
+    const stored = await Products.findById(shirt._id);
+    assert.equal(stored.qty, 4);
+    assert.equal(stored.findVariant(small).qty, 0);
+  });
+
+  it("takes nothing when an item is short", async () => {
+    const mug = await stock({ qty: 5 });
+    const plate = await stock({ title: "Plate", qty: 1 });
+
+    await assert.rejects(
+      reserveItems([
+        { productId: mug._id, qty: 2 },
+        { productId: plate._id, title: "Plate", qty: 3 },
+      ]),
+      (error) => {
+        assert.ok(error instanceof OutOfStockError);
+        assert.equal(error.status, 409);
+        assert.equal(error.items.length, 1);
+        assert.equal(error.items[0].title, "Plate");
+        assert.equal(error.items[0].requested, 3);
+        assert.equal(error.items[0].available, 1);
+        return true;
+      }
+    );
+
+    assert.equal(await qtyOf(mug._id), 5);
+    assert.equal(await qtyOf(plate._id), 1);
+  });
+
+  it("sells the last unit once", async () => {
+    const mug = await stock({ qty: 1 });
+    const item = { productId: mug._id, qty: 1 };
+
+    const results = await Promise.allSettled([reserveItems([item]), reserveItems([item])]);
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), ["fulfilled", "rejected"]);
+    assert.equal(await qtyOf(mug._id), 0);
+  });
+});
+
+describe("releaseExpiredReservations", () => {
+  const placeOrder = async (product, fields = {}) =>
+    Order.create({
+      userId: id(),
+      items: [{ productId: product._id, title: product.title, price: 250, qty: 2 }],
+      pricing: { subtotal: 500, total: 500 },
+      payment: { provider: "mock", orderId: `mock_order_${id()}` },
+      ...fields,
+    });
+
+  it("cancels expired orders and gives back their stock and coupon", async () => {
+    const mug = await stock({ qty: 3 });
+    const coupon = await Coupon.create({ code: "SAVE10", type: "flat", value: 10, usedCount: 1 });
+    const expired = await placeOrder(mug, {
+      reservation: { expiresAt: new Date(Date.now() - 1000) },
+      coupon: { couponId: coupon._id, code: coupon.code, discount: 10 },
+    });
+    await Coupon.updateOne(
+      { _id: coupon._id },
+      { $push: { redemptions: { userId: expired.userId, orderId: expired._id } } }
+    );
+    const live = await placeOrder(mug, {
+      reservation: { expiresAt: new Date(Date.now() + 60 * 1000) },
+    });
+
+    assert.equal(await releaseExpiredReservations(), 1);
+
+    const cancelled = await Order.findById(expired._id);
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(cancelled.reservation.status, "released");
+    assert.equal((await Order.findById(live._id)).status, "pending");
+    assert.equal(await qtyOf(mug._id), 5);
+
+    const released = await Coupon.findById(coupon._id);
+    assert.equal(released.usedCount, 0);
+    assert.equal(released.redemptions.length, 0);
+  });
+
+  it("refunds a payment that lands after the order was cancelled", async () => {
+    const mug = await stock({ qty: 3 });
+    const order = await placeOrder(mug, {
+      reservation: { expiresAt: new Date(Date.now() - 1000) },
+    });
+    await releaseExpiredReservations();
+
+    const refunded = await refundLatePayment(
+      { "payment.orderId": order.payment.orderId },
+      { paymentId: "pay_late" }
+    );
+
+    assert.equal(refunded.status, "cancelled");
+    assert.equal(refunded.payment.paymentId, "pay_late");
+    assert.equal(refunded.payment.status, "refunded");
+    assert.deepEqual(
+      refunds.map(({ paymentId, amount }) => ({ paymentId, amount })),
+      [{ paymentId: "pay_late", amount: 500 }]
+    );
+    // the stock went back once, when the order was cancelled
+    assert.equal(await qtyOf(mug._id), 5);
+  });
+
+  it("leaves orders that aren't cancelled to the normal payment flow", async () => {
+    const mug = await stock({ qty: 3 });
+    const order = await placeOrder(mug);
+
+    const late = await refundLatePayment({ _id: order._id }, { paymentId: "pay_1" });
+
+    assert.equal(late, null);
+    assert.equal(refunds.length, 0);
+    assert.equal((await Order.findById(order._id)).payment.status, "created");
+  });
+});
@@ -0,0 +1,204 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Order } from "../Models/Order.js";
+import { Invoice } from "../Models/Invoice.js";
+import {
+  financialYear,
+  invoicesBetween,
+  issueInvoice,
+  nextInvoiceNumber,
+  numberInvoice,
+} from "../Services/invoice.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+const istOffset = (5 * 60 + 30) * 60 * 1000;
+
+const paidOrder = () =>
+  Order.create({
+    userId: new mongoose.Types.ObjectId(),
+    items: [{ productId: new mongoose.Types.ObjectId(), title: "Mug", price: 590, qty: 1 }],
+    pricing: { subtotal: 590, total: 590 },
+    userShipping: { fullName: "A Buyer", state: "Maharashtra", pincode: "411001" },
+    payment: { provider: "mock", status: "paid", paymentId: "pay_1" },
+    status: "paid",
+  });
+
+describe("financialYear", () => {
+  it("runs April to March", () => {
+    assert.equal(financialYear(new Date("2026-04-01T12:00:00Z")), "2026-27");
+    assert.equal(financialYear(new Date("2027-02-15T12:00:00Z")), "2026-27");
+  });
+
+  it("turns over at midnight in India, whatever the server's zone", () => {
+    assert.equal(financialYear(new Date("2027-03-31T18:29:00Z")), "2026-27");
+    assert.equal(financialYear(new Date("2027-03-31T18:31:00Z")), "2027-28");
+  });
+});
+
+describe("nextInvoiceNumber", () => {
+  it("counts up within a financial year", async () => {
+    const day = new Date("2026-06-01T12:00:00Z");
+
+    assert.equal(await nextInvoiceNumber(day), "INV/2026-27/000001");
+    assert.equal(await nextInvoiceNumber(day), "INV/2026-27/000002");
+  });
+
+  it("starts again every financial year", async () => {
+    await nextInvoiceNumber(new Date("2026-06-01T12:00:00Z"));
+
+    assert.equal(await nextInvoiceNumber(new Date("2027-06-01T12:00:00Z")), "INV/2027-28/000001");
+    assert.equal(await nextInvoiceNumber(new Date("2026-07-01T12:00:00Z")), "INV/2026-27/000002");
+  });
+});
+
+describe("issueInvoice", () => {
+  it("numbers the invoice and issues it once", async () => {
+    const order = await paidOrder();
+
+    const invoice = await issueInvoice(order);
+    const again = await issueInvoice(order);
+
+    assert.match(invoice.number, /^INV\/\d{4}-\d{2}\/000001$/);
+    assert.equal(invoice.claimedAt, undefined);
+    assert.ok(again._id.equals(invoice._id));
+    assert.equal(again.number, invoice.number);
+    assert.equal(invoice.totals.total, 590);
+    assert.equal(invoice.totals.cgst + invoice.totals.sgst, 90);
+  });
+
+  it("gives racing callers the one invoice and takes one number", async () => {
+    const order = await paidOrder();
+
+    const invoices = await Promise.all([issueInvoice(order), issueInvoice(order)]);
+
+    assert.equal(await Invoice.countDocuments({}), 1);
+    assert.equal(invoices[0].number, invoices[1].number);
+
+    const next = await issueInvoice(await paidOrder());
+    assert.match(next.number, /\/000002$/);
+  });
+
+  it("takes over numbering from a caller that went away", async () => {
+    const order = await paidOrder();
+    const issuedAt = new Date();
+    await Invoice.collection.insertOne({
+      _id: new mongoose.Types.ObjectId(),
+      orderId: order._id,
+      userId: order.userId,
+      issuedAt,
+      claimedAt: new Date(issuedAt.getTime() - 2 * 60 * 1000),
+      intraState: true,
+      items: [],
+      totals: { subtotal: 590, taxable: 500, total: 590 },
+      currency: "INR",
+    });
+
+    const invoice = await issueInvoice(order);
+
+    assert.match(invoice.number, /\/000001$/);
+    assert.equal(invoice.claimedAt, undefined);
+  });
+
+  it("waits for the number of the caller holding the claim", async () => {
+    const order = await paidOrder();
+    const issuedAt = new Date();
+    const { insertedId } = await Invoice.collection.insertOne({
+      orderId: order._id,
+      userId: order.userId,
+      issuedAt,
+      claimedAt: issuedAt,
+      intraState: true,
+      items: [],
+      totals: { subtotal: 590, taxable: 500, total: 590 },
+      currency: "INR",
+    });
+    const held = await Invoice.findById(insertedId);
+
+    const waiting = issueInvoice(order);
+    const numbered = await numberInvoice(held);
+    const waited = await waiting;
+
+    assert.match(numbered.number, /\/000001$/);
+    assert.equal(waited.number, numbered.number);
+    const next = await issueInvoice(await paidOrder());
+    assert.match(next.number, /\/000002$/);
+  });
+
+  it("takes no number for a caller that comes back after a takeover", async () => {
+    const order = await paidOrder();
+    const issuedAt = new Date();
+    const { insertedId } = await Invoice.collection.insertOne({
+      orderId: order._id,
+      userId: order.userId,
+      issuedAt,
+      claimedAt: new Date(issuedAt.getTime() - 2 * 60 * 1000),
+      intraState: true,
+      items: [],
+      totals: { subtotal: 590, taxable: 500, total: 590 },
+      currency: "INR",
+    });
+    // the invoice as the caller that went away last saw it
+    const stale = await Invoice.findById(insertedId);
+
+    const taken = await issueInvoice(order);
+    const resumed = await numberInvoice(stale);
+
+    assert.match(taken.number, /\/000001$/);
+    assert.equal(resumed.number, taken.number);
+    const next = await issueInvoice(await paidOrder());
+    assert.match(next.number, /\/000002$/);
+  });
+
+  it("leaves unnumbered invoices out of the register", async () => {
+    const numbered = await issueInvoice(await paidOrder());
+    const order = await paidOrder();
+    await Invoice.collection.insertOne({
+      _id: new mongoose.Types.ObjectId(),
+      orderId: order._id,
+      userId: order.userId,
+      issuedAt: new Date(),
+      claimedAt: new Date(),
+      intraState: true,
+      items: [],
+      totals: { subtotal: 590, taxable: 500, total: 590 },
+      currency: "INR",
+    });
+
+    // the export's query dates are days at midnight UTC, for today in India
+    const today = new Date(new Date(Date.now() + istOffset).toISOString().slice(0, 10));
+    const invoices = await invoicesBetween(today, today);
+
+    assert.deepEqual(
+      invoices.map(({ number }) => number),
+      [numbered.number]
+    );
+  });
+});
+
+describe("invoicesBetween", () => {
+  it("runs from midnight to midnight in India, whatever the server's zone", async () => {
+    const issued = [
+      ["before", "2026-03-31T18:29:00Z"],
+      ["first", "2026-03-31T18:30:00Z"],
+      ["last", "2026-06-30T18:29:00Z"],
+      ["after", "2026-06-30T18:30:00Z"],
+    ];
+    for (const [number, issuedAt] of issued)
+      await Invoice.collection.insertOne({
+        number,
+        orderId: new mongoose.Types.ObjectId(),
+        issuedAt: new Date(issuedAt),
+      });
+
+    const invoices = await invoicesBetween(new Date("2026-04-01"), new Date("2026-06-30"));
+
+    assert.deepEqual(
+      invoices.map(({ number }) => number),
+      ["first", "last"]
+    );
+  });
+});
@@ -0,0 +1,28 @@
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createMailer } from "../Mailer/index.js";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+describe("file transport", () => {
+  it("keeps every mail to one recipient sent in the same millisecond", async (t) => {
+    t.mock.method(Date, "now", () => 1767225600000);
+    const mailer = createMailer({ transport: "file", from: "shop@example.com", dir });
+
+    await Promise.all([
+      mailer.send({ to: "asha@example.com", subject: "Verify your email" }),
+      mailer.send({ to: "asha@example.com", subject: "Verify your email again" }),
+    ]);
+
+    const files = await fs.readdir(dir);
+    assert.equal(files.length, 2);
+    const subjects = await Promise.all(
+      files.map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file))).subject)
+    );
+    assert.deepEqual(subjects.sort(), ["Verify your email", "Verify your email again"]);
+  });
+});
@@ -0,0 +1,248 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Order, canTransition, orderStatuses } from "../Models/Order.js";
+import { Payment } from "../Models/Payment.js";
+import { Products } from "../Models/Product.js";
+import { Invoice } from "../Models/Invoice.js";
+import { updateOrderStatus } from "../Controllers/order.js";
+import { migratePayments } from "../Services/order.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+const placeOrder = (fields = {}) =>
+  Order.create({
+    userId: new mongoose.Types.ObjectId(),
+    items: [{ productId: new mongoose.Types.ObjectId(), title: "Mug", price: 250, qty: 2 }],
+    pricing: { subtotal: 500, total: 500 },
+    ...fields,
+  });
+
+describe("canTransition", () => {
+  it("follows the lifecycle", () => {
+    assert.ok(canTransition("pending", "paid"));
+    assert.ok(canTransition("pending", "confirmed"));
+    assert.ok(canTransition("paid", "packed"));
+    assert.ok(canTransition("shipped", "delivered"));
+    assert.ok(canTransition("delivered", "refunded"));
+  });
+
+  it("refuses skipped, backward and unknown moves", () => {
+    assert.ok(!canTransition("pending", "shipped"));
+    assert.ok(!canTransition("shipped", "cancelled"));
+    assert.ok(!canTransition("paid", "pending"));
+    assert.ok(!canTransition("nowhere", "paid"));
+  });
+
+  it("ends at cancelled and refunded", () => {
+    for (const to of orderStatuses) {
+      assert.ok(!canTransition("cancelled", to));
+      assert.ok(!canTransition("refunded", to));
+    }
+  });
+});
+
+describe("Order.transition", () => {
+  it("moves the order and records the move", async () => {
+    const order = await placeOrder();
+    const by = new mongoose.Types.ObjectId();
+
+    const paid = await Order.transition({ _id: order._id }, "paid", { by, note: "captured" });
+
+    assert.equal(paid.status, "paid");
+    assert.deepEqual(
+      paid.statusHistory.map(({ status }) => status),
+      ["pending", "paid"]
+    );
+    assert.ok(paid.statusHistory[1].by.equals(by));
+    assert.equal(paid.statusHistory[1].note, "captured");
+  });
+
+  it("resolves to null for an illegal move and leaves the order alone", async () => {
+    const order = await placeOrder();
+
+    assert.equal(await Order.transition({ _id: order._id }, "shipped"), null);
+
+    const stored = await Order.findById(order._id);
+    assert.equal(stored.status, "pending");
+    assert.equal(stored.statusHistory.length, 1);
+  });
+
+  it("resolves to null for a missing order", async () => {
+    assert.equal(await Order.transition({ _id: new mongoose.Types.ObjectId() }, "paid"), null);
+  });
+
+  it("lets only one of two racing moves through", async () => {
+    const order = await placeOrder();
+
+    const [paid, cancelled] = await Promise.all([
+      Order.transition({ _id: order._id, status: "pending" }, "paid"),
+      Order.transition({ _id: order._id, status: "pending" }, "cancelled"),
+    ]);
+
+    assert.equal([paid, cancelled].filter(Boolean).length, 1);
+  });
+
+  it("applies the extra update with the move", async () => {
+    const order = await placeOrder();
+
+    const paid = await Order.transition({ _id: order._id }, "paid", {
+      update: {
+        $set: { "payment.status": "paid" },
+        $push: { "payment.webhookEvents": "evt_1" },
+      },
+    });
+
+    assert.equal(paid.payment.status, "paid");
+    assert.deepEqual([...paid.payment.webhookEvents], ["evt_1"]);
+    assert.equal(paid.statusHistory.at(-1).status, "paid");
+  });
+});
+
+describe("updateOrderStatus", () => {
+  const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+  // the admin endpoint, resolving to the order it sends back
+  const moveOrder = async (order, status) => {
+    let sent;
+    await updateOrderStatus(
+      { params: { id: order._id }, body: { status }, user: admin },
+      { json: (body) => (sent = body) }
+    );
+    return sent.order;
+  };
+
+  const conflicting = (error) => {
+    assert.equal(error.status, 409);
+    return true;
+  };
+
+  it("walks a paid order through to delivery", async () => {
+    const order = await placeOrder({
+      status: "paid",
+      statusHistory: [{ status: "pending" }, { status: "paid" }],
+    });
+
+    for (const status of ["packed", "shipped", "delivered"]) await moveOrder(order, status);
+
+    const delivered = await Order.findById(order._id);
+    assert.equal(delivered.status, "delivered");
+    assert.deepEqual(
+      delivered.statusHistory.map(({ status }) => status),
+      ["pending", "paid", "packed", "shipped", "delivered"]
+    );
+    assert.ok(delivered.statusHistory.at(-1).by.equals(admin._id));
+  });
+
+  it("refuses a move the lifecycle doesn't allow", async () => {
+    const order = await placeOrder({ status: "paid" });
+
+    await assert.rejects(moveOrder(order, "delivered"), conflicting);
+    await assert.rejects(moveOrder(order, "pending"), conflicting);
+    assert.equal((await Order.findById(order._id)).status, "paid");
+  });
+
+  it("leaves refunds to the refund endpoint", async () => {
+    const order = await placeOrder({ status: "paid" });
+
+    await assert.rejects(moveOrder(order, "refunded"), conflicting);
+  });
+
+  it("confirms only pay on delivery orders without payment", async () => {
+    const online = await placeOrder();
+
+    await assert.rejects(moveOrder(online, "confirmed"), conflicting);
+  });
+
+  it("collects a cash on delivery order when it is delivered", async () => {
+    const mug = { _id: new mongoose.Types.ObjectId(), title: "Mug", price: 250, qty: 3, soldCount: 0 };
+    await Products.collection.insertOne(mug);
+    const order = await placeOrder({
+      items: [{ productId: mug._id, title: "Mug", price: 250, qty: 2 }],
+      userShipping: { fullName: "Asha Rao", state: "Maharashtra", pincode: "411001" },
+      payment: { provider: "cod", status: "on_delivery" },
+      status: "shipped",
+    });
+
+    const delivered = await moveOrder(order, "delivered");
+
+    assert.equal(delivered.status, "delivered");
+    assert.equal(delivered.payment.status, "paid");
+    assert.equal(delivered.reservation.status, "committed");
+    assert.equal((await Products.findById(mug._id)).soldCount, 2);
+    assert.ok(await Invoice.exists({ orderId: order._id }));
+  });
+});
+
+describe("migratePayments", () => {
+  // a payment as checkout recorded it before orders had a model
+  const storePayment = async (fields = {}) => {
+    const payment = {
+      _id: new mongoose.Types.ObjectId(),
+      orderId: "order_legacy",
+      paymentId: "pay_legacy",
+      signature: "signed",
+      amount: 500,
+      orderItems: [
+        { productId: new mongoose.Types.ObjectId().toString(), title: "Mug", price: 250, qty: 2 },
+      ],
+      userId: new mongoose.Types.ObjectId().toString(),
+      userShipping: { fullName: "Asha Rao", city: "Pune", pincode: "411001" },
+      payStatus: "paid",
+      orderDate: new Date("2024-03-01T10:00:00Z"),
+      ...fields,
+    };
+    await Payment.collection.insertOne(payment);
+    return payment;
+  };
+
+  it("copies a paid payment into a paid order", async () => {
+    const payment = await storePayment();
+
+    assert.equal(await migratePayments(), 1);
+
+    const order = await Order.findById(payment._id);
+    assert.equal(order.userId.toString(), payment.userId);
+    assert.equal(order.status, "paid");
+    assert.equal(order.reservation.status, "committed");
+    assert.equal(order.pricing.total, 500);
+    assert.equal(order.items[0].qty, 2);
+    assert.equal(order.userShipping.city, "Pune");
+    assert.equal(order.payment.paymentId, "pay_legacy");
+    assert.equal(order.payment.status, "paid");
+    assert.deepEqual(order.orderDate, payment.orderDate);
+    assert.deepEqual(
+      order.statusHistory.map(({ status, at }) => [status, at]),
+      [["paid", payment.orderDate]]
+    );
+    assert.equal(await Payment.countDocuments(), 1);
+  });
+
+  it("cancels a checkout that was never paid", async () => {
+    const payment = await storePayment({ payStatus: "created" });
+
+    await migratePayments();
+
+    const order = await Order.findById(payment._id);
+    assert.equal(order.status, "cancelled");
+    assert.equal(order.reservation.status, "released");
+  });
+
+  it("copies each payment once", async () => {
+    await storePayment();
+
+    await migratePayments();
+    assert.equal(await migratePayments(), 0);
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it("skips a payment without a user", async (t) => {
+    t.mock.method(console, "log", () => {});
+    await storePayment({ userId: undefined });
+
+    assert.equal(await migratePayments(), 0);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+});
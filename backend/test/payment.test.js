@@ -0,0 +1,290 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Products } from "../Models/Product.js";
+import { Order } from "../Models/Order.js";
+import { Cart } from "../Models/Cart.js";
+import { Address } from "../Models/Address.js";
+import { Coupon } from "../Models/Coupon.js";
+import { Invoice } from "../Models/Invoice.js";
+import { checkout, verify, webhook } from "../Controllers/payment.js";
+import { createPaymentProvider, setPaymentProvider } from "../Payments/index.js";
+import { signPayment, signWebhook } from "../Utils/razorpay.js";
+import { config } from "../Config/index.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+// the mock gateway with a secret of its own
+const mockSecret = "payment-test-mock-secret";
+setPaymentProvider("mock", createPaymentProvider("mock", { mock: { secret: mockSecret } }));
+const razorpay = config.payments.razorpay;
+
+const id = () => new mongoose.Types.ObjectId();
+
+// run a controller the way express would, resolving to the body it sends
+const call = async (controller, req) => {
+  let body;
+  await controller(req, { json: (sent) => (body = sent) });
+  return body;
+};
+
+// a customer whose cart holds every unit of a mug, with a one-use coupon
+const customer = async () => {
+  const userId = id();
+  const mug = { _id: id(), title: "Mug", price: 250, qty: 2, soldCount: 0 };
+  await Products.collection.insertOne(mug);
+  await Address.create({
+    userId,
+    fullName: "Asha Rao",
+    address: "12 MG Road",
+    city: "Pune",
+    state: "Maharashtra",
+    country: "India",
+    pincode: "411001",
+    phoneNumber: "9876543210",
+    isDefault: true,
+  });
+  const coupon = await Coupon.create({ code: "SAVE10", type: "flat", value: 10 });
+  await Cart.create({
+    userId,
+    items: [{ productId: mug._id, title: "Mug", price: 250, qty: 2, imgSrc: "mug.jpg" }],
+    coupon: coupon.code,
+  });
+  return { userId, mug, coupon };
+};
+
+describe("checkout", () => {
+  it("lets a customer check out again after leaving an order unpaid", async () => {
+    const { userId, mug, coupon } = await customer();
+    const req = { user: { _id: userId }, body: { provider: "mock" } };
+
+    const first = await call(checkout, req);
+    const second = await call(checkout, req);
+
+    assert.notEqual(second.orderId, first.orderId);
+    const abandoned = await Order.findById(first.order._id);
+    assert.equal(abandoned.status, "cancelled");
+    assert.equal(abandoned.reservation.status, "released");
+    assert.equal((await Order.findById(second.order._id)).status, "pending");
+
+    // the new order holds the stock and the coupon, once
+    assert.equal((await Products.findById(mug._id)).qty, 0);
+    const redeemed = await Coupon.findById(coupon._id);
+    assert.equal(redeemed.usedCount, 1);
+    assert.ok(redeemed.redemptions[0].orderId.equals(second.order._id));
+  });
+});
+
+const invalid = (error) => {
+  assert.equal(error.status, 400);
+  return true;
+};
+
+// a pending order holding two of a mug's five units
+const pendingOrder = async (provider, fields = {}) => {
+  const mug = { _id: id(), title: "Mug", price: 250, qty: 3, soldCount: 0 };
+  await Products.collection.insertOne(mug);
+  const order = await Order.create({
+    userId: id(),
+    items: [{ productId: mug._id, title: "Mug", price: 250, qty: 2 }],
+    pricing: { subtotal: 500, total: 500 },
+    userShipping: { fullName: "Asha Rao", state: "Maharashtra", pincode: "411001" },
+    payment: { provider, orderId: `${provider}_order_${id()}` },
+    ...fields,
+  });
+  return { order, mug };
+};
+
+// a webhook request as the provider would send it, signed over its raw body
+const webhookRequest = (provider, body, headers) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const sent = Object.fromEntries(
+    Object.entries(headers(rawBody)).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return { params: { provider }, body, rawBody, header: (name) => sent[name.toLowerCase()] };
+};
+
+const mockWebhook = (event, secret = mockSecret) =>
+  webhookRequest("mock", event, (rawBody) => ({
+    "X-Mock-Signature": signWebhook(rawBody, secret),
+  }));
+
+const razorpayWebhook = (eventId, body, secret = razorpay.webhookSecret) =>
+  webhookRequest("razorpay", body, (rawBody) => ({
+    "X-Razorpay-Signature": signWebhook(rawBody, secret),
+    "X-Razorpay-Event-Id": eventId,
+  }));
+
+const razorpayPayment = (event, payment) => ({
+  event,
+  payload: { payment: { entity: payment } },
+});
+
+describe("verify", () => {
+  it("marks the order paid for a genuine signature", async () => {
+    const { order, mug } = await pendingOrder("mock");
+    const { orderId } = order.payment;
+
+    const body = await call(verify, {
+      user: { _id: order.userId },
+      body: { orderId, paymentId: "pay_1", signature: signPayment(orderId, "pay_1", mockSecret) },
+    });
+
+    assert.equal(body.success, true);
+    const paid = await Order.findById(order._id);
+    assert.equal(paid.status, "paid");
+    assert.equal(paid.payment.status, "paid");
+    assert.equal(paid.payment.paymentId, "pay_1");
+    assert.equal(paid.reservation.status, "committed");
+    assert.equal((await Products.findById(mug._id)).soldCount, 2);
+    assert.ok(await Invoice.exists({ orderId: order._id }));
+  });
+
+  it("checks a Razorpay payment against the key secret", async () => {
+    const { order } = await pendingOrder("razorpay");
+    const { orderId } = order.payment;
+
+    await call(verify, {
+      user: { _id: order.userId },
+      body: {
+        orderId,
+        paymentId: "pay_1",
+        signature: signPayment(orderId, "pay_1", razorpay.keySecret),
+      },
+    });
+
+    assert.equal((await Order.findById(order._id)).status, "paid");
+  });
+
+  it("refuses a forged signature", async () => {
+    const { order } = await pendingOrder("mock");
+    const { orderId } = order.payment;
+
+    await assert.rejects(
+      call(verify, {
+        user: { _id: order.userId },
+        body: { orderId, paymentId: "pay_1", signature: signPayment(orderId, "pay_1", "guess") },
+      }),
+      invalid
+    );
+
+    const stored = await Order.findById(order._id);
+    assert.equal(stored.status, "pending");
+    assert.equal(stored.payment.status, "created");
+    assert.equal(stored.reservation.status, "held");
+  });
+});
+
+describe("webhook", () => {
+  it("marks the order paid on payment.captured", async () => {
+    const { order } = await pendingOrder("razorpay");
+
+    const body = await call(
+      webhook,
+      razorpayWebhook(
+        "evt_1",
+        razorpayPayment("payment.captured", { id: "pay_1", order_id: order.payment.orderId })
+      )
+    );
+
+    assert.equal(body.message, "Webhook processed");
+    const paid = await Order.findById(order._id);
+    assert.equal(paid.status, "paid");
+    assert.equal(paid.payment.paymentId, "pay_1");
+    assert.equal(paid.reservation.status, "committed");
+    assert.deepEqual(paid.payment.webhookEvents, ["evt_1"]);
+  });
+
+  it("refuses a badly signed event", async () => {
+    const { order } = await pendingOrder("razorpay");
+    const event = razorpayPayment("payment.captured", {
+      id: "pay_1",
+      order_id: order.payment.orderId,
+    });
+
+    await assert.rejects(call(webhook, razorpayWebhook("evt_1", event, "guess")), invalid);
+    await assert.rejects(call(webhook, mockWebhook({ id: "evt_2" }, "guess")), invalid);
+
+    const stored = await Order.findById(order._id);
+    assert.equal(stored.status, "pending");
+    assert.equal(stored.payment.webhookEvents.length, 0);
+  });
+
+  it("gives the stock back on payment.failed and keeps the order open", async () => {
+    const { order, mug } = await pendingOrder("mock");
+
+    await call(
+      webhook,
+      mockWebhook({
+        id: "evt_1",
+        type: "payment.failed",
+        orderId: order.payment.orderId,
+        paymentId: "pay_1",
+        failureReason: "Card declined",
+      })
+    );
+
+    const failed = await Order.findById(order._id);
+    assert.equal(failed.status, "pending");
+    assert.equal(failed.payment.status, "failed");
+    assert.equal(failed.payment.failureReason, "Card declined");
+    assert.equal(failed.reservation.status, "released");
+    assert.equal((await Products.findById(mug._id)).qty, 5);
+  });
+
+  it("marks a pending refund processed on refund.processed", async () => {
+    const { order } = await pendingOrder("mock", {
+      status: "delivered",
+      reservation: { status: "committed" },
+      payment: {
+        provider: "mock",
+        orderId: "mock_order_1",
+        paymentId: "pay_1",
+        status: "paid",
+        refunds: [{ amount: 500, status: "pending", receipt: "refund_1" }],
+      },
+    });
+
+    await call(
+      webhook,
+      mockWebhook({
+        id: "evt_1",
+        type: "refund.processed",
+        orderId: "mock_order_1",
+        refund: { id: "rfnd_1", amount: 500, receipt: "refund_1" },
+      })
+    );
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.payment.refunds.length, 1);
+    assert.equal(refunded.payment.refunds[0].status, "processed");
+    assert.equal(refunded.payment.refunds[0].refundId, "rfnd_1");
+    assert.equal(refunded.payment.status, "refunded");
+    assert.equal(refunded.status, "refunded");
+  });
+
+  it("applies a replayed event once", async () => {
+    const { order, mug } = await pendingOrder("mock");
+    const event = {
+      id: "evt_1",
+      type: "payment.captured",
+      orderId: order.payment.orderId,
+      paymentId: "pay_1",
+    };
+
+    await call(webhook, mockWebhook(event));
+    const replay = await call(webhook, mockWebhook(event));
+
+    assert.equal(replay.message, "Event already processed or not applicable");
+    const paid = await Order.findById(order._id);
+    assert.deepEqual(paid.payment.webhookEvents, ["evt_1"]);
+    assert.deepEqual(
+      paid.statusHistory.map(({ status }) => status),
+      ["pending", "paid"]
+    );
+    assert.equal((await Products.findById(mug._id)).soldCount, 2);
+    assert.equal(await Invoice.countDocuments({ orderId: order._id }), 1);
+  });
+});
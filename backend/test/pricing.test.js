@@ -0,0 +1,176 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { quoteShipping, taxOrder } from "../Services/pricing.js";
+import { defaultShippingRules, shippingRulesSchema } from "../Config/shipping.js";
+
+// the seller is in Maharashtra in the test config
+const pune = { state: "Maharashtra", pincode: "411001" };
+const bengaluru = { state: "Karnataka", pincode: "560001" };
+const shillong = { state: "Meghalaya", pincode: "793001" };
+
+describe("quoteShipping", () => {
+  const quote = (lines, value, shipping, rules = defaultShippingRules) =>
+    quoteShipping(lines, value, shipping, rules);
+
+  it("charges the slab the parcel's weight falls in", () => {
+    assert.deepEqual(quote([{ weight: 300, qty: 1 }], 500, pune), {
+      zone: "local",
+      weight: 300,
+      freeAbove: 999,
+      free: false,
+      charge: 40,
+    });
+    assert.equal(quote([{ weight: 300, qty: 3 }], 500, pune).charge, 60);
+  });
+
+  it("charges extra for every step started past the last slab", () => {
+    assert.equal(quote([{ weight: 1700, qty: 1 }], 500, pune).charge, 100);
+    assert.equal(quote([{ weight: 1700, qty: 1 }], 500, bengaluru).charge, 150);
+  });
+
+  it("weighs products without a weight at the default", () => {
+    const delivery = quote([{ qty: 2 }], 500, bengaluru);
+
+    assert.equal(delivery.weight, 1000);
+    assert.equal(delivery.charge, 90);
+  });
+
+  it("picks the first zone covering the address", () => {
+    assert.equal(quote([{ weight: 500, qty: 1 }], 500, pune).zone, "local");
+    assert.equal(quote([{ weight: 500, qty: 1 }], 500, shillong).zone, "remote");
+    assert.equal(quote([{ weight: 500, qty: 1 }], 500, bengaluru).zone, "national");
+  });
+
+  it("ships free from the zone's threshold", () => {
+    assert.equal(quote([{ weight: 500, qty: 1 }], 999, bengaluru).charge, 0);
+    assert.equal(quote([{ weight: 500, qty: 1 }], 1500, shillong).charge, 90);
+    assert.equal(quote([{ weight: 500, qty: 1 }], 2499, shillong).free, true);
+  });
+
+  it("prices zones by value when they say so", () => {
+    const rules = shippingRulesSchema.parse({
+      zones: [
+        {
+          name: "flat",
+          basis: "price",
+          slabs: [
+            { upTo: 500, charge: 50 },
+            { upTo: 1000, charge: 25 },
+          ],
+        },
+      ],
+    });
+
+    assert.equal(quote([{ weight: 5000, qty: 1 }], 400, bengaluru, rules).charge, 50);
+    assert.equal(quote([{ weight: 5000, qty: 1 }], 800, bengaluru, rules).charge, 25);
+  });
+
+  it("is null for an address no zone covers", () => {
+    const rules = shippingRulesSchema.parse({
+      zones: [{ name: "south", states: ["Karnataka"], slabs: [{ upTo: 500, charge: 50 }] }],
+    });
+
+    assert.equal(quote([{ weight: 500, qty: 1 }], 500, pune, rules), null);
+    assert.equal(quote([{ weight: 500, qty: 1 }], 500, bengaluru, rules).zone, "south");
+  });
+});
+
+describe("taxOrder", () => {
+  it("works CGST and SGST out of prices within the seller's state", () => {
+    const taxes = taxOrder({
+      items: [{ price: 590, qty: 2 }],
+      state: "maharashtra ",
+      rate: 18,
+      inclusive: true,
+    });
+
+    assert.equal(taxes.intraState, true);
+    assert.deepEqual(taxes.lines, [
+      { discount: 0, tax: { taxable: 1000, cgst: 90, sgst: 90, igst: 0 }, total: 1180 },
+    ]);
+    assert.equal(taxes.totals.tax, 180);
+    assert.equal(taxes.totals.total, 1180);
+  });
+
+  it("charges IGST to another state", () => {
+    const taxes = taxOrder({
+      items: [{ price: 590, qty: 1 }],
+      state: "Karnataka",
+      rate: 18,
+      inclusive: true,
+    });
+
+    assert.equal(taxes.intraState, false);
+    assert.deepEqual(taxes.lines[0].tax, { taxable: 500, cgst: 0, sgst: 0, igst: 90 });
+  });
+
+  it("adds GST on top of prices that exclude it", () => {
+    const taxes = taxOrder({
+      items: [{ price: 500, qty: 1 }],
+      state: "Karnataka",
+      rate: 18,
+      inclusive: false,
+    });
+
+    assert.deepEqual(taxes.lines[0].tax, { taxable: 500, cgst: 0, sgst: 0, igst: 90 });
+    assert.equal(taxes.totals.total, 590);
+  });
+
+  it("shares the discount out over the items by value", () => {
+    const taxes = taxOrder({
+      items: [
+        { price: 300, qty: 1 },
+        { price: 100, qty: 1 },
+      ],
+      discount: 40,
+      state: "Karnataka",
+      rate: 18,
+      inclusive: true,
+    });
+
+    assert.deepEqual(
+      taxes.lines.map(({ discount, total }) => ({ discount, total })),
+      [
+        { discount: 30, total: 270 },
+        { discount: 10, total: 90 },
+      ]
+    );
+    assert.equal(taxes.totals.total, 360);
+  });
+
+  it("taxes shipping like the goods", () => {
+    const taxes = taxOrder({
+      items: [{ price: 590, qty: 1 }],
+      shipping: 59,
+      state: "Maharashtra",
+      rate: 18,
+      inclusive: true,
+    });
+
+    assert.deepEqual(taxes.shipping, {
+      tax: { taxable: 50, cgst: 4.5, sgst: 4.5, igst: 0 },
+      total: 59,
+    });
+    assert.equal(taxes.totals.taxable, 550);
+    assert.equal(taxes.totals.total, 649);
+  });
+
+  it("adds the rounded lines up to the total", () => {
+    const taxes = taxOrder({
+      items: [
+        { price: 99.99, qty: 3 },
+        { price: 0.01, qty: 1 },
+      ],
+      discount: 10,
+      shipping: 40,
+      state: "Karnataka",
+      rate: 18,
+      inclusive: true,
+    });
+
+    const lines = [...taxes.lines, taxes.shipping];
+    const sum = lines.reduce((total, line) => total + line.total, 0);
+    assert.equal(taxes.totals.total, Math.round(sum * 100) / 100);
+    assert.equal(taxes.totals.total, 329.98);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mailLimiter, mailRecipientLimiter } from "../Middlewares/rateLimit.js";
+import { config } from "../Config/index.js";
+
+// the 429 a limiter throws, or undefined when it lets the request through
+const run = async (limiter, req) => {
+  try {
+    await limiter(req, { set: () => {} }, () => {});
+  } catch (error) {
+    return error;
+  }
+};
+
+describe("mailRecipientLimiter", () => {
+  it("stops emails to one address, whoever asks", async () => {
+    const email = "victim@example.com";
+    for (let sent = 0; sent < config.rateLimit.mail; sent++)
+      assert.equal(
+        await run(mailRecipientLimiter, { ip: `10.0.0.${sent}`, body: { email } }),
+        undefined
+      );
+
+    const error = await run(mailRecipientLimiter, { ip: "10.0.1.1", body: { email } });
+    assert.equal(error.status, 429);
+    assert.ok(error.retryAfter > 0);
+    assert.equal(
+      await run(mailRecipientLimiter, { ip: "10.0.1.1", body: { email: "other@example.com" } }),
+      undefined
+    );
+  });
+
+  it("counts a logged in user's own emails", async () => {
+    const req = { ip: "10.0.2.1", user: { _id: "user-1" }, body: {} };
+    for (let sent = 0; sent < config.rateLimit.mail; sent++)
+      assert.equal(await run(mailRecipientLimiter, req), undefined);
+
+    assert.equal((await run(mailRecipientLimiter, req)).status, 429);
+  });
+});
+
+describe("mailLimiter", () => {
+  it("stops one client asking for many addresses", async () => {
+    for (let sent = 0; sent < config.rateLimit.mailIp; sent++)
+      assert.equal(
+        await run(mailLimiter, { ip: "10.0.3.1", body: { email: `user${sent}@example.com` } }),
+        undefined
+      );
+
+    assert.equal((await run(mailLimiter, { ip: "10.0.3.1", body: {} })).status, 429);
+  });
+});
@@ -0,0 +1,161 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Products } from "../Models/Product.js";
+import { Order } from "../Models/Order.js";
+import { cancelOrder, refundOrder } from "../Services/refund.js";
+import { setPaymentProvider } from "../Payments/index.js";
+import { clearMongoDb, useMongoDb } from "./helpers/mongoDb.js";
+
+useMongoDb();
+
+// what the provider was asked to refund, and whether it refuses
+const refunds = [];
+let refusing = false;
+beforeEach(async () => {
+  await clearMongoDb();
+  refunds.length = 0;
+  refusing = false;
+  setPaymentProvider("mock", {
+    name: "mock",
+    refund: async (refund) => {
+      if (refusing) throw new Error("refund declined");
+      refunds.push(refund);
+      return { refundId: `rfnd_${refunds.length}`, amount: refund.amount, status: "processed" };
+    },
+  });
+});
+
+const productId = new mongoose.Types.ObjectId();
+
+const paidOrder = async (fields = {}) => {
+  await Products.collection.deleteOne({ _id: productId });
+  await Products.collection.insertOne({
+    _id: productId,
+    title: "Mug",
+    price: 250,
+    qty: 3,
+    soldCount: 2,
+  });
+  return Order.create({
+    userId: new mongoose.Types.ObjectId(),
+    items: [{ productId, title: "Mug", price: 250, qty: 2 }],
+    pricing: { subtotal: 500, total: 500 },
+    payment: { provider: "mock", status: "paid", paymentId: "pay_1" },
+    reservation: { status: "committed" },
+    status: "paid",
+    ...fields,
+  });
+};
+
+const failsWith = (status, code) => (error) => {
+  assert.equal(error.status, status);
+  assert.equal(error.code, code);
+  return true;
+};
+
+describe("refundOrder", () => {
+  it("refunds what's left and restocks an order that never shipped", async () => {
+    const order = await paidOrder();
+
+    const refunded = await refundOrder(order, { reason: "changed my mind" });
+
+    assert.equal(refunded.status, "refunded");
+    assert.equal(refunded.payment.status, "refunded");
+    assert.equal(refunded.payment.refunds.length, 1);
+    assert.equal(refunded.payment.refunds[0].status, "processed");
+    assert.equal(refunded.payment.refunds[0].refundId, "rfnd_1");
+    assert.deepEqual(
+      refunds.map(({ paymentId, amount }) => ({ paymentId, amount })),
+      [{ paymentId: "pay_1", amount: 500 }]
+    );
+
+    const product = await Products.findById(productId);
+    assert.equal(product.qty, 5);
+    assert.equal(product.soldCount, 0);
+  });
+
+  it("keeps a partly refunded order going", async () => {
+    const order = await paidOrder();
+
+    const refunded = await refundOrder(order, { amount: 200 });
+
+    assert.equal(refunded.status, "paid");
+    assert.equal(refunded.payment.status, "partially_refunded");
+    assert.equal((await Products.findById(productId)).qty, 3);
+  });
+
+  it("doesn't restock a delivered order", async () => {
+    const order = await paidOrder({ status: "delivered" });
+
+    const refunded = await refundOrder(order);
+
+    assert.equal(refunded.status, "refunded");
+    assert.equal((await Products.findById(productId)).qty, 3);
+  });
+
+  it("refuses more than what is left", async () => {
+    const order = await paidOrder();
+    await refundOrder(order, { amount: 400 });
+
+    await assert.rejects(
+      refundOrder(await Order.findById(order._id), { amount: 200 }),
+      (error) => failsWith(409, "CONFLICT")(error) && error.details.refundable === 100
+    );
+
+    assert.equal(refunds.length, 1);
+    assert.equal((await Order.findById(order._id)).payment.refunds.length, 1);
+  });
+
+  it("lets racing refunds add up to the total at most", async () => {
+    const order = await paidOrder();
+
+    const results = await Promise.allSettled([
+      refundOrder(order, { amount: 300 }),
+      refundOrder(order, { amount: 300 }),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), ["fulfilled", "rejected"]);
+    assert.equal(refunds.length, 1);
+  });
+
+  it("drops the refund when the provider refuses it", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const order = await paidOrder();
+    refusing = true;
+
+    await assert.rejects(refundOrder(order), failsWith(502, "BAD_GATEWAY"));
+
+    const stored = await Order.findById(order._id);
+    assert.equal(stored.payment.refunds.length, 0);
+    assert.equal(stored.payment.status, "paid");
+    assert.equal(stored.status, "paid");
+  });
+
+  it("refuses an order with nothing paid", async () => {
+    const order = await paidOrder({ payment: { provider: "mock", status: "created" } });
+
+    await assert.rejects(refundOrder(order), failsWith(409, "CONFLICT"));
+  });
+});
+
+describe("cancelOrder", () => {
+  it("cancels, restocks and refunds a paid order", async () => {
+    const order = await paidOrder();
+
+    const cancelled = await cancelOrder(order, { reason: "ordered twice" });
+
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(cancelled.payment.status, "refunded");
+    assert.equal(refunds[0].amount, 500);
+    assert.equal((await Products.findById(productId)).qty, 5);
+  });
+
+  it("refuses an order that was updated in the meantime", async () => {
+    const order = await paidOrder();
+    await Order.transition({ _id: order._id }, "packed");
+
+    await assert.rejects(cancelOrder(order), failsWith(409, "CONFLICT"));
+    assert.equal(refunds.length, 0);
+  });
+});
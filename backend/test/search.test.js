@@ -0,0 +1,100 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Products } from "../Models/Product.js";
+import { maxSuggestions, searchProducts, suggestProducts } from "../Services/search.js";
+import { searchIndex } from "../Utils/search.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+// products go in as stored, indexed for search
+const stock = (products) =>
+  Products.collection.insertMany(
+    products.map(({ title, description = "", qty = 1 }, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      title,
+      description,
+      price: 100,
+      qty,
+      soldCount: index,
+      ...searchIndex({ title, description, category: "kitchen" }),
+    }))
+  );
+
+describe("searchProducts", () => {
+  it("ranks title matches first", async () => {
+    await stock([
+      { title: "Steel bottle", description: "Goes with a mug" },
+      { title: "Blue mug" },
+      { title: "Desk lamp" },
+    ]);
+
+    const result = await searchProducts({ q: "mug" });
+
+    assert.deepEqual(
+      result.products.map(({ title }) => title),
+      ["Blue mug", "Steel bottle"]
+    );
+    assert.equal(result.total, 2);
+    assert.equal(result.capped, false);
+  });
+
+  it("ranks products matching more of the words first", async () => {
+    await stock([{ title: "Blue lamp" }, { title: "Blue mug" }, { title: "Blue mug holder" }]);
+
+    const result = await searchProducts({ q: "blue mug" });
+
+    assert.deepEqual(
+      result.products.map(({ title }) => title).slice(0, 2).sort(),
+      ["Blue mug", "Blue mug holder"]
+    );
+    assert.equal(result.products[2].title, "Blue lamp");
+  });
+
+  it("finds a word with a typo in it", async () => {
+    await stock([{ title: "Gaming laptop" }, { title: "Desk lamp" }]);
+
+    const result = await searchProducts({ q: "lpatop" });
+
+    assert.deepEqual(result.products.map(({ title }) => title), ["Gaming laptop"]);
+  });
+
+  it("applies the listing filters", async () => {
+    await stock([{ title: "Blue mug", qty: 0 }, { title: "Red mug" }]);
+
+    const result = await searchProducts({ q: "mug", inStock: "true" });
+
+    assert.deepEqual(result.products.map(({ title }) => title), ["Red mug"]);
+  });
+
+  it("only counts the products it ranked when there are too many", async () => {
+    await stock(Array.from({ length: 1010 }, (_, index) => ({ title: `Mug ${index}` })));
+
+    const last = await searchProducts({ q: "mug", limit: 100, page: 10 });
+    const past = await searchProducts({ q: "mug", limit: 100, page: 11 });
+
+    assert.equal(last.total, 1000);
+    assert.equal(last.totalPages, 10);
+    assert.equal(last.capped, true);
+    assert.equal(last.products.length, 100);
+    assert.equal(past.products.length, 0);
+  });
+});
+
+describe("suggestProducts", () => {
+  it("completes a half typed title", async () => {
+    await stock([{ title: "Laptop stand" }, { title: "Desk lamp", description: "Lights a laptop" }]);
+
+    const suggestions = await suggestProducts("lapt");
+
+    assert.deepEqual(suggestions.map(({ title }) => title), ["Laptop stand"]);
+  });
+
+  it("suggests a handful at most", async () => {
+    await stock(Array.from({ length: 20 }, (_, index) => ({ title: `Mug ${index}` })));
+
+    assert.equal((await suggestProducts("mug")).length, maxSuggestions);
+  });
+});
@@ -0,0 +1,120 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import { User } from "../Models/User.js";
+import { login, register } from "../Controllers/user.js";
+import { setMailer } from "../Mailer/index.js";
+import { migrateUserEmails } from "../Services/user.js";
+import { loginSchema } from "../Validators/user.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+const password = "password123";
+
+// an account as registered before emails were lowercased
+const storeUser = async (email, fields = {}) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Asha",
+    email,
+    password: await bcrypt.hash(password, 4),
+    tokenVersion: 0,
+    ...fields,
+  };
+  await User.collection.insertOne(user);
+  return user;
+};
+
+// the login controller with the body the route's validator hands it
+const logIn = async (body) => {
+  const req = {
+    body: loginSchema.parse(body),
+    get: () => "node-test",
+    ip: "127.0.0.1",
+  };
+  let sent;
+  await login(req, { json: (body) => (sent = body) });
+  return sent;
+};
+
+describe("migrateUserEmails", () => {
+  it("lets an account stored with a mixed-case email log in", async () => {
+    await storeUser("Asha.Rao@Example.com");
+
+    assert.equal(await migrateUserEmails(), 1);
+    const session = await logIn({ email: "Asha.Rao@Example.com", password });
+
+    assert.equal(session.success, true);
+    assert.ok(session.token);
+    assert.equal((await User.findOne({ email: "asha.rao@example.com" })).name, "Asha");
+  });
+
+  it("leaves the rest of an account alone", async () => {
+    const stored = await storeUser("Asha@Example.com", { role: "admin" });
+
+    await migrateUserEmails();
+    const user = await User.findById(stored._id);
+
+    assert.equal(user.email, "asha@example.com");
+    assert.equal(user.role, "admin");
+    assert.equal(user.password, stored.password);
+  });
+
+  it("keeps the email on the account that already has it lowercased", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const older = await storeUser("Asha@Example.com");
+    const lower = await storeUser("asha@example.com", { name: "Asha R" });
+
+    assert.equal(await migrateUserEmails(), 0);
+
+    assert.equal((await User.findById(older._id)).email, "Asha@Example.com");
+    assert.equal((await User.findById(lower._id)).email, "asha@example.com");
+    assert.equal((await logIn({ email: "ASHA@example.com", password })).message, "Welcome Asha R");
+  });
+
+  it("gives the email to the oldest of accounts differing only by case", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const oldest = await storeUser("Asha@Example.com");
+    const newer = await storeUser("ASHA@EXAMPLE.COM");
+
+    assert.equal(await migrateUserEmails(), 1);
+
+    assert.equal((await User.findById(oldest._id)).email, "asha@example.com");
+    assert.equal((await User.findById(newer._id)).email, "ASHA@EXAMPLE.COM");
+  });
+});
+
+describe("User", () => {
+  it("stores new emails lowercased", async () => {
+    const user = await User.create({ name: "Asha", email: " Asha@Example.com", password: "x" });
+
+    assert.equal(user.email, "asha@example.com");
+  });
+});
+
+describe("register", () => {
+  const signUp = (email) => {
+    let sent;
+    return register(
+      { body: { name: "Asha", email, password } },
+      { json: (body) => (sent = body) }
+    ).then(() => sent);
+  };
+
+  it("lets only one of two racing sign ups take an email", async () => {
+    setMailer({ sendTemplate: async () => ({}) });
+
+    const results = await Promise.allSettled([
+      signUp("asha@example.com"),
+      signUp("asha@example.com"),
+    ]);
+
+    assert.deepEqual(results.map(({ status }) => status).sort(), ["fulfilled", "rejected"]);
+    const refused = results.find(({ status }) => status === "rejected").reason;
+    assert.equal(refused.status, 409);
+    assert.equal(await User.countDocuments({ email: "asha@example.com" }), 1);
+  });
+});
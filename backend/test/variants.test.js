@@ -0,0 +1,150 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Products } from "../Models/Product.js";
+import { Cart } from "../Models/Cart.js";
+import { addToCart } from "../Controllers/cart.js";
+import { priceCart } from "../Services/cart.js";
+import { createCategory } from "../Services/category.js";
+import { variantProblem } from "../Utils/variants.js";
+import { clearMemoryDb, useMemoryDb } from "./helpers/memoryDb.js";
+
+useMemoryDb();
+beforeEach(clearMemoryDb);
+
+const sizes = [{ name: "size", values: ["S", "M"] }];
+
+// a tee in two sizes, M being dearer and scarcer
+const tee = async (fields = {}) => {
+  const apparel = await createCategory({ name: "Apparel" });
+  return Products.create({
+    title: "Tee",
+    description: "A tee",
+    category: apparel._id,
+    imgSrc: "tee.jpg",
+    options: sizes,
+    variants: [
+      { sku: "TEE-S", options: { size: "S" }, price: 400, qty: 5 },
+      { sku: "TEE-M", options: { size: "M" }, price: 450, qty: 1, imgSrc: "tee-m.jpg" },
+    ],
+    ...fields,
+  });
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// add to the user's cart, resolving to the body sent back
+const add = async (body) => {
+  let sent;
+  await addToCart({ user, body: { qty: 1, ...body } }, { json: (body) => (sent = body) });
+  return sent;
+};
+
+describe("variantProblem", () => {
+  it("accepts one declared value per axis", () => {
+    assert.equal(variantProblem(sizes, [{ sku: "A", options: { size: "S" } }]), null);
+  });
+
+  it("names what doesn't fit", () => {
+    assert.equal(
+      variantProblem(sizes, [{ sku: "A", options: { size: "XL" } }]),
+      "'XL' is not a size option"
+    );
+    assert.equal(
+      variantProblem(sizes, [{ sku: "A", options: { size: "S", color: "red" } }]),
+      "Unknown option 'color'"
+    );
+    assert.equal(
+      variantProblem(sizes, [
+        { sku: "A", options: { size: "S" } },
+        { sku: "B", options: { size: "S" } },
+      ]),
+      "More than one variant is S"
+    );
+    assert.equal(
+      variantProblem(sizes, [
+        { sku: "A", options: { size: "S" } },
+        { sku: "A", options: { size: "M" } },
+      ]),
+      "Variant sku A is used twice"
+    );
+  });
+});
+
+describe("variant products", () => {
+  it("list at the cheapest variant with their total stock", async () => {
+    const product = await tee();
+
+    assert.equal(product.price, 400);
+    assert.equal(product.qty, 6);
+  });
+
+  it("refuse variants that don't fit the options", async () => {
+    await assert.rejects(
+      tee({ variants: [{ sku: "TEE-XL", options: { size: "XL" }, price: 500, qty: 1 }] }),
+      (error) => {
+        assert.equal(error.errors.variants.message, "'XL' is not a size option");
+        return true;
+      }
+    );
+  });
+
+  it("keep a variant sku to one product", async () => {
+    await tee();
+
+    await assert.rejects(tee({ title: "Another tee" }), (error) => error.code === 11000);
+  });
+});
+
+describe("adding a variant to the cart", () => {
+  it("asks for an option first", async () => {
+    const product = await tee();
+
+    await assert.rejects(add({ productId: product._id }), (error) => {
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.details.options.map(({ name }) => name), ["size"]);
+      return true;
+    });
+  });
+
+  it("adds the variant at its own price and image", async () => {
+    const product = await tee();
+    const medium = product.variants[1];
+
+    const { cart } = await add({ productId: product._id, variantId: medium._id });
+
+    assert.equal(cart.items[0].variantLabel, "M");
+    assert.equal(cart.items[0].price, 450);
+    assert.equal(cart.items[0].imgSrc, "tee-m.jpg");
+  });
+
+  it("keeps separate lines per variant and checks each one's stock", async () => {
+    const product = await tee();
+    const [small, medium] = product.variants;
+
+    await add({ productId: product._id, variantId: small._id, qty: 2 });
+    await add({ productId: product._id, variantId: medium._id });
+    await assert.rejects(add({ productId: product._id, variantId: medium._id }), (error) => {
+      assert.equal(error.status, 409);
+      return true;
+    });
+
+    const cart = await Cart.findOne({ userId: user._id });
+    assert.deepEqual(cart.items.map(({ variantLabel, qty }) => [variantLabel, qty]), [
+      ["S", 2],
+      ["M", 1],
+    ]);
+  });
+
+  it("marks a line unavailable once its variant is gone", async () => {
+    const product = await tee();
+    const [small, medium] = product.variants;
+    await add({ productId: product._id, variantId: medium._id });
+
+    product.variants = [small];
+    await product.save();
+    const { lines } = await priceCart(await Cart.findOne({ userId: user._id }));
+
+    assert.equal(lines[0].unavailable, true);
+  });
+});
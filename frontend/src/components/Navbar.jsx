@@ -1,4 +1,4 @@
-import React, { useContext, useState } from "react";
+import React, { useContext, useEffect, useState } from "react";
 import { Link, useNavigate, useLocation } from "react-router-dom";
 import AppContext from "../context/AppContext";
 
@@ -7,21 +7,44 @@ const Navbar = () => {
   const navigate = useNavigate();
   const location = useLocation();
 
-  const { setFilteredData, products, logout, isAuthenticated, cart } =
-    useContext(AppContext);
+  const [suggestions, setSuggestions] = useState([]);
+
+  const {
+    filterProducts,
+    suggestProducts,
+    categories,
+    logout,
+    isAuthenticated,
+    cart,
+  } = useContext(AppContext);
   // console.log("user cart = ",cart)
 
-  const filterbyCategory = (cat) => {
-    setFilteredData(
-      products.filter(
-        (data) => data.category.toLowerCase() == cat.toLowerCase()
-      )
-    );
+  // a category's listing includes its subcategories' products
+  const filterbyCategory = (slug) => {
+    filterProducts({ category: slug });
   };
+
+  // top-level categories followed by their subcategories
+  const menuCategories = categories.flatMap((category) => [
+    category,
+    ...category.children,
+  ]);
   const filterbyPrice = (price) => {
-    setFilteredData(products.filter((data) => data.price >= price));
+    filterProducts({ minPrice: price });
   };
 
+  // fetch suggestions once the user pauses typing
+  useEffect(() => {
+    const term = searchTerm.trim();
+    if (term.length < 2) return setSuggestions([]);
+    const timer = setTimeout(() => {
+      suggestProducts(term)
+        .then(setSuggestions)
+        .catch(() => setSuggestions([]));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [searchTerm, suggestProducts]);
+
   const submitHandler = (e) => {
     e.preventDefault();
     navigate(`/product/search/${searchTerm}`);
@@ -45,28 +68,33 @@ const Navbar = () => {
               onChange={(e) => setSearchTerm(e.target.value)}
               type="text"
               placeholder="Search Products..."
+              list="search-suggestions"
             />
+            <datalist id="search-suggestions">
+              {suggestions.map((suggestion) => (
+                <option key={suggestion._id} value={suggestion.title} />
+              ))}
+            </datalist>
           </form>
           <div className="right">
-            {isAuthenticated && (
-              <>
-                <Link
-                  to={"/cart"}
-                  type="button"
-                  className="btn btn-primary position-relative mx-3"
-                >
-                  <span className="material-symbols-outlined">
-                    shopping_cart
-                  </span>
+            {/* visitors have a guest cart too */}
+            <Link
+              to={"/cart"}
+              type="button"
+              className="btn btn-primary position-relative mx-3"
+            >
+              <span className="material-symbols-outlined">shopping_cart</span>
 
-                  {cart?.items?.length > 0 && (
-                    <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
-                      {cart?.items?.length}
-                      <span className="visually-hidden">unread messages</span>
-                    </span>
-                  )}
-                </Link>
+              {cart?.items?.length > 0 && (
+                <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+                  {cart?.items?.length}
+                  <span className="visually-hidden">unread messages</span>
+                </span>
+              )}
+            </Link>
 
+            {isAuthenticated && (
+              <>
                 <Link to={"/profile"} className="btn btn-info mx-3">
                   profile
                 </Link>
@@ -97,24 +125,18 @@ const Navbar = () => {
 
         {location.pathname == "/" && (
           <div className="sub_bar">
-            <div className="items" onClick={() => setFilteredData(products)}>
+            <div className="items" onClick={() => filterProducts()}>
               No Filter
             </div>
-            <div className="items" onClick={() => filterbyCategory("mobiles")}>
-              Mobiles
-            </div>
-            <div className="items" onClick={() => filterbyCategory("laptops")}>
-              Laptops
-            </div>
-            <div className="items" onClick={() => filterbyCategory("cameras")}>
-              Camera's
-            </div>
-            <div
-              className="items"
-              onClick={() => filterbyCategory("headphones")}
-            >
-              Hedphones
-            </div>
+            {menuCategories.map((category) => (
+              <div
+                key={category._id}
+                className="items"
+                onClick={() => filterbyCategory(category.slug)}
+              >
+                {category.name}
+              </div>
+            ))}
             <div className="items" onClick={() => filterbyPrice(15999)}>
               15999
             </div>
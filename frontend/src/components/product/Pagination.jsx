@@ -0,0 +1,30 @@
+import React from "react";
+
+// previous and next buttons, nothing for a single page
+const Pagination = ({ page, totalPages, onPage }) => {
+  if (!totalPages || totalPages <= 1) return null;
+
+  return (
+    <div className="d-flex justify-content-center align-items-center my-3">
+      <button
+        className="btn btn-secondary mx-3"
+        disabled={page <= 1}
+        onClick={() => onPage(page - 1)}
+      >
+        Previous
+      </button>
+      <span>
+        Page {page} of {totalPages}
+      </span>
+      <button
+        className="btn btn-secondary mx-3"
+        disabled={page >= totalPages}
+        onClick={() => onPage(page + 1)}
+      >
+        Next
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
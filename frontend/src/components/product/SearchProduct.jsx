@@ -1,15 +1,50 @@
-import React, { useContext } from "react";
+import React, { useContext, useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
 import AppContext from "../../context/AppContext";
+import ShowProduct from "./ShowProduct";
+import Pagination from "./Pagination";
 
 const SearchProduct = () => {
-  const { products } = useContext(AppContext);
-  
+  const { term } = useParams();
+  const { searchProducts } = useContext(AppContext);
+  const q = term.trim();
+  // the page shown, kept per search so a new one starts on its first page
+  const [paging, setPaging] = useState({ q, page: 1 });
+  const page = paging.q === q ? paging.page : 1;
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!q) return setResult(null);
+    let current = true;
+    searchProducts(q, { page }).then((data) => {
+      // a slower response to an earlier search doesn't replace this one
+      if (current) setResult(data);
+    });
+    return () => {
+      current = false;
+    };
+  }, [q, page, searchProducts]);
+
   return (
     <div className="container my-5">
-      <h2>Search Products</h2>
-      <p>Search product component - implementation coming soon</p>
+      <h2 className="text-center">Results for "{q}"</h2>
+      {result?.capped && (
+        <div className="alert alert-warning text-center my-3">
+          Only the closest matches are shown. Try more specific words to narrow
+          your search.
+        </div>
+      )}
+      {result?.products?.length === 0 && (
+        <p className="text-center my-5">No products match your search.</p>
+      )}
+      <ShowProduct items={result?.products || []} />
+      <Pagination
+        page={page}
+        totalPages={result?.totalPages}
+        onPage={(next) => setPaging({ q, page: next })}
+      />
     </div>
   );
 };
 
-export default SearchProduct;
\ No newline at end of file
+export default SearchProduct;
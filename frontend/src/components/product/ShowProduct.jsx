@@ -1,14 +1,26 @@
-import React, { useContext } from "react";
+import React, { useContext, useState } from "react";
 import AppContext from "../../context/AppContext";
 import { Link } from "react-router-dom";
+import Pagination from "./Pagination";
 
-const ShowProduct = () => {
-  const { products, filteredData, addToCart } = useContext(AppContext);
+// "M / Black", in the order the product lists its options
+const variantLabel = (product, variant) =>
+  product.options.map((option) => variant.options[option.name]).join(" / ");
+
+// the filtered listing, or `items` when given, e.g. search results
+const ShowProduct = ({ items }) => {
+  const { filteredData, listing, productPage, addToCart } = useContext(AppContext);
+  // chosen variant id per product, defaulting to the first in stock
+  const [chosen, setChosen] = useState({});
+  const chosenVariant = (product) =>
+    product.variants?.find((variant) => variant._id === chosen[product._id]) ||
+    product.variants?.find((variant) => variant.qty > 0) ||
+    product.variants?.[0];
   return (
     <>
       <div className="container  d-flex justify-content-center align-items-center">
         <div className="row container d-flex justify-content-center align-items-center my-5">
-          {filteredData?.map((product) => (
+          {(items || filteredData)?.map((product) => (
             <div
               key={product._id}
               className="my-3 col-md-4 
@@ -36,19 +48,40 @@ const ShowProduct = () => {
                 </Link>
                 <div className="card-body">
                   <h5 className="card-title">{product.title}</h5>
+                  {product.variants?.length > 0 && (
+                    <select
+                      className="form-select form-select-sm"
+                      value={chosenVariant(product)._id}
+                      onChange={(e) =>
+                        setChosen({ ...chosen, [product._id]: e.target.value })
+                      }
+                    >
+                      {product.variants.map((variant) => (
+                        <option
+                          key={variant._id}
+                          value={variant._id}
+                          disabled={variant.qty < 1}
+                        >
+                          {variantLabel(product, variant)}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <div className="my-3">
                     <button className="btn btn-primary mx-3">
-                      {product.price} {"₹"}
+                      {chosenVariant(product)?.price ?? product.price} {"₹"}
                     </button>
                     <button
                       className="btn btn-warning"
+                      disabled={chosenVariant(product)?.qty < 1}
                       onClick={() =>
                         addToCart(
                           product._id,
                           product.title,
                           product.price,
                           1,
-                          product.imgSrc
+                          product.imgSrc,
+                          chosenVariant(product)?._id
                         )
                       }
                     >
@@ -62,6 +95,14 @@ const ShowProduct = () => {
           ))}
         </div>
       </div>
+      {/* search results bring their own paging */}
+      {!items && (
+        <Pagination
+          page={listing.page}
+          totalPages={listing.totalPages}
+          onPage={productPage}
+        />
+      )}
     </>
   );
 };
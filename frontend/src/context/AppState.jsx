@@ -1,9 +1,20 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import AppContext from "./AppContext";
 import axios from "axios";
 import { ToastContainer, toast, Bounce } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
+// toast the server's error message and return its error envelope
+const showError = (error) => {
+  toast.error(error.response?.data?.message || error.message, {
+    position: "top-right",
+    autoClose: 1500,
+    theme: "dark",
+    transition: Bounce,
+  });
+  return error.response?.data || { success: false, message: error.message };
+};
+
 const AppState = (props) => {
   const url = "http://localhost:1000/api";
 
@@ -16,18 +27,14 @@ const AppState = (props) => {
   const [reload, setReload] = useState(false);
   const [userAddress, setUserAddress] = useState("");
   const [userOrder, setUserOrder] = useState([]);
+  const [categories, setCategories] = useState([]);
+  // the listing's filters and the page of them shown
+  const [listing, setListing] = useState({ filters: {}, page: 1, totalPages: 0 });
 
   useEffect(() => {
     const fetchProduct = async () => {
-      const api = await axios.get(`${url}/product/all`, {
-        headers: {
-          "Content-Type": "Application/json",
-        },
-        withCredentials: true,
-      });
-      console.log(api.data.products);
-      setProducts(api.data.products);
-      setFilteredData(api.data.products);
+      const data = await filterProducts();
+      if (data.products) setProducts(data.products);
       userProfile();
     };
     fetchProduct();
@@ -36,6 +43,14 @@ const AppState = (props) => {
     user_Order();
   }, [token, reload]);
 
+  // the category tree for navigation, managed by admins on the server
+  useEffect(() => {
+    axios
+      .get(`${url}/category`, { withCredentials: true })
+      .then((api) => setCategories(api.data.categories))
+      .catch(() => setCategories([]));
+  }, []);
+
   useEffect(() => {
     let lstoken = localStorage.getItem("token");
     // console.log("ls token ",lstoken)
@@ -47,18 +62,134 @@ const AppState = (props) => {
     // setToken(localStorage.getItem('token'))
   }, []);
 
-  // register user
-  const register = async (name, email, password) => {
-    const api = await axios.post(
-      `${url}/user/register`,
-      { name, email, password },
-      {
+  // refresh once on a 401 and retry, sharing one refresh between concurrent requests
+  const refreshing = useRef(null);
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      undefined,
+      async (error) => {
+        const original = error.config;
+        const refreshToken = localStorage.getItem("refreshToken");
+        if (
+          error.response?.status !== 401 ||
+          !refreshToken ||
+          !original.headers?.Auth ||
+          original._retried ||
+          original.url.endsWith("/user/refresh")
+        )
+          throw error;
+
+        original._retried = true;
+        refreshing.current ||= axios
+          .post(`${url}/user/refresh`, { refreshToken })
+          .then((api) => {
+            localStorage.setItem("token", api.data.token);
+            localStorage.setItem("refreshToken", api.data.refreshToken);
+            setToken(api.data.token);
+            return api.data.token;
+          })
+          .catch((refreshError) => {
+            localStorage.removeItem("token");
+            localStorage.removeItem("refreshToken");
+            setIsAuthenticated(false);
+            throw refreshError;
+          })
+          .finally(() => {
+            refreshing.current = null;
+          });
+
+        original.headers.Auth = await refreshing.current;
+        return axios(original);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [url]);
+
+  // the guest cart header, also sent on login so it's merged into the account
+  const guestCart = () => {
+    const cartId = localStorage.getItem("cartId");
+    return cartId ? { "Cart-Id": cartId } : {};
+  };
+
+  // filter products on the server, kept for paging with productPage
+  const filterProducts = async (params = {}) => {
+    let api;
+    try {
+      api = await axios.get(`${url}/product/all`, {
+        params,
         headers: {
           "Content-Type": "Application/json",
         },
         withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
+    const filters = { ...params };
+    delete filters.page;
+    setFilteredData(api.data.products);
+    setListing({ filters, page: api.data.page, totalPages: api.data.totalPages });
+    return api.data;
+  };
+
+  // another page of the filtered listing
+  const productPage = (page) => filterProducts({ ...listing.filters, page });
+
+  // memoized so SearchProduct only refetches when its query changes
+  const searchProducts = useCallback(
+    async (q, params = {}) => {
+      let api;
+      try {
+        api = await axios.get(`${url}/product/search`, {
+          params: { q, ...params },
+          headers: {
+            "Content-Type": "Application/json",
+          },
+          withCredentials: true,
+        });
+      } catch (error) {
+        return showError(error);
       }
-    );
+      return api.data;
+    },
+    [url]
+  );
+
+  // search box suggestions, memoized so Navbar can refetch as the user types
+  const suggestProducts = useCallback(
+    async (q) => {
+      const api = await axios.get(`${url}/product/suggest`, {
+        params: { q },
+        headers: {
+          "Content-Type": "Application/json",
+        },
+        withCredentials: true,
+      });
+      return api.data.suggestions;
+    },
+    [url]
+  );
+
+  // register user
+  const register = async (name, email, password) => {
+    let api;
+    try {
+      api = await axios.post(
+        `${url}/user/register`,
+        { name, email, password },
+        {
+          headers: {
+            "Content-Type": "Application/json",
+            ...guestCart(),
+          },
+          withCredentials: true,
+        }
+      );
+    } catch (error) {
+      return showError(error);
+    }
+    // the guest cart now lives in the new account's cart
+    localStorage.removeItem("cartId");
     // alert(api.data.message)
     toast.success(api.data.message, {
       position: "top-right",
@@ -78,16 +209,22 @@ const AppState = (props) => {
 
   // login user
   const login = async (email, password) => {
-    const api = await axios.post(
-      `${url}/user/login`,
-      { email, password },
-      {
-        headers: {
-          "Content-Type": "Application/json",
-        },
-        withCredentials: true,
-      }
-    );
+    let api;
+    try {
+      api = await axios.post(
+        `${url}/user/login`,
+        { email, password },
+        {
+          headers: {
+            "Content-Type": "Application/json",
+            ...guestCart(),
+          },
+          withCredentials: true,
+        }
+      );
+    } catch (error) {
+      return showError(error);
+    }
     // alert(api.data.message)
     toast.success(api.data.message, {
       position: "top-right",
@@ -105,14 +242,23 @@ const AppState = (props) => {
     setToken(api.data.token);
     setIsAuthenticated(true);
     localStorage.setItem("token", api.data.token);
+    localStorage.setItem("refreshToken", api.data.refreshToken);
+    // the guest cart now lives in the account's cart
+    localStorage.removeItem("cartId");
     return api.data;
   };
 
   // logout user
-  const logout = () => {
+  const logout = async () => {
+    // revoke the refresh token, logging out even when that fails
+    const refreshToken = localStorage.getItem("refreshToken");
+    if (refreshToken)
+      await axios.post(`${url}/user/logout`, { refreshToken }).catch(() => {});
+
     setIsAuthenticated(false);
     setToken(" ");
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     toast.success("Logout Successfully...!", {
       position: "top-right",
       autoClose: 1500,
@@ -126,33 +272,48 @@ const AppState = (props) => {
     });
   };
 
-  // user profile
+  // user profile, nothing to fetch for a visitor
   const userProfile = async () => {
-    const api = await axios.get(`${url}/user/profile`, {
-      headers: {
-        "Content-Type": "Application/json",
-        Auth: token,
-      },
-      withCredentials: true,
-    });
+    if (!isAuthenticated) return;
+    let api;
+    try {
+      api = await axios.get(`${url}/user/profile`, {
+        headers: {
+          "Content-Type": "Application/json",
+          Auth: token,
+        },
+        withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
     // console.log("user profile ",api.data);
     setUser(api.data.user);
   };
 
   // add To Cart
-  const addToCart = async (productId, title, price, qty, imgSrc) => {
+  const addToCart = async (productId, title, price, qty, imgSrc, variantId) => {
     console.log("product id = ", productId);
-    const api = await axios.post(
-      `${url}/cart/add`,
-      { productId, title, price, qty, imgSrc },
-      {
-        headers: {
-          "Content-Type": "Application/json",
-          Auth: token,
-        },
-        withCredentials: true,
-      }
-    );
+    let api;
+    try {
+      api = await axios.post(
+        `${url}/cart/add`,
+        { productId, variantId, qty },
+        {
+          headers: {
+            "Content-Type": "Application/json",
+            Auth: token,
+            ...guestCart(),
+          },
+          withCredentials: true,
+        }
+      );
+    } catch (error) {
+      // 409 when the product doesn't have enough stock left
+      return showError(error);
+    }
+    // a visitor's first add starts their guest cart
+    if (api.data.cartId) localStorage.setItem("cartId", api.data.cartId);
     setReload(!reload);
     //  console.log("my cart ",api)
     toast.success(api.data.message, {
@@ -170,31 +331,43 @@ const AppState = (props) => {
 
   // user Cart
   const userCart = async () => {
-    const api = await axios.get(`${url}/cart/user`, {
-      headers: {
-        "Content-Type": "Application/json",
-        Auth: token,
-      },
-      withCredentials: true,
-    });
+    let api;
+    try {
+      api = await axios.get(`${url}/cart/user`, {
+        headers: {
+          "Content-Type": "Application/json",
+          Auth: token,
+          ...guestCart(),
+        },
+        withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
     //  console.log("user cart ",api.data.cart);
     setCart(api.data.cart);
     //  setUser("user cart ",api);
   };
 
   //  --qty
-  const decreaseQty = async (productId, qty) => {
-    const api = await axios.post(
-      `${url}/cart/--qty`,
-      { productId, qty },
-      {
-        headers: {
-          "Content-Type": "Application/json",
-          Auth: token,
-        },
-        withCredentials: true,
-      }
-    );
+  const decreaseQty = async (productId, qty, variantId) => {
+    let api;
+    try {
+      api = await axios.post(
+        `${url}/cart/--qty`,
+        { productId, variantId, qty },
+        {
+          headers: {
+            "Content-Type": "Application/json",
+            Auth: token,
+            ...guestCart(),
+          },
+          withCredentials: true,
+        }
+      );
+    } catch (error) {
+      return showError(error);
+    }
     setReload(!reload);
     // console.log("decrease cart items ",api);
     toast.success(api.data.message, {
@@ -213,14 +386,21 @@ const AppState = (props) => {
   };
 
   //  remove Item from cart
-  const removeFromCart = async (productId) => {
-    const api = await axios.delete(`${url}/cart/remove/${productId}`, {
-      headers: {
-        "Content-Type": "Application/json",
-        Auth: token,
-      },
-      withCredentials: true,
-    });
+  const removeFromCart = async (productId, variantId) => {
+    let api;
+    try {
+      api = await axios.delete(`${url}/cart/remove/${productId}`, {
+        params: { variantId },
+        headers: {
+          "Content-Type": "Application/json",
+          Auth: token,
+          ...guestCart(),
+        },
+        withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
     setReload(!reload);
     // console.log("remove item from cart ",api);
     toast.success(api.data.message, {
@@ -240,13 +420,19 @@ const AppState = (props) => {
 
   //  clear Cart
   const clearCart = async () => {
-    const api = await axios.delete(`${url}/cart/clear`, {
-      headers: {
-        "Content-Type": "Application/json",
-        Auth: token,
-      },
-      withCredentials: true,
-    });
+    let api;
+    try {
+      api = await axios.delete(`${url}/cart/clear`, {
+        headers: {
+          "Content-Type": "Application/json",
+          Auth: token,
+          ...guestCart(),
+        },
+        withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
     setReload(!reload);
     // console.log("remove item from cart ",api);
     toast.success(api.data.message, {
@@ -274,17 +460,22 @@ const AppState = (props) => {
     pincode,
     phoneNumber
   ) => {
-    const api = await axios.post(
-      `${url}/address/add`,
-      { fullName, address, city, state, country, pincode, phoneNumber },
-      {
-        headers: {
-          "Content-Type": "Application/json",
-          Auth: token,
-        },
-        withCredentials: true,
-      }
-    );
+    let api;
+    try {
+      api = await axios.post(
+        `${url}/address/add`,
+        { fullName, address, city, state, country, pincode, phoneNumber },
+        {
+          headers: {
+            "Content-Type": "Application/json",
+            Auth: token,
+          },
+          withCredentials: true,
+        }
+      );
+    } catch (error) {
+      return showError(error);
+    }
     setReload(!reload);
     // console.log("remove item from cart ",api);
     toast.success(api.data.message, {
@@ -305,26 +496,38 @@ const AppState = (props) => {
 
   // get User latest address
   const getAddress = async () => {
-    const api = await axios.get(`${url}/address/get`, {
-      headers: {
-        "Content-Type": "Application/json",
-        Auth: token,
-      },
-      withCredentials: true,
-    });
+    if (!isAuthenticated) return;
+    let api;
+    try {
+      api = await axios.get(`${url}/address/get`, {
+        headers: {
+          "Content-Type": "Application/json",
+          Auth: token,
+        },
+        withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
     //  console.log("user address ", api.data.userAddress);
     setUserAddress(api.data.userAddress);
   };
 
   // get User order
   const user_Order = async () => {
-    const api = await axios.get(`${url}/payment/userorder`, {
-      headers: {
-        "Content-Type": "Application/json",
-        Auth: token,
-      },
-      withCredentials: true,
-    });
+    if (!isAuthenticated) return;
+    let api;
+    try {
+      api = await axios.get(`${url}/payment/userorder`, {
+        headers: {
+          "Content-Type": "Application/json",
+          Auth: token,
+        },
+        withCredentials: true,
+      });
+    } catch (error) {
+      return showError(error);
+    }
     //  console.log("user order ", api.data);
     setUserOrder(api.data)
     
@@ -343,6 +546,12 @@ console.log("user order = ", userOrder);
         isAuthenticated,
         filteredData,
         setFilteredData,
+        filterProducts,
+        listing,
+        productPage,
+        searchProducts,
+        suggestProducts,
+        categories,
         logout,
         user,
         addToCart,